@@ -1,4 +1,4 @@
-from flask import Flask, render_template, jsonify, request
+from flask import Flask, render_template
 import numpy as np
 import json
 
@@ -13,16 +13,5 @@ NUM_FOOD = 100
 def index():
     return render_template('game.html')
 
-@app.route('/game_state')
-def game_state():
-    # In a real implementation, this would update AI positions and return current game state
-    return jsonify({'status': 'ok'})
-
-@app.route('/update_player', methods=['POST'])
-def update_player():
-    # Handle player position updates
-    data = request.get_json()
-    return jsonify({'status': 'ok'})
-
 if __name__ == '__main__':
     app.run(debug=True)
\ No newline at end of file
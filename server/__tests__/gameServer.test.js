@@ -0,0 +1,444 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from 'ws';
+import { GameServer } from '../gameServer.js';
+import { GameWorld } from '../../static/js/world.js';
+import { createGameState } from '../../static/js/gameState.js';
+import { encodeMessage, decodeMessage, createSnapshot } from '../../static/js/protocol.js';
+import { PROTOCOL_VERSION, SnapshotDecoder, decodeSnapshot, quantizeSnapshot } from '../../static/js/snapshotCodec.js';
+import { getViewRect, isInView } from '../../static/js/interest.js';
+import { getStandings } from '../../static/js/utils.js';
+import { TICK_DURATION, AI_COUNT, MAX_PLAYERS, MAX_MESSAGE_SIZE, FOOD_SIZE } from '../../static/js/config.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+function createServer() {
+  return new GameServer({ world: new GameWorld({ state: createGameState({ localPlayer: false }), seed: 1 }) });
+}
+
+// A client living in the same process, keeping every message it receives
+// and acknowledging snapshots unless told not to
+function createClient(server, { acknowledge = true } = {}) {
+  const client = { messages: [], sizes: [] };
+  const decoder = new SnapshotDecoder();
+  const connection = server.connect(data => {
+    if (typeof data === 'string') {
+      client.messages.push(decodeMessage(data));
+      return;
+    }
+    const snapshot = decoder.decode(data);
+    client.messages.push(snapshot);
+    client.sizes.push(data.byteLength);
+    if (acknowledge) client.send({ type: 'ack', tick: snapshot.tick });
+  });
+  client.send = message => connection.receive(encodeMessage(message));
+  client.close = connection.close;
+  client.last = type => client.messages.filter(message => message.type === type).pop();
+  return client;
+}
+
+function joinedClient(server, name, options) {
+  const client = createClient(server, options);
+  client.send({ type: 'join', name });
+  client.playerId = client.last('welcome').playerId;
+  return client;
+}
+
+const getPlayer = (server, id) => server.world.state.players.find(owner => owner.id === id);
+
+describe('GameServer with in-process clients', () => {
+  test('welcomes a client into the world under its name', () => {
+    const server = createServer();
+    const client = createClient(server);
+
+    client.send({ type: 'join', name: 'Alice' });
+
+    const welcome = client.last('welcome');
+    const player = getPlayer(server, welcome.playerId);
+    expect(player.kind).toBe('player');
+    expect(player.name).toBe('Alice');
+    expect(welcome.version).toBe(PROTOCOL_VERSION);
+  });
+
+  test('several people share one world with AI filling the other slots', () => {
+    const server = createServer();
+
+    const clients = ['Alice', 'Bob', 'Carol'].map(name => joinedClient(server, name));
+    server.update(TICK_DURATION);
+
+    const players = server.world.state.players;
+    expect(players.filter(owner => owner.kind === 'player').map(owner => owner.id))
+      .toEqual(clients.map(client => client.playerId));
+    expect(players.filter(owner => owner.kind === 'ai').length).toBe(Math.min(AI_COUNT, MAX_PLAYERS - 3));
+  });
+
+  test('moves each player by their own input', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob');
+    const aliceX = getPlayer(server, alice.playerId).cells[0].x;
+    const bobX = getPlayer(server, bob.playerId).cells[0].x;
+
+    alice.send({ type: 'input', direction: { x: 1, y: 0 } });
+    bob.send({ type: 'input', direction: { x: -1, y: 0 } });
+    server.update(TICK_DURATION * 5);
+
+    expect(getPlayer(server, alice.playerId).cells[0].x).toBeGreaterThan(aliceX);
+    expect(getPlayer(server, bob.playerId).cells[0].x).toBeLessThan(bobX);
+  });
+
+  test('sends every joined client a snapshot after each update', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob');
+    const watcher = createClient(server);
+
+    server.update(TICK_DURATION * 3.5);
+
+    const snapshot = alice.last('snapshot');
+    expect(snapshot.tick).toBe(3);
+    expect(bob.last('snapshot').tick).toBe(3);
+    expect(snapshot.leaderboard.map(entry => entry.id)).toEqual(getStandings(server.world.state.players).map(entry => entry.id));
+    expect(watcher.messages).toEqual([]);
+  });
+
+  test('only sends each client what is around its player', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob');
+    Object.assign(getPlayer(server, alice.playerId).cells[0], { x: 100, y: 100 });
+    Object.assign(getPlayer(server, bob.playerId).cells[0], { x: 1900, y: 1900 });
+
+    server.update(TICK_DURATION);
+
+    const snapshot = alice.last('snapshot');
+    const view = getViewRect(getPlayer(server, alice.playerId).cells);
+    const ids = snapshot.players.map(owner => owner.id);
+    expect(ids).toContain(alice.playerId);
+    expect(ids).not.toContain(bob.playerId);
+    expect(snapshot.food.length).toBeLessThan(server.world.state.food.length);
+    expect(snapshot.food.every(food => isInView(view, food.x, food.y, FOOD_SIZE + 1))).toBe(true);
+    expect(snapshot.leaderboard.map(entry => entry.name)).toContain('Bob');
+  });
+
+  test('acknowledges the last command of each client in its snapshots', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob');
+
+    alice.send({ type: 'input', seq: 1, direction: { x: 1, y: 0 } });
+    alice.send({ type: 'input', seq: 2, direction: { x: 1, y: 0 } });
+    alice.send({ type: 'input', seq: 3, direction: { x: 1, y: 0 } });
+    server.update(TICK_DURATION * 2.5);
+
+    expect(alice.last('snapshot').ack).toBe(2);
+    expect(bob.last('snapshot').ack).toBe(0);
+  });
+
+  test('sends snapshots as changes against the last one acknowledged', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob', { acknowledge: false });
+
+    for (let i = 0; i < 5; i++) {
+      server.update(TICK_DURATION);
+    }
+
+    // Alice gets deltas on her acknowledged snapshots, Bob whole snapshots
+    expect(alice.messages.slice(2).map(message => message.baseTick)).toEqual([1, 2, 3, 4]);
+    expect(bob.messages.slice(1).every(message => message.baseTick === null)).toBe(true);
+    expect(alice.sizes[4]).toBeLessThan(bob.sizes[4] / 2);
+
+    const { visible } = [...server.clients].find(client => client.playerId === alice.playerId).interest;
+    const whole = quantizeSnapshot(createSnapshot(server.world, visible));
+    expect(alice.last('snapshot')).toEqual({ ...whole, ack: 0, baseTick: 4 });
+  });
+
+  test('sends nothing while no tick has run', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+
+    server.update(TICK_DURATION / 2);
+
+    expect(alice.last('snapshot')).toBeUndefined();
+  });
+
+  test('removes a player when their client leaves', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+
+    alice.close();
+
+    expect(getPlayer(server, alice.playerId)).toBeUndefined();
+    expect(server.clients.size).toBe(0);
+  });
+
+  test('turns people away once every slot is taken by people', () => {
+    const server = createServer();
+    for (let i = 0; i < MAX_PLAYERS; i++) {
+      joinedClient(server, `Person ${i}`);
+    }
+
+    const late = createClient(server);
+    late.send({ type: 'join', name: 'Late' });
+
+    expect(late.last('welcome')).toBeUndefined();
+    expect(late.last('error').message).toBe('Server is full');
+    expect(server.world.state.players.length).toBe(MAX_PLAYERS);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores input from clients that have not joined', () => {
+    const server = createServer();
+    const client = createClient(server);
+
+    client.send({ type: 'input', direction: { x: 1, y: 0 }, split: true });
+
+    expect(server.world.inputs.size).toBe(0);
+  });
+
+  test('ignores a second join from the same client', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+
+    alice.send({ type: 'join', name: 'Alice again' });
+
+    expect(alice.messages.filter(message => message.type === 'welcome')).toHaveLength(1);
+    expect(server.world.state.players.filter(owner => owner.kind === 'player')).toHaveLength(1);
+  });
+
+  test('ignores oversized messages', () => {
+    const server = createServer();
+    const client = createClient(server);
+
+    client.send({ type: 'join', name: 'x'.repeat(MAX_MESSAGE_SIZE) });
+
+    expect(client.messages).toEqual([]);
+    expect(server.world.state.players.every(owner => owner.kind === 'ai')).toBe(true);
+  });
+
+  test('ignores malformed messages', () => {
+    const server = createServer();
+    const connection = server.connect(() => {});
+
+    expect(() => {
+      connection.receive('{"type":');
+      connection.receive('[]');
+      connection.receive(encodeMessage({ type: 'unknown' }));
+      connection.receive(encodeMessage({ type: 'input', direction: 'left' }));
+      connection.receive(encodeMessage({ type: 'ack', tick: 'latest' }));
+    }).not.toThrow();
+  });
+
+  test('never builds on snapshots a client did not receive', () => {
+    const server = createServer();
+    const sent = [];
+    const connection = server.connect(data => sent.push(data));
+    connection.receive(encodeMessage({ type: 'join', name: 'Alice' }));
+
+    connection.receive(encodeMessage({ type: 'ack', tick: 1 }));
+    server.update(TICK_DURATION * 1.5);
+    connection.receive(encodeMessage({ type: 'ack', tick: 99 }));
+    server.update(TICK_DURATION);
+
+    expect(decodeSnapshot(sent[sent.length - 1])).not.toBeNull();
+  });
+
+  test('only lets clients steer their own player', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const bob = joinedClient(server, 'Bob');
+
+    alice.send({ type: 'input', direction: { x: 1, y: 0 }, playerId: bob.playerId });
+
+    expect(server.world.getInput(alice.playerId).direction).toEqual({ x: 1, y: 0 });
+    expect(server.world.getInput(bob.playerId).direction).toBeNull();
+  });
+
+  test('keeps names as short, printable text', () => {
+    const server = createServer();
+    const client = joinedClient(server, '\u0000<b>Mallory</b> the very long named');
+
+    expect(getPlayer(server, client.playerId).name).toBe('<b>Mallory</b> t');
+  });
+});
+
+describe('GameServer lives', () => {
+  function eatPlayer(server, client) {
+    getPlayer(server, client.playerId).cells = [];
+    server.update(TICK_DURATION);
+  }
+
+  test('tells a client once how their life went when their cells are all eaten', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    for (let i = 0; i < 3; i++) {
+      server.update(TICK_DURATION);
+    }
+
+    eatPlayer(server, alice);
+    server.update(TICK_DURATION * 2);
+
+    const died = alice.messages.filter(message => message.type === 'died');
+    expect(died).toHaveLength(1);
+    expect(died[0].stats).toMatchObject({ ticksAlive: 3, foodEaten: expect.any(Number), killedBy: null });
+    expect(getPlayer(server, alice.playerId)).toBeDefined();
+  });
+
+  test('tells a client each time their cells are eaten', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const player = getPlayer(server, alice.playerId);
+
+    server.update(TICK_DURATION);
+    player.stats.cellsLost = 1;
+    server.update(TICK_DURATION);
+    server.update(TICK_DURATION);
+    player.stats.cellsLost = 3;
+    server.update(TICK_DURATION);
+
+    expect(alice.messages.filter(message => message.type === 'eaten')).toEqual([
+      { type: 'eaten', cellsLost: 1 },
+      { type: 'eaten', cellsLost: 3 }
+    ]);
+  });
+
+  test('respawns a player who asks after dying, and can tell them again', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    eatPlayer(server, alice);
+
+    alice.send({ type: 'respawn' });
+    server.update(TICK_DURATION);
+
+    expect(getPlayer(server, alice.playerId).cells).toHaveLength(1);
+    expect(alice.last('snapshot').players.find(owner => owner.id === alice.playerId).cells).toHaveLength(1);
+
+    eatPlayer(server, alice);
+    expect(alice.messages.filter(message => message.type === 'died')).toHaveLength(2);
+  });
+
+  test('lets a client leave and join again without reconnecting', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const firstId = alice.playerId;
+
+    alice.send({ type: 'leave' });
+    server.update(TICK_DURATION);
+    const snapshots = alice.messages.filter(message => message.type === 'snapshot').length;
+    alice.send({ type: 'join', name: 'Alice again' });
+    server.update(TICK_DURATION);
+
+    expect(getPlayer(server, firstId)).toBeUndefined();
+    expect(snapshots).toBe(0);
+    expect(getPlayer(server, alice.last('welcome').playerId).name).toBe('Alice again');
+    expect(alice.last('snapshot').baseTick).toBeNull();
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores respawning while alive or before joining', () => {
+    const server = createServer();
+    const alice = joinedClient(server, 'Alice');
+    const stranger = createClient(server);
+
+    alice.send({ type: 'respawn' });
+    stranger.send({ type: 'respawn' });
+    stranger.send({ type: 'leave' });
+    server.update(TICK_DURATION);
+
+    expect(getPlayer(server, alice.playerId).cells).toHaveLength(1);
+    expect(server.world.state.players.filter(owner => owner.kind === 'player')).toHaveLength(1);
+    expect(stranger.messages).toHaveLength(0);
+  });
+});
+
+describe('GameServer over WebSockets', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    server = createServer();
+    port = await server.listen({ port: 0, host: '127.0.0.1' });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  function openSocket() {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+    socket.nextMessage = type => new Promise(resolve => {
+      const onMessage = (data, isBinary) => {
+        const message = isBinary ? decodeSnapshot(data) : decodeMessage(data.toString());
+        if (message && message.type === type) {
+          socket.off('message', onMessage);
+          resolve(message);
+        }
+      };
+      socket.on('message', onMessage);
+    });
+    return new Promise((resolve, reject) => {
+      socket.once('open', () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  test('plays a client through join, input and snapshots', async () => {
+    const socket = await openSocket();
+
+    const welcome = socket.nextMessage('welcome');
+    socket.send(encodeMessage({ type: 'join', name: 'Alice' }));
+    const { playerId } = await welcome;
+
+    socket.send(encodeMessage({ type: 'input', direction: { x: 0, y: 1 } }));
+    const snapshot = await socket.nextMessage('snapshot');
+
+    expect(snapshot.players.find(owner => owner.id === playerId).name).toBe('Alice');
+    socket.close();
+  });
+
+  test('removes the player when the socket closes', async () => {
+    const socket = await openSocket();
+    const welcome = socket.nextMessage('welcome');
+    socket.send(encodeMessage({ type: 'join', name: 'Alice' }));
+    const { playerId } = await welcome;
+
+    await new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.close();
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(getPlayer(server, playerId)).toBeUndefined();
+  });
+
+  // Security: Input validation and bounds checking
+  test('hangs up on a client sending an oversized frame and keeps serving the rest', async () => {
+    const other = await openSocket();
+    const socket = await openSocket();
+    const welcome = socket.nextMessage('welcome');
+    socket.send(encodeMessage({ type: 'join', name: 'Alice' }));
+    const { playerId } = await welcome;
+
+    await new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.send('x'.repeat(MAX_MESSAGE_SIZE * 5));
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const otherWelcome = other.nextMessage('welcome');
+    other.send(encodeMessage({ type: 'join', name: 'Bob' }));
+    const { playerId: otherId } = await otherWelcome;
+
+    expect(getPlayer(server, playerId)).toBeUndefined();
+    expect(getPlayer(server, otherId).name).toBe('Bob');
+    other.close();
+  });
+});
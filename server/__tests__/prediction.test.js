@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import { GameServer } from '../gameServer.js';
+import { SimulatedNetwork, connectSimulatedClient, runSimulation } from '../simulatedNetwork.js';
+import { GameWorld } from '../../static/js/world.js';
+import { createGameState, getLocalPlayer } from '../../static/js/gameState.js';
+import { createRandom } from '../../static/js/random.js';
+import { getDistance } from '../../static/js/utils.js';
+import { TICK_DURATION, BASE_SPEED } from '../../static/js/config.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+// A server and network that play out the same way on every run
+function createMatch({ latency = 100, jitter = 0 } = {}) {
+  const server = new GameServer({ world: new GameWorld({ state: createGameState({ localPlayer: false }), seed: 1 }) });
+  const network = new SimulatedNetwork({ latency, jitter, random: createRandom(2) });
+  return { server, network };
+}
+
+// How far quantized snapshots let a replayed prediction drift from the server
+const QUANTIZATION_ERROR = 0.1;
+
+const serverCell = (server, client) => getLocalPlayer({ ...server.world.state, localPlayerId: client.state.localPlayerId }).cells[0];
+const clientCell = client => getLocalPlayer(client.state).cells[0];
+
+describe('SimulatedNetwork', () => {
+  test('delivers messages after the latency, in order of arrival', () => {
+    const network = new SimulatedNetwork({ latency: 100 });
+    const delivered = [];
+
+    network.transmit(() => delivered.push('first'));
+    network.advance(50);
+    network.transmit(() => delivered.push('second'));
+    network.advance(50);
+
+    expect(delivered).toEqual(['first']);
+
+    network.advance(50);
+
+    expect(delivered).toEqual(['first', 'second']);
+  });
+
+  test('spreads arrivals by up to the jitter', () => {
+    const network = new SimulatedNetwork({ latency: 100, jitter: 20, random: createRandom(3) });
+    const arrivals = [];
+
+    for (let i = 0; i < 50; i++) {
+      network.transmit(() => arrivals.push(network.now));
+    }
+    for (let t = 0; t < 200; t++) {
+      network.advance(1);
+    }
+
+    expect(arrivals).toHaveLength(50);
+    expect(Math.min(...arrivals)).toBeGreaterThanOrEqual(80);
+    expect(Math.max(...arrivals)).toBeLessThanOrEqual(120);
+  });
+});
+
+describe('prediction over a laggy connection', () => {
+  test('the local player responds to input before the server hears of it', () => {
+    const { server, network } = createMatch({ latency: 200 });
+    const client = connectSimulatedClient(server, network, { name: 'Alice' });
+    runSimulation({ server, network, clients: [client], duration: 1000 });
+    const startX = clientCell(client).x;
+
+    client.applyInput({ direction: { x: 1, y: 0 } });
+    runSimulation({ server, network, clients: [client], duration: TICK_DURATION * 2 });
+
+    expect(clientCell(client).x).toBeGreaterThan(startX);
+    expect(serverCell(server, client).x).toBeCloseTo(startX);
+  });
+
+  // Where the client first put its cell after each command, and where the
+  // server did, while steering about at random
+  function comparePredictions({ latency, jitter }) {
+    const { server, network } = createMatch({ latency, jitter });
+    const client = connectSimulatedClient(server, network, { name: 'Alice' });
+    runSimulation({ server, network, clients: [client], duration: 500 });
+
+    const predicted = new Map();
+    const authoritative = new Map();
+    const random = createRandom(4);
+    runSimulation({
+      server,
+      network,
+      clients: [client],
+      duration: 3000,
+      onFrame: () => {
+        if (random() < 0.05) {
+          const angle = random() * Math.PI * 2;
+          client.applyInput({ direction: { x: Math.cos(angle), y: Math.sin(angle) } });
+        }
+        const predictedSeq = client.nextSeq - 1;
+        const appliedSeq = server.world.getInput(client.state.localPlayerId).seq;
+        if (!predicted.has(predictedSeq)) predicted.set(predictedSeq, { ...clientCell(client) });
+        if (!authoritative.has(appliedSeq)) authoritative.set(appliedSeq, { ...serverCell(server, client) });
+      }
+    });
+
+    return [...authoritative.keys()]
+      .filter(seq => seq > 0 && predicted.has(seq))
+      .map(seq => getDistance(predicted.get(seq), authoritative.get(seq)));
+  }
+
+  test('predictions match the server over a steady connection', () => {
+    const errors = comparePredictions({ latency: 100, jitter: 0 });
+
+    expect(errors.length).toBeGreaterThan(100);
+    expect(Math.max(...errors)).toBeLessThan(QUANTIZATION_ERROR);
+  });
+
+  test('jitter only puts predictions out by a tick or two before reconciling', () => {
+    const errors = comparePredictions({ latency: 100, jitter: 20 });
+
+    // When a command arrives late the server runs a tick on the previous one
+    expect(errors.length).toBeGreaterThan(100);
+    expect(Math.max(...errors)).toBeLessThan(BASE_SPEED * 2 + QUANTIZATION_ERROR);
+    expect(errors.filter(error => error < QUANTIZATION_ERROR).length).toBeGreaterThan(errors.length / 4);
+  });
+
+  test('other players move smoothly between snapshots', () => {
+    const { server, network } = createMatch({ latency: 100 });
+    const alice = connectSimulatedClient(server, network, { name: 'Alice' });
+    const bob = connectSimulatedClient(server, network, { name: 'Bob' });
+    runSimulation({ server, network, clients: [alice, bob], duration: 500 });
+
+    const bobId = bob.state.localPlayerId;
+    const seenByAlice = () => alice.state.players.find(owner => owner.id === bobId).cells[0];
+    const positions = [];
+    bob.applyInput({ direction: { x: 1, y: 0 } });
+    runSimulation({
+      server,
+      network,
+      clients: [alice, bob],
+      duration: 1000,
+      onFrame: () => positions.push(seenByAlice().x)
+    });
+
+    // Snapshots come every few ticks, but Bob still moves a little every frame
+    const steps = positions.slice(1).map((x, index) => x - positions[index]).slice(30);
+    expect(Math.min(...steps)).toBeGreaterThan(0);
+    expect(Math.max(...steps) / Math.min(...steps)).toBeLessThan(3);
+  });
+});
@@ -0,0 +1,192 @@
+import { WebSocketServer } from 'ws';
+import { GameWorld } from '../static/js/world.js';
+import { createGameState, getOwner, getStats } from '../static/js/gameState.js';
+import {
+    encodeMessage,
+    decodeMessage,
+    sanitizeName,
+    sanitizeInput,
+    createSnapshot
+} from '../static/js/protocol.js';
+import { PROTOCOL_VERSION, SnapshotEncoder, quantizeSnapshot } from '../static/js/snapshotCodec.js';
+import { AreaOfInterest } from '../static/js/interest.js';
+import { SERVER_PORT, SNAPSHOT_RATE, MAX_PLAYERS, MAX_MESSAGE_SIZE } from '../static/js/config.js';
+
+// Runs one authoritative GameWorld for every connected client. Clients only
+// send input; the server simulates and sends everyone snapshots of the result.
+//
+// Connections don't depend on any transport: connect() takes a function that
+// delivers a message to the client and returns the handlers to call when the
+// client sends something or goes away. listen() wires these up to WebSockets,
+// and tests can drive them directly with in-process clients.
+export class GameServer {
+    constructor({ world = new GameWorld({ state: createGameState({ localPlayer: false }) }) } = {}) {
+        this.world = world;
+        this.clients = new Set();
+        this.timer = null;
+        this.lastUpdate = 0;
+        this.webSocketServer = null;
+    }
+
+    // A new client, which joins the world once it sends a join message
+    connect(send) {
+        const client = { send, playerId: null, encoder: null, interest: null, dead: false, cellsLost: 0 };
+        this.clients.add(client);
+
+        return {
+            receive: (data) => this.handleMessage(client, data),
+            close: () => this.disconnect(client)
+        };
+    }
+
+    handleMessage(client, data) {
+        const message = decodeMessage(data, MAX_MESSAGE_SIZE);
+        if (!message) return;
+
+        if (message.type === 'join') {
+            this.join(client, message.name);
+        } else if (message.type === 'input' && client.playerId !== null) {
+            const input = sanitizeInput(message);
+            if (input.seq === undefined) {
+                this.world.applyInput(input, client.playerId);
+            } else {
+                this.world.queueInput(input, client.playerId);
+            }
+        } else if (message.type === 'respawn' && client.playerId !== null) {
+            if (this.world.respawnPlayer(client.playerId)) {
+                client.dead = false;
+                client.cellsLost = 0;
+            }
+        } else if (message.type === 'leave') {
+            this.leave(client);
+        } else if (message.type === 'ack' && client.playerId !== null && Number.isSafeInteger(message.tick)) {
+            client.encoder.acknowledge(message.tick);
+        }
+    }
+
+    join(client, name) {
+        if (client.playerId !== null) return;
+
+        const people = this.world.state.players.filter(owner => owner.kind === 'player').length;
+        if (people >= MAX_PLAYERS) {
+            client.send(encodeMessage({ type: 'error', message: 'Server is full' }));
+            return;
+        }
+
+        const player = this.world.addPlayer({ name: sanitizeName(name) });
+        client.playerId = player.id;
+        client.encoder = new SnapshotEncoder();
+        client.interest = new AreaOfInterest(player.id);
+        client.dead = false;
+        client.cellsLost = 0;
+        client.send(encodeMessage({ type: 'welcome', playerId: player.id, version: PROTOCOL_VERSION }));
+    }
+
+    // Take the client's player out of the world, leaving the client free to
+    // join again
+    leave(client) {
+        if (client.playerId === null) return;
+
+        this.world.removePlayer(client.playerId);
+        client.playerId = null;
+        client.encoder = null;
+        client.interest = null;
+    }
+
+    disconnect(client) {
+        this.leave(client);
+        this.clients.delete(client);
+    }
+
+    // Send every client that has joined the current state of the world
+    // around its player, along with the last of its commands that state
+    // includes, as the changes since the last snapshot it acknowledged.
+    // Clients whose player has just lost cells hear so first, and how its
+    // life went once it has none left.
+    broadcast() {
+        this.clients.forEach(client => {
+            if (client.playerId === null) return;
+
+            const player = getOwner(this.world.state, client.playerId);
+            const cellsLost = player ? getStats(player).cellsLost : 0;
+            if (cellsLost > client.cellsLost) {
+                client.send(encodeMessage({ type: 'eaten', cellsLost }));
+            }
+            client.cellsLost = cellsLost;
+
+            if (player && player.cells.length === 0 && !client.dead) {
+                client.dead = true;
+                client.send(encodeMessage({ type: 'died', stats: this.world.getStats(client.playerId) }));
+            }
+
+            const { visible } = client.interest.update(this.world.state, this.world.spatialIndex);
+            const snapshot = quantizeSnapshot(createSnapshot(this.world, visible));
+            const ack = this.world.getInput(client.playerId).seq;
+            client.send(client.encoder.encode(snapshot, ack));
+        });
+    }
+
+    // Simulate dt milliseconds and send out the result
+    update(dt) {
+        if (this.world.step(dt) > 0) {
+            this.broadcast();
+        }
+    }
+
+    // Keep simulating in real time, sending SNAPSHOT_RATE snapshots a second
+    start() {
+        if (this.timer) return;
+
+        this.lastUpdate = performance.now();
+        this.timer = setInterval(() => {
+            const now = performance.now();
+            this.update(now - this.lastUpdate);
+            this.lastUpdate = now;
+        }, 1000 / SNAPSHOT_RATE);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Accept WebSocket clients on port and start the simulation. Resolves
+    // with the port actually used, so port 0 picks any free one.
+    listen({ port = SERVER_PORT, host } = {}) {
+        return new Promise((resolve, reject) => {
+            const webSocketServer = new WebSocketServer({ port, host, maxPayload: MAX_MESSAGE_SIZE });
+            this.webSocketServer = webSocketServer;
+
+            webSocketServer.on('connection', (socket) => {
+                const connection = this.connect(data => socket.send(data));
+                socket.on('message', (data, isBinary) => {
+                    if (!isBinary) connection.receive(data.toString());
+                });
+                // A client that breaks the rules, such as by sending more
+                // than MAX_MESSAGE_SIZE, is hung up on alone
+                socket.on('error', () => socket.terminate());
+                socket.on('close', connection.close);
+            });
+            webSocketServer.once('error', reject);
+            webSocketServer.once('listening', () => {
+                // Once listening, errors are reported rather than left to
+                // end the process
+                webSocketServer.off('error', reject);
+                webSocketServer.on('error', error => console.error('Game server:', error.message));
+                this.start();
+                resolve(webSocketServer.address().port);
+            });
+        });
+    }
+
+    // Stop simulating and hang up on every client
+    close() {
+        this.stop();
+        if (!this.webSocketServer) return Promise.resolve();
+
+        const webSocketServer = this.webSocketServer;
+        this.webSocketServer = null;
+        webSocketServer.clients.forEach(socket => socket.terminate());
+        return new Promise(resolve => webSocketServer.close(() => resolve()));
+    }
+}
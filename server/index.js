@@ -0,0 +1,17 @@
+import { GameServer } from './gameServer.js';
+import { SERVER_PORT } from '../static/js/config.js';
+
+// Start a game server: node server/index.js, or PORT=9000 node server/index.js
+const port = Number(process.env.PORT) || SERVER_PORT;
+const server = new GameServer();
+
+server.listen({ port }).then(actualPort => {
+    console.log(`Game server listening on ws://localhost:${actualPort} with seed ${server.world.seed}`);
+}).catch(error => {
+    console.error(`Game server could not listen on port ${port}: ${error.message}`);
+    process.exitCode = 1;
+});
+
+process.on('SIGINT', () => {
+    server.close().then(() => process.exit(0));
+});
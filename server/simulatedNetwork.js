@@ -0,0 +1,72 @@
+import { ClientWorld } from '../static/js/clientWorld.js';
+import { createGameState } from '../static/js/gameState.js';
+import { encodeMessage, decodeMessage } from '../static/js/protocol.js';
+import { SnapshotDecoder } from '../static/js/snapshotCodec.js';
+import { TICK_DURATION } from '../static/js/config.js';
+
+// A pretend network for playing clients against a GameServer in a single
+// process. Every message takes latency milliseconds, give or take up to
+// jitter, to arrive, and time only passes when advance() is called, so a
+// laggy match plays out the same way every time.
+export class SimulatedNetwork {
+    constructor({ latency = 100, jitter = 0, random = Math.random } = {}) {
+        this.latency = latency;
+        this.jitter = jitter;
+        this.random = random;
+        this.now = 0;
+        this.inFlight = [];  // Messages on their way, as { arrival, deliver }
+    }
+
+    // Call deliver once the message it carries has crossed the network
+    transmit(deliver) {
+        const delay = Math.max(0, this.latency + (this.random() * 2 - 1) * this.jitter);
+        this.inFlight.push({ arrival: this.now + delay, deliver });
+    }
+
+    // Let dt milliseconds pass, delivering whatever arrives meanwhile in
+    // order of arrival
+    advance(dt) {
+        this.now += dt;
+
+        const arrived = this.inFlight
+            .filter(message => message.arrival <= this.now)
+            .sort((a, b) => a.arrival - b.arrival);
+        this.inFlight = this.inFlight.filter(message => message.arrival > this.now);
+        arrived.forEach(message => message.deliver());
+    }
+}
+
+// A ClientWorld playing on server across network, which joins as name once
+// its join message arrives, and acknowledges snapshots like a browser does
+export function connectSimulatedClient(server, network, { name }) {
+    const decoder = new SnapshotDecoder();
+    let connection = null;
+    const client = new ClientWorld({
+        state: createGameState({ localPlayer: false }),
+        send: (message) => {
+            const data = encodeMessage(message);
+            network.transmit(() => connection.receive(data));
+        }
+    });
+    connection = server.connect(data => network.transmit(() => {
+        const message = typeof data === 'string' ? decodeMessage(data) : decoder.decode(data);
+        if (!message) return;
+
+        if (message.type === 'snapshot') client.send({ type: 'ack', tick: message.tick });
+        client.receive(message);
+    }));
+
+    client.join(name);
+    return client;
+}
+
+// Run the network, server and clients side by side for duration
+// milliseconds, a frame at a time, calling onFrame after each frame
+export function runSimulation({ server, network, clients, duration, frameTime = TICK_DURATION, onFrame = () => {} }) {
+    for (let elapsed = 0; elapsed < duration; elapsed += frameTime) {
+        network.advance(frameTime);
+        server.update(frameTime);
+        clients.forEach(client => client.step(frameTime));
+        onFrame();
+    }
+}
@@ -0,0 +1,216 @@
+import { createPerception, getStrategy, pickStrategy, registerStrategy, DEFAULT_STRATEGY } from '../aiStrategies.js';
+import { updateAI } from '../entities.js';
+import { createRandom } from '../random.js';
+import { AI_SPLIT_RANGE } from '../config.js';
+
+// An AI player owning the given cells
+function createAI(cells, fields = {}) {
+  return { kind: 'ai', name: 'AI', direction: 0, cells, ...fields };
+}
+
+function createState({ food = [], aiPlayers = [], playerCells = [], ejectedMass = [] } = {}) {
+  const player = { kind: 'player', name: 'Player', cells: playerCells };
+  return { food, players: [player, ...aiPlayers], ejectedMass, viruses: [] };
+}
+
+describe('createPerception', () => {
+  test('sorts nearby food and ejected mass by distance', () => {
+    const ai = createAI([{ x: 100, y: 100, score: 50 }]);
+    const state = createState({
+      aiPlayers: [ai],
+      food: [{ x: 300, y: 100 }, { x: 150, y: 100 }, { x: 1500, y: 1500 }],
+      ejectedMass: [{ x: 200, y: 100, score: 12 }]
+    });
+
+    const perception = createPerception(state)(ai);
+
+    expect(perception.food.map(entry => entry.x)).toEqual([150, 200, 300]);
+  });
+
+  test('classifies cells as prey or threats by size', () => {
+    const ai = createAI([{ x: 100, y: 100, score: 400 }]);
+    const state = createState({
+      aiPlayers: [ai, createAI([{ x: 150, y: 100, score: 50 }]), createAI([{ x: 200, y: 100, score: 400 }])],
+      playerCells: [{ x: 250, y: 100, score: 5000 }]
+    });
+
+    const perception = createPerception(state)(ai);
+
+    expect(perception.prey.map(entry => entry.x)).toEqual([150]);
+    expect(perception.threats.map(entry => entry.x)).toEqual([250]);
+  });
+
+  test('ignores entities outside the vision radius', () => {
+    const ai = createAI([{ x: 100, y: 100, score: 400 }]);
+    const state = createState({
+      aiPlayers: [ai, createAI([{ x: 1900, y: 1900, score: 50 }])],
+      food: [{ x: 1900, y: 100 }]
+    });
+
+    const perception = createPerception(state, 400)(ai);
+
+    expect(perception.food).toEqual([]);
+    expect(perception.prey).toEqual([]);
+  });
+
+  test('looks out from the largest cell and ignores the AI\'s own cells', () => {
+    const lead = { x: 500, y: 500, score: 400 };
+    const ai = createAI([{ x: 450, y: 500, score: 50 }, lead]);
+    const state = createState({ aiPlayers: [ai, createAI([{ x: 600, y: 500, score: 50 }])] });
+
+    const perception = createPerception(state)(ai);
+
+    expect(perception.cell).toBe(lead);
+    expect(perception.prey.map(entry => entry.x)).toEqual([600]);
+  });
+
+  // Security: Input validation
+  test('gives no perception for an AI without cells', () => {
+    const perceive = createPerception(createState());
+
+    expect(perceive(createAI([]))).toBeNull();
+    expect(perceive({})).toBeNull();
+  });
+});
+
+describe('built-in strategies', () => {
+  const ai = { x: 100, y: 100, score: 400, direction: 0 };
+  const food = { x: 100, y: 200, score: undefined, distance: 100 };
+  const prey = { x: 200, y: 100, score: 50, distance: 100 };
+  const threat = { x: 100, y: 50, score: 5000, distance: 50 };
+
+  test('forager heads for food', () => {
+    const decision = getStrategy('forager').decide(ai, { food: [food], prey: [prey], threats: [] });
+
+    expect(decision.behavior).toBe('foraging');
+    expect(decision.heading).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('hunter chases prey', () => {
+    const decision = getStrategy('hunter').decide(ai, { food: [food], prey: [prey], threats: [] });
+
+    expect(decision.behavior).toBe('hunting');
+    expect(decision.heading).toBeCloseTo(0);
+  });
+
+  test('coward flees from threats', () => {
+    const decision = getStrategy('coward').decide(ai, { food: [food], prey: [prey], threats: [threat] });
+
+    expect(decision.behavior).toBe('fleeing');
+    expect(decision.heading).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('splitter only hunts prey it could eat at half size', () => {
+    const bigPrey = { x: 200, y: 100, score: 300, distance: 100 };
+
+    expect(getStrategy('splitter').decide(ai, { food: [], prey: [bigPrey], threats: [] })).toBeNull();
+    expect(getStrategy('splitter').decide(ai, { food: [], prey: [prey], threats: [] }).behavior).toBe('hunting');
+  });
+
+  test('splitter splits only once prey is in range', () => {
+    const farPrey = { ...prey, x: 100 + AI_SPLIT_RANGE * 2, distance: AI_SPLIT_RANGE * 2 };
+
+    expect(getStrategy('splitter').decide(ai, { food: [], prey: [prey], threats: [] }).split).toBe(true);
+    expect(getStrategy('splitter').decide(ai, { food: [], prey: [farPrey], threats: [] }).split).toBe(false);
+  });
+
+  test('strategies wander when there is nothing in sight', () => {
+    ['forager', 'hunter', 'coward', 'splitter'].forEach(name => {
+      expect(getStrategy(name).decide(ai, { food: [], prey: [], threats: [] })).toBeNull();
+    });
+  });
+
+  test('unknown strategies fall back to the default', () => {
+    expect(getStrategy('nonexistent')).toBe(getStrategy(DEFAULT_STRATEGY));
+    expect(getStrategy(undefined)).toBe(getStrategy(DEFAULT_STRATEGY));
+  });
+});
+
+describe('pickStrategy', () => {
+  test('picks according to weights', () => {
+    expect(pickStrategy(() => 0, { forager: 1, hunter: 1 })).toBe('forager');
+    expect(pickStrategy(() => 0.99, { forager: 1, hunter: 1 })).toBe('hunter');
+    expect(pickStrategy(() => 0.5, { forager: 0, hunter: 1 })).toBe('hunter');
+  });
+
+  test('is reproducible with a seeded random source', () => {
+    const picks1 = Array.from({ length: 20 }, (_, i) => pickStrategy(createRandom(i)));
+    const picks2 = Array.from({ length: 20 }, (_, i) => pickStrategy(createRandom(i)));
+    expect(picks1).toEqual(picks2);
+  });
+
+  // Security: Input validation
+  test('falls back to the default with no usable weights', () => {
+    expect(pickStrategy(Math.random, {})).toBe(DEFAULT_STRATEGY);
+    expect(pickStrategy(Math.random, { unknown: 5 })).toBe(DEFAULT_STRATEGY);
+    expect(pickStrategy(Math.random, { forager: -1 })).toBe(DEFAULT_STRATEGY);
+  });
+});
+
+describe('registerStrategy', () => {
+  test('adds a custom strategy usable by AI players', () => {
+    registerStrategy('eastbound', {
+      decide: () => ({ behavior: 'heading east', heading: 0 })
+    });
+    const ai = createAI([{ x: 1000, y: 1000, score: 50 }], { strategy: 'eastbound' });
+    const state = createState({ aiPlayers: [ai] });
+
+    updateAI(state, createRandom(1));
+
+    expect(ai.behavior).toBe('heading east');
+    expect(ai.cells[0].x).toBeGreaterThan(1000);
+  });
+});
+
+describe('updateAI with strategies', () => {
+  test('AI turns gradually towards its target', () => {
+    const ai = createAI([{ x: 1000, y: 1000, score: 50 }], { strategy: 'forager' });
+    const state = createState({ aiPlayers: [ai], food: [{ x: 1000, y: 1200 }] });
+
+    updateAI(state, createRandom(1));
+
+    expect(ai.behavior).toBe('foraging');
+    expect(ai.target).toEqual({ x: 1000, y: 1200 });
+    expect(ai.direction).toBeGreaterThan(0);
+    expect(ai.direction).toBeLessThan(Math.PI / 2);
+  });
+
+  test('AI wanders with nothing in sight', () => {
+    const ai = createAI([{ x: 1000, y: 1000, score: 50 }], { strategy: 'hunter' });
+    const state = createState({ aiPlayers: [ai] });
+
+    updateAI(state, createRandom(1));
+
+    expect(ai.behavior).toBe('wandering');
+    expect(ai.target).toBeNull();
+  });
+
+  test('splitter AI splits at nearby prey', () => {
+    const ai = createAI([{ x: 1000, y: 1000, score: 400 }], { strategy: 'splitter' });
+    const state = createState({ aiPlayers: [ai], playerCells: [{ x: 1100, y: 1000, score: 20 }] });
+
+    updateAI(state, createRandom(1));
+
+    expect(ai.cells.length).toBe(2);
+    expect(ai.cells[0].score + ai.cells[1].score).toBe(400);
+    // The new half shoots off towards the prey
+    expect(ai.cells[1].x).toBeGreaterThan(ai.cells[0].x);
+  });
+
+  test('all of an AI\'s cells follow its heading', () => {
+    const ai = createAI([{ x: 1000, y: 1000, score: 50 }, { x: 1200, y: 1000, score: 50 }], { strategy: 'eastbound' });
+    const state = createState({ aiPlayers: [ai] });
+
+    updateAI(state, createRandom(1));
+
+    expect(ai.cells[0].velocityX).toBeGreaterThan(0);
+    expect(ai.cells[1].velocityX).toBeGreaterThan(0);
+  });
+
+  // Security: Input validation
+  test('skips AIs without cells', () => {
+    const state = createState({ aiPlayers: [createAI([])] });
+
+    expect(() => updateAI(state, createRandom(1))).not.toThrow();
+  });
+});
@@ -0,0 +1,213 @@
+import { Camera, smoothDamp } from '../camera.js';
+import { createCell, getStats } from '../gameState.js';
+import { splitOwner, moveOwner, updateDecay } from '../entities.js';
+import { handleCellCollisions } from '../collisions.js';
+import { getTotalScore } from '../utils.js';
+import { WORLD_SIZE, MIN_ZOOM, MAX_ZOOM, CAMERA_SHAKE_STRENGTH, MERGE_COOLDOWN, TICK_DURATION } from '../config.js';
+
+const SCREEN = { width: 800, height: 600 };
+
+// Where the middle of the screen is looking, from the top left and zoom
+const centerOf = camera => ({
+  x: camera.x + SCREEN.width / camera.zoom / 2,
+  y: camera.y + SCREEN.height / camera.zoom / 2
+});
+
+// Run the camera for ms milliseconds in 60fps frames
+function run(camera, ms, options = {}) {
+  for (let time = 0; time < ms; time += 1000 / 60) {
+    camera.update(1000 / 60, { ...SCREEN, ...options });
+  }
+}
+
+describe('smoothDamp', () => {
+  test('gets to the target without overshooting', () => {
+    let current = { value: 0, velocity: 0 };
+    const values = [];
+    for (let i = 0; i < 120; i++) {
+      current = smoothDamp(current.value, 100, current.velocity, 150, 1000 / 60);
+      values.push(current.value);
+    }
+
+    values.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(values[i]));
+    expect(Math.max(...values)).toBeLessThanOrEqual(100);
+    expect(values[values.length - 1]).toBeCloseTo(100, 1);
+  });
+
+  test('snaps straight there without any lag', () => {
+    expect(smoothDamp(0, 100, 5, 0, 16)).toEqual({ value: 100, velocity: 0 });
+  });
+});
+
+describe('Camera', () => {
+  test('follows its target gradually', () => {
+    const camera = new Camera();
+    camera.snapTo(1000, 1000);
+
+    camera.update(1000 / 60, { ...SCREEN, target: { x: 1500, y: 1000 } });
+    const first = centerOf(camera).x;
+    run(camera, 2000, { target: { x: 1500, y: 1000 } });
+
+    expect(first).toBeGreaterThan(1000);
+    expect(first).toBeLessThan(1500);
+    expect(centerOf(camera).x).toBeCloseTo(1500, 0);
+  });
+
+  test('catches up sooner with less lag', () => {
+    const slow = new Camera({ lag: 400 });
+    const fast = new Camera({ lag: 50 });
+    [slow, fast].forEach(camera => {
+      camera.snapTo(1000, 1000);
+      run(camera, 200, { target: { x: 1500, y: 1000 } });
+    });
+
+    expect(centerOf(fast).x).toBeGreaterThan(centerOf(slow).x);
+  });
+
+  test('stays put without a target', () => {
+    const camera = new Camera();
+    camera.snapTo(1000, 1200);
+
+    run(camera, 500);
+
+    expect(centerOf(camera)).toEqual({ x: 1000, y: 1200 });
+  });
+
+  test('keeps the view inside the world', () => {
+    const camera = new Camera({ lag: 0 });
+
+    camera.update(16, { ...SCREEN, target: { x: 10, y: WORLD_SIZE + 500 } });
+
+    expect(camera.x).toBe(0);
+    expect(camera.y + SCREEN.height / camera.zoom).toBe(WORLD_SIZE);
+  });
+
+  test('centers a view bigger than the world on it', () => {
+    const camera = new Camera({ lag: 0 });
+    camera.zoom = SCREEN.width / WORLD_SIZE / 2;
+
+    camera.update(0, { ...SCREEN, target: { x: 10, y: 10 } });
+
+    expect(centerOf(camera).x).toBeCloseTo(WORLD_SIZE / 2);
+  });
+
+  test('eases its zoom out to fit the cells', () => {
+    const camera = new Camera();
+    camera.snapTo(1000, 1000);
+
+    camera.update(1000 / 60, { ...SCREEN, target: { x: 1000, y: 1000 }, viewScale: 2 });
+    const first = camera.zoom;
+    run(camera, 3000, { target: { x: 1000, y: 1000 }, viewScale: 2 });
+
+    expect(first).toBeLessThan(1);
+    expect(first).toBeGreaterThan(0.5);
+    expect(camera.zoom).toBeCloseTo(0.5);
+  });
+
+  test('zooms in and out within the limits', () => {
+    const camera = new Camera();
+
+    camera.adjustZoom(1.5);
+    expect(camera.manualZoom).toBe(1.5);
+
+    camera.adjustZoom(1000);
+    expect(camera.manualZoom).toBe(MAX_ZOOM);
+    camera.adjustZoom(1 / 1e6);
+    expect(camera.manualZoom).toBe(MIN_ZOOM);
+  });
+
+  test('shakes the view, dying down over the shake', () => {
+    const camera = new Camera({ lag: 0, random: () => 1 });
+    camera.snapTo(1000, 1000);
+
+    camera.shake(10, 100);
+    camera.update(50, SCREEN);
+    expect(centerOf(camera).x).toBeCloseTo(1005);
+
+    camera.update(50, SCREEN);
+    expect(centerOf(camera).x).toBe(1000);
+  });
+
+  test('shakes by the configured amount by default', () => {
+    const camera = new Camera({ random: () => 1 });
+    camera.snapTo(1000, 1000);
+
+    camera.shake();
+    camera.update(0, SCREEN);
+
+    expect(centerOf(camera).x).toBeCloseTo(1000 + CAMERA_SHAKE_STRENGTH);
+  });
+
+  test('tells listeners when a watched cell is eaten', () => {
+    const camera = new Camera();
+    const handler = jest.fn();
+    camera.on('cellEaten', handler);
+    const ai = { id: 2, kind: 'ai', name: 'AI', cells: [{ x: 100, y: 100, score: 400 }] };
+    const player = { id: 1, kind: 'player', name: 'Alice', cells: [{ x: 100, y: 100, score: 100 }, { x: 1000, y: 1000, score: 100 }] };
+    const state = { players: [player, ai] };
+
+    camera.watch(getStats(player).cellsLost);
+    handleCellCollisions(state);
+    camera.watch(getStats(player).cellsLost);
+
+    expect(handler).toHaveBeenCalledWith({ cells: 1 }, camera);
+  });
+
+  test('does not count cells merging back together as they decay', () => {
+    const camera = new Camera();
+    const handler = jest.fn();
+    camera.on('cellEaten', handler);
+    const player = { id: 1, kind: 'player', name: 'Alice', cells: [createCell(1, 1000, 1000, 600)] };
+    const state = { players: [player], time: 0 };
+
+    splitOwner(player, { x: 1, y: 0 }, state.time);
+    const scoreAfterSplit = getTotalScore(player.cells);
+    while (player.cells.length > 1 && state.time < MERGE_COOLDOWN * 2) {
+      moveOwner(player, null, state.time);
+      updateDecay(state);
+      handleCellCollisions(state);
+      camera.watch(getStats(player).cellsLost);
+      state.time += TICK_DURATION;
+    }
+
+    expect(player.cells).toHaveLength(1);
+    expect(getTotalScore(player.cells)).toBeLessThan(scoreAfterSplit);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('starts watching afresh after nobody was watched, or a new life', () => {
+    const camera = new Camera();
+    const handler = jest.fn();
+    camera.on('cellEaten', handler);
+
+    camera.watch(3);
+    camera.watch(null);
+    camera.watch(5);
+    camera.watch(0);
+    camera.watch(undefined);
+    camera.watch(1);
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('ignores frame times that are not a positive number', () => {
+    const camera = new Camera();
+    camera.snapTo(1000, 1000);
+
+    [NaN, -100, undefined].forEach(dt => camera.update(dt, { ...SCREEN, target: { x: 1500, y: 1500 } }));
+
+    expect(centerOf(camera)).toEqual({ x: 1000, y: 1000 });
+    expect(camera.zoom).toBe(1);
+  });
+
+  test('ignores zoom factors and shakes that make no sense', () => {
+    const camera = new Camera();
+
+    [0, -2, NaN, Infinity * 0].forEach(factor => camera.adjustZoom(factor));
+    camera.shake(-5, 100);
+    camera.shake(5, NaN);
+
+    expect(camera.manualZoom).toBe(1);
+    expect(camera.shakeTime).toBe(0);
+  });
+});
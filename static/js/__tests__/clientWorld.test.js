@@ -0,0 +1,257 @@
+import { ClientWorld } from '../clientWorld.js';
+import { createGameState, getLocalPlayer, getStats } from '../gameState.js';
+import { applyCommand } from '../entities.js';
+import { TICK_DURATION, INPUT_HISTORY_LIMIT, INTERPOLATION_DELAY } from '../config.js';
+
+const LOCAL_ID = 1;
+const OTHER_ID = 2;
+
+function createSnapshot(tick, { ack = 0, local = { x: 1000, y: 1000 }, other = { x: 500, y: 500 } } = {}) {
+  const cell = ({ x, y }) => ({ x, y, score: 100, velocityX: 0, velocityY: 0 });
+  return {
+    type: 'snapshot',
+    tick,
+    ack,
+    players: [
+      { id: LOCAL_ID, kind: 'player', name: 'Alice', color: 'red', cells: [cell(local)] },
+      { id: OTHER_ID, kind: 'player', name: 'Bob', color: 'blue', cells: [cell(other)] }
+    ],
+    food: [],
+    ejectedMass: [],
+    viruses: []
+  };
+}
+
+function createClient() {
+  const sent = [];
+  const world = new ClientWorld({ state: createGameState({ localPlayer: false }), send: message => sent.push(message) });
+  world.receive({ type: 'welcome', playerId: LOCAL_ID });
+  return { world, sent };
+}
+
+const localCell = world => world.state.players.find(owner => owner.id === LOCAL_ID).cells[0];
+const otherCell = world => world.state.players.find(owner => owner.id === OTHER_ID).cells[0];
+
+describe('ClientWorld prediction', () => {
+  test('takes its player id from the welcome', () => {
+    const { world } = createClient();
+
+    expect(world.state.localPlayerId).toBe(LOCAL_ID);
+  });
+
+  test('sends and predicts nothing until the server has placed the player', () => {
+    const { world, sent } = createClient();
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    world.step(TICK_DURATION * 3);
+
+    expect(sent).toEqual([]);
+    expect(world.history).toEqual([]);
+  });
+
+  test('sends one numbered command per tick', () => {
+    const { world, sent } = createClient();
+    world.receive(createSnapshot(1));
+
+    world.applyInput({ direction: { x: 1, y: 0 }, split: true });
+    world.step(TICK_DURATION * 2.5);
+
+    expect(sent).toEqual([
+      { type: 'input', seq: 1, direction: { x: 1, y: 0 }, split: true, eject: false },
+      { type: 'input', seq: 2, direction: { x: 1, y: 0 }, split: false, eject: false }
+    ]);
+  });
+
+  test('moves the local player straight away', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    world.step(TICK_DURATION * 1.5);
+
+    expect(localCell(world).x).toBeGreaterThan(1000);
+    expect(localCell(world).prevX).toBe(1000);
+  });
+
+  test('replays unacknowledged commands on top of the server state', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+    world.applyInput({ direction: { x: 0, y: 1 } });
+    world.step(TICK_DURATION * 5.5);
+
+    // The server has run the first two commands, ending up somewhere else
+    world.receive(createSnapshot(2, { ack: 2, local: { x: 1200, y: 1000 } }));
+
+    const expected = { id: LOCAL_ID, cells: [{ ownerId: LOCAL_ID, x: 1200, y: 1000, score: 100, velocityX: 0, velocityY: 0 }] };
+    world.history.forEach(command => applyCommand({ ejectedMass: [] }, expected, command));
+    expect(world.history.map(command => command.seq)).toEqual([3, 4, 5]);
+    expect(localCell(world).x).toBeCloseTo(expected.cells[0].x);
+    expect(localCell(world).y).toBeCloseTo(expected.cells[0].y);
+  });
+
+  test(`keeps at most ${INPUT_HISTORY_LIMIT} unacknowledged commands`, () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    for (let i = 0; i < INPUT_HISTORY_LIMIT + 10; i++) {
+      world.tick();
+    }
+
+    expect(world.history).toHaveLength(INPUT_HISTORY_LIMIT);
+    expect(world.history[0].seq).toBe(11);
+  });
+
+  test('runs its own simulation clock through the ticks it predicts', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    for (let i = 0; i < 3; i++) {
+      world.step(TICK_DURATION);
+    }
+
+    expect(world.state.time).toBeCloseTo(TICK_DURATION * 3);
+  });
+
+  // Security: Input validation and bounds checking
+  test('skips frames without a finite length and keeps predicting after them', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    expect(world.step(NaN)).toBe(0);
+    expect(world.clock).toBe(0);
+
+    expect(world.step(TICK_DURATION)).toBe(1);
+  });
+
+  test('predicts the mass ejecting costs but leaves pellets to the server', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    world.applyInput({ direction: { x: 1, y: 0 }, eject: true });
+    world.tick();
+
+    expect(localCell(world).score).toBeLessThan(100);
+    expect(world.state.ejectedMass).toEqual([]);
+  });
+});
+
+describe('ClientWorld interpolation', () => {
+  const snapshotsPerDelay = INTERPOLATION_DELAY / TICK_DURATION;
+
+  test('draws other players between the snapshots either side of the render time', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(10, { other: { x: 500, y: 500 } }));
+    world.step(snapshotsPerDelay * TICK_DURATION);
+    world.receive(createSnapshot(10 + snapshotsPerDelay, { other: { x: 600, y: 700 } }));
+
+    // Right after the second snapshot the render time is back at the first
+    expect(otherCell(world).x).toBeCloseTo(500);
+
+    world.step(INTERPOLATION_DELAY / 2);
+
+    expect(otherCell(world).x).toBeCloseTo(550);
+    expect(otherCell(world).y).toBeCloseTo(600);
+  });
+
+  test('holds others at the newest snapshot when no newer one arrives', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(10, { other: { x: 500, y: 500 } }));
+    world.receive(createSnapshot(11, { other: { x: 510, y: 500 } }));
+
+    world.step(1000);
+
+    expect(otherCell(world).x).toBe(510);
+  });
+
+  test('leaves the local player to prediction', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(10, { local: { x: 1000, y: 1000 } }));
+    world.receive(createSnapshot(11, { local: { x: 1100, y: 1000 } }));
+
+    expect(localCell(world).x).toBe(1100);
+  });
+
+  test('ignores snapshots that arrive out of order', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(10, { other: { x: 500, y: 500 } }));
+    world.receive(createSnapshot(9, { other: { x: 900, y: 900 } }));
+
+    expect(world.snapshots).toHaveLength(1);
+    expect(otherCell(world).x).toBe(500);
+  });
+
+  test('forgets snapshots once the render time has passed them', () => {
+    const { world } = createClient();
+    for (let tick = 1; tick <= 30; tick++) {
+      world.step(TICK_DURATION);
+      world.receive(createSnapshot(tick));
+    }
+
+    expect(world.snapshots.length).toBeLessThanOrEqual(snapshotsPerDelay + 2);
+  });
+});
+
+describe('ClientWorld lives', () => {
+  test('asks the server to join, respawn and leave', () => {
+    const sent = [];
+    const world = new ClientWorld({ state: createGameState({ localPlayer: false }), send: message => sent.push(message) });
+
+    world.join('Alice');
+    world.respawn();
+    world.leave();
+
+    expect(sent).toEqual([{ type: 'join', name: 'Alice' }, { type: 'respawn' }, { type: 'leave' }]);
+  });
+
+  test('keeps the stats the server sends when the player dies until respawning', () => {
+    const { world } = createClient();
+    const stats = { ticksAlive: 30, peakScore: 250, foodEaten: 4, killedBy: 'Bob' };
+
+    expect(world.getStats()).toBeNull();
+    world.receive({ type: 'died', stats });
+    expect(world.getStats()).toEqual(stats);
+
+    world.respawn();
+    expect(world.getStats()).toBeNull();
+  });
+
+  test('counts the cells the server says were eaten on the local player', () => {
+    const { world } = createClient();
+    const cellsLost = () => getStats(getLocalPlayer(world.state)).cellsLost;
+    world.receive(createSnapshot(1));
+
+    world.receive({ type: 'eaten', cellsLost: 2 });
+    world.receive(createSnapshot(2));
+    expect(cellsLost()).toBe(2);
+
+    world.receive({ type: 'eaten', cellsLost: 'lots' });
+    world.receive(createSnapshot(3));
+    expect(cellsLost()).toBe(2);
+
+    world.respawn();
+    world.receive(createSnapshot(4));
+    expect(cellsLost()).toBe(0);
+  });
+
+  test('predicts nothing while the player has no cells', () => {
+    const { world, sent } = createClient();
+    const snapshot = createSnapshot(1);
+    snapshot.players[0].cells = [];
+    world.receive(snapshot);
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    world.step(TICK_DURATION * 3);
+
+    expect(sent).toHaveLength(0);
+  });
+
+  test('forgets the world it was shown on leaving', () => {
+    const { world } = createClient();
+    world.receive(createSnapshot(1));
+
+    world.leave();
+
+    expect(world.state.localPlayerId).toBeNull();
+    expect(world.state.players).toHaveLength(0);
+  });
+});
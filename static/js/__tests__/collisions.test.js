@@ -1,46 +1,81 @@
-import { handleFoodCollisions, handlePlayerAICollisions, handleAIAICollisions } from '../collisions.js';
+import {
+  handleFoodCollisions,
+  handleVirusCollisions,
+  handleEjectedMassCollisions,
+  handleCellCollisions
+} from '../collisions.js';
+import { EJECT_PICKUP_DELAY, VIRUS_SCORE, VIRUS_MAX_SCORE, VIRUS_POP_PIECES } from '../config.js';
 import { gameState } from '../gameState.js';
 import { getSize } from '../utils.js';
 
 // Mock gameState
 jest.mock('../gameState.js', () => ({
+  ...jest.requireActual('../gameState.js'),
   gameState: {
-    playerCells: [],
-    aiPlayers: [],
-    food: []
+    players: [],
+    food: [],
+    ejectedMass: [],
+    viruses: []
   }
 }));
 
+// The person playing, always first in the player list
+const player = { id: 1, kind: 'player', name: 'Player', cells: [] };
+
+// AI players own a list of cells
+let nextAIId = 100;
+const createAI = (...cells) => ({ id: nextAIId++, kind: 'ai', name: 'AI', cells });
+
+const getAIs = () => gameState.players.filter(owner => owner && owner.kind === 'ai');
+
+beforeEach(() => {
+  player.cells = [];
+  delete player.stats;
+  gameState.players = [player];
+});
+
 describe('handleFoodCollisions', () => {
   beforeEach(() => {
     // Reset gameState before each test
-    gameState.playerCells = [];
+    player.cells = [];
     gameState.food = [];
   });
 
   test('player cell consumes food when overlapping', () => {
-    gameState.playerCells = [{ x: 100, y: 100, score: 100 }];
+    player.cells = [{ x: 100, y: 100, score: 100 }];
     gameState.food = [{ x: 100, y: 100 }];
 
     handleFoodCollisions();
 
     expect(gameState.food.length).toBe(0);
-    expect(gameState.playerCells[0].score).toBe(110);  // Initial + FOOD_SCORE
+    expect(player.cells[0].score).toBe(110);  // Initial + FOOD_SCORE
+  });
+
+  test('counts the food each owner eats', () => {
+    const ai = createAI({ x: 500, y: 500, score: 100 });
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+    gameState.players = [player, ai];
+    gameState.food = [{ x: 100, y: 100 }, { x: 105, y: 100 }, { x: 500, y: 500 }];
+
+    handleFoodCollisions();
+
+    expect(player.stats.foodEaten).toBe(2);
+    expect(ai.stats.foodEaten).toBe(1);
   });
 
   test('food remains when not overlapping with player', () => {
-    gameState.playerCells = [{ x: 100, y: 100, score: 100 }];
+    player.cells = [{ x: 100, y: 100, score: 100 }];
     gameState.food = [{ x: 500, y: 500 }];
 
     handleFoodCollisions();
 
     expect(gameState.food.length).toBe(1);
-    expect(gameState.playerCells[0].score).toBe(100);
+    expect(player.cells[0].score).toBe(100);
   });
 
   // Security: Input validation and bounds checking
   test('handles empty player cells array safely', () => {
-    gameState.playerCells = [];
+    player.cells = [];
     gameState.food = [{ x: 100, y: 100 }];
 
     expect(() => handleFoodCollisions()).not.toThrow();
@@ -48,151 +83,409 @@ describe('handleFoodCollisions', () => {
   });
 
   test('handles empty food array safely', () => {
-    gameState.playerCells = [{ x: 100, y: 100, score: 100 }];
+    player.cells = [{ x: 100, y: 100, score: 100 }];
     gameState.food = [];
 
     expect(() => handleFoodCollisions()).not.toThrow();
-    expect(gameState.playerCells[0].score).toBe(100);
+    expect(player.cells[0].score).toBe(100);
   });
 
   test('prevents score overflow with extremely large values', () => {
-    gameState.playerCells = [{ x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 5 }];
+    player.cells = [{ x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 5 }];
     gameState.food = [{ x: 100, y: 100 }];
 
     handleFoodCollisions();
 
-    expect(gameState.playerCells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+    expect(player.cells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
   });
 });
 
-describe('handlePlayerAICollisions', () => {
+describe('handleCellCollisions between player and AI', () => {
   beforeEach(() => {
-    gameState.playerCells = [];
-    gameState.aiPlayers = [];
+    player.cells = [];
+    gameState.players = [player];
   });
 
   test('larger player cell consumes AI', () => {
     const playerCell = { x: 100, y: 100, score: 400 };  // Large player
-    const ai = { x: 100, y: 100, score: 100 };  // Small AI
+    const ai = createAI({ x: 100, y: 100, score: 100 });  // Small AI
 
-    gameState.playerCells = [playerCell];
-    gameState.aiPlayers = [ai];
+    player.cells = [playerCell];
+    gameState.players = [player, ai];
 
-    handlePlayerAICollisions();
+    handleCellCollisions();
 
-    expect(gameState.aiPlayers.length).toBe(0);
-    expect(gameState.playerCells[0].score).toBe(600);  // 400 + 100 + 100 bonus
+    expect(getAIs().length).toBe(0);
+    expect(player.cells[0].score).toBe(600);  // 400 + 100 + 100 bonus
   });
 
   test('larger AI consumes player cell', () => {
     const playerCell = { x: 100, y: 100, score: 100 };  // Small player
-    const ai = { x: 100, y: 100, score: 400 };  // Large AI
+    const ai = createAI({ x: 100, y: 100, score: 400 });  // Large AI
+
+    player.cells = [playerCell];
+    gameState.players = [player, ai];
+
+    handleCellCollisions();
+
+    // The player stays in the game, without cells until they respawn
+    expect(gameState.players).toContain(player);
+    expect(player.cells.length).toBe(0);
+    expect(player.stats.killedBy).toBe('AI');
+    expect(getAIs()[0].cells[0].score).toBe(600);  // 400 + 100 + 100 bonus
+  });
 
-    gameState.playerCells = [playerCell];
-    gameState.aiPlayers = [ai];
+  test('AI survives losing one of its cells', () => {
+    const playerCell = { x: 100, y: 100, score: 400 };
+    const ai = createAI({ x: 100, y: 100, score: 100 }, { x: 1000, y: 1000, score: 100 });
 
-    handlePlayerAICollisions();
+    player.cells = [playerCell];
+    gameState.players = [player, ai];
 
-    expect(gameState.playerCells.length).toBe(1);  // Player respawns
-    expect(gameState.aiPlayers[0].score).toBe(600);  // 400 + 100 + 100 bonus
+    handleCellCollisions();
+
+    expect(gameState.players).toEqual([player, ai]);
+    expect(ai.cells).toEqual([{ x: 1000, y: 1000, score: 100 }]);
+    expect(playerCell.score).toBe(600);
+  });
+
+  test('AI cell eats one of several player cells', () => {
+    const ai = createAI({ x: 100, y: 100, score: 400 });
+
+    player.cells = [{ x: 100, y: 100, score: 100 }, { x: 1000, y: 1000, score: 100 }];
+    gameState.players = [player, ai];
+
+    handleCellCollisions();
+
+    expect(player.cells).toEqual([{ x: 1000, y: 1000, score: 100 }]);
+    expect(ai.cells[0].score).toBe(600);
   });
 
   // Security: Input validation and edge cases
   test('handles empty arrays safely', () => {
-    gameState.playerCells = [];
-    gameState.aiPlayers = [];
+    player.cells = [];
+    gameState.players = [player];
 
-    expect(() => handlePlayerAICollisions()).not.toThrow();
+    expect(() => handleCellCollisions()).not.toThrow();
   });
 
   test('handles negative scores safely', () => {
     const playerCell = { x: 100, y: 100, score: -100 };
-    const ai = { x: 100, y: 100, score: 100 };
+    const ai = createAI({ x: 100, y: 100, score: 100 });
 
-    gameState.playerCells = [playerCell];
-    gameState.aiPlayers = [ai];
+    player.cells = [playerCell];
+    gameState.players = [player, ai];
 
-    expect(() => handlePlayerAICollisions()).not.toThrow();
+    expect(() => handleCellCollisions()).not.toThrow();
   });
 
   test('prevents score overflow in collisions', () => {
     const playerCell = { x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 100 };
-    const ai = { x: 100, y: 100, score: 100 };
+    const ai = createAI({ x: 100, y: 100, score: 100 });
 
-    gameState.playerCells = [playerCell];
-    gameState.aiPlayers = [ai];
+    player.cells = [playerCell];
+    gameState.players = [player, ai];
 
-    handlePlayerAICollisions();
+    handleCellCollisions();
 
     // Ensure score doesn't overflow
-    expect(gameState.playerCells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+    expect(player.cells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
   });
 });
 
-describe('handleAIAICollisions', () => {
+describe('handleCellCollisions between AIs', () => {
   beforeEach(() => {
-    gameState.aiPlayers = [];
+    gameState.players = [player];
   });
 
   test('larger AI consumes smaller AI', () => {
-    const ai1 = { x: 100, y: 100, score: 400 };  // Large AI
-    const ai2 = { x: 100, y: 100, score: 100 };  // Small AI
+    const ai1 = createAI({ x: 100, y: 100, score: 400 });  // Large AI
+    const ai2 = createAI({ x: 100, y: 100, score: 100 });  // Small AI
+
+    gameState.players = [player, ai1, ai2];
+
+    handleCellCollisions();
+
+    expect(getAIs().length).toBe(1);
+    expect(getAIs()[0].cells[0].score).toBe(600);  // 400 + 100 + 100 bonus
+  });
+
+  test('AI cells eat each other cell by cell', () => {
+    const ai1 = createAI({ x: 100, y: 100, score: 400 });
+    const ai2 = createAI({ x: 100, y: 100, score: 100 }, { x: 1000, y: 1000, score: 100 });
+
+    gameState.players = [player, ai1, ai2];
+
+    handleCellCollisions();
+
+    expect(gameState.players).toEqual([player, ai1, ai2]);
+    expect(ai1.cells[0].score).toBe(600);
+    expect(ai2.cells).toEqual([{ x: 1000, y: 1000, score: 100 }]);
+  });
+
+  test('an AI does not eat its own cells', () => {
+    const ai = createAI({ x: 100, y: 100, score: 400 }, { x: 100, y: 100, score: 100 });
 
-    gameState.aiPlayers = [ai1, ai2];
+    gameState.players = [player, ai];
 
-    handleAIAICollisions();
+    handleCellCollisions();
 
-    expect(gameState.aiPlayers.length).toBe(1);
-    expect(gameState.aiPlayers[0].score).toBe(600);  // 400 + 100 + 100 bonus
+    expect(ai.cells.length).toBe(2);
+    expect(ai.cells[0].score).toBe(400);
   });
 
   test('equal sized AIs do not consume each other', () => {
-    const ai1 = { x: 100, y: 100, score: 100 };
-    const ai2 = { x: 100, y: 100, score: 100 };
+    const ai1 = createAI({ x: 100, y: 100, score: 100 });
+    const ai2 = createAI({ x: 100, y: 100, score: 100 });
 
-    gameState.aiPlayers = [ai1, ai2];
+    gameState.players = [player, ai1, ai2];
 
-    handleAIAICollisions();
+    handleCellCollisions();
 
-    expect(gameState.aiPlayers.length).toBe(2);
-    expect(gameState.aiPlayers[0].score).toBe(100);
-    expect(gameState.aiPlayers[1].score).toBe(100);
+    expect(getAIs().length).toBe(2);
+    expect(getAIs()[0].cells[0].score).toBe(100);
+    expect(getAIs()[1].cells[0].score).toBe(100);
   });
 
   // Security: Input validation and edge cases
   test('handles empty AI array safely', () => {
-    gameState.aiPlayers = [];
+    gameState.players = [player];
 
-    expect(() => handleAIAICollisions()).not.toThrow();
+    expect(() => handleCellCollisions()).not.toThrow();
   });
 
   test('handles single AI safely', () => {
-    gameState.aiPlayers = [{ x: 100, y: 100, score: 100 }];
+    gameState.players = [player, createAI({ x: 100, y: 100, score: 100 })];
 
-    expect(() => handleAIAICollisions()).not.toThrow();
-    expect(gameState.aiPlayers.length).toBe(1);
+    expect(() => handleCellCollisions()).not.toThrow();
+    expect(getAIs().length).toBe(1);
   });
 
   test('handles malformed AI objects safely', () => {
-    const ai1 = { x: 100, y: 100 };  // Missing score
-    const ai2 = { score: 100 };  // Missing coordinates
+    const ai1 = createAI({ x: 100, y: 100 });  // Missing score
+    const ai2 = createAI({ score: 100 });  // Missing coordinates
 
-    gameState.aiPlayers = [ai1, ai2];
+    gameState.players = [player, ai1, ai2, null, { name: 'No cells' }];
 
-    expect(() => handleAIAICollisions()).not.toThrow();
+    expect(() => handleCellCollisions()).not.toThrow();
   });
 
   test('prevents score overflow in AI collisions', () => {
-    const ai1 = { x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 100 };
-    const ai2 = { x: 100, y: 100, score: 100 };
+    const ai1 = createAI({ x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 100 });
+    const ai2 = createAI({ x: 100, y: 100, score: 100 });
 
-    gameState.aiPlayers = [ai1, ai2];
+    gameState.players = [player, ai1, ai2];
 
-    handleAIAICollisions();
+    handleCellCollisions();
 
     // Ensure no overflow occurred
-    gameState.aiPlayers.forEach(ai => {
-      expect(ai.score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+    getAIs().forEach(ai => {
+      expect(ai.cells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+    });
+  });
+});
+
+describe('handleCellCollisions between any owners', () => {
+  test('people eat each other just like AI do', () => {
+    const other = { id: 2, kind: 'player', name: 'Other', cells: [{ x: 100, y: 100, score: 100 }] };
+    player.cells = [{ x: 100, y: 100, score: 400 }];
+    gameState.players = [player, other];
+
+    handleCellCollisions();
+
+    expect(player.cells[0].score).toBe(600);
+    // The other person stays in the game until they respawn
+    expect(gameState.players).toContain(other);
+    expect(other.cells.length).toBe(0);
+    expect(other.stats.killedBy).toBe('Player');
+  });
+
+  test('losing one of several cells is not dying, but is counted', () => {
+    const ai = createAI({ x: 100, y: 100, score: 400 });
+    player.cells = [{ x: 100, y: 100, score: 100 }, { x: 1000, y: 1000, score: 100 }];
+    gameState.players = [player, ai];
+
+    handleCellCollisions();
+
+    expect(player.cells.length).toBe(1);
+    expect(player.stats).toMatchObject({ cellsLost: 1, killedBy: null });
+    expect(ai.stats).toBeUndefined();
+  });
+
+  test('an AI with no cells left is removed', () => {
+    const ai = createAI({ x: 100, y: 100, score: 100 });
+    player.cells = [{ x: 100, y: 100, score: 400 }];
+    gameState.players = [player, ai];
+
+    handleCellCollisions();
+
+    expect(gameState.players).toEqual([player]);
+  });
+});
+
+describe('handleEjectedMassCollisions', () => {
+  beforeEach(() => {
+    player.cells = [];
+    gameState.players = [player];
+    gameState.ejectedMass = [];
+  });
+
+  test('player cell consumes a settled pellet', () => {
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: EJECT_PICKUP_DELAY }];
+
+    handleEjectedMassCollisions();
+
+    expect(gameState.ejectedMass.length).toBe(0);
+    expect(player.cells[0].score).toBe(112);
+  });
+
+  test('AI consumes a settled pellet', () => {
+    gameState.players = [player, createAI({ x: 100, y: 100, score: 50 })];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: EJECT_PICKUP_DELAY }];
+
+    handleEjectedMassCollisions();
+
+    expect(gameState.ejectedMass.length).toBe(0);
+    expect(getAIs()[0].cells[0].score).toBe(62);
+  });
+
+  test('freshly ejected pellets cannot be eaten yet', () => {
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: 0 }];
+
+    handleEjectedMassCollisions();
+
+    expect(gameState.ejectedMass.length).toBe(1);
+    expect(player.cells[0].score).toBe(100);
+  });
+
+  test('pellet is only eaten once', () => {
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+    gameState.players = [player, createAI({ x: 100, y: 100, score: 100 })];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: EJECT_PICKUP_DELAY }];
+
+    handleEjectedMassCollisions();
+
+    expect(player.cells[0].score + getAIs()[0].cells[0].score).toBe(212);
+  });
+
+  // Security: Input validation and edge cases
+  test('handles malformed cells safely', () => {
+    player.cells = [null, { x: 100 }];
+    gameState.players = [player, undefined];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: EJECT_PICKUP_DELAY }];
+
+    expect(() => handleEjectedMassCollisions()).not.toThrow();
+    expect(gameState.ejectedMass.length).toBe(1);
+  });
+
+  test('prevents score overflow', () => {
+    player.cells = [{ x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 5 }];
+    gameState.ejectedMass = [{ x: 100, y: 100, score: 12, age: EJECT_PICKUP_DELAY }];
+
+    handleEjectedMassCollisions();
+
+    expect(player.cells[0].score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
+  });
+});
+
+describe('handleVirusCollisions', () => {
+  beforeEach(() => {
+    player.cells = [];
+    gameState.players = [player];
+    gameState.ejectedMass = [];
+    gameState.viruses = [];
+  });
+
+  test('large player cell pops on a virus', () => {
+    player.cells = [{ x: 100, y: 100, score: 1000 }];
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+
+    handleVirusCollisions();
+
+    expect(gameState.viruses.length).toBe(0);
+    expect(player.cells.length).toBe(VIRUS_POP_PIECES);
+    const total = player.cells.reduce((sum, cell) => sum + cell.score, 0);
+    expect(total).toBeCloseTo(1000 + VIRUS_SCORE);
+  });
+
+  test('small player cell hides under a virus', () => {
+    player.cells = [{ x: 100, y: 100, score: 50 }];
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+
+    handleVirusCollisions();
+
+    expect(gameState.viruses.length).toBe(1);
+    expect(player.cells.length).toBe(1);
+    expect(player.cells[0].score).toBe(50);
+  });
+
+  test('large AI cell pops on a virus', () => {
+    const ai = createAI({ x: 100, y: 100, score: 1000 });
+    gameState.players = [player, ai];
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+
+    handleVirusCollisions();
+
+    expect(gameState.viruses.length).toBe(0);
+    expect(ai.cells.length).toBe(VIRUS_POP_PIECES);
+    const total = ai.cells.reduce((sum, cell) => sum + cell.score, 0);
+    expect(total).toBeCloseTo(1000 + VIRUS_SCORE);
+  });
+
+  test('large cell only pops when covering the virus', () => {
+    player.cells = [{ x: 100, y: 100, score: 1000 }];
+    gameState.viruses = [{ x: 160, y: 100, score: VIRUS_SCORE }];
+
+    handleVirusCollisions();
+
+    expect(gameState.viruses.length).toBe(1);
+    expect(player.cells.length).toBe(1);
+  });
+
+  test('ejected mass feeds a virus', () => {
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+    gameState.ejectedMass = [{ x: 110, y: 100, score: 12, age: 0 }];
+
+    handleVirusCollisions();
+
+    expect(gameState.ejectedMass.length).toBe(0);
+    expect(gameState.viruses[0].score).toBe(VIRUS_SCORE + 12);
+  });
+
+  test('fully fed virus shoots a new virus away from the feeder', () => {
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_MAX_SCORE - 1 }];
+    gameState.ejectedMass = [{ x: 90, y: 100, score: 12, age: 0 }];
+
+    handleVirusCollisions();
+
+    expect(gameState.viruses.length).toBe(2);
+    expect(gameState.viruses[0].score).toBe(VIRUS_SCORE);
+    expect(gameState.viruses[1].velocityX).toBeGreaterThan(0);
+  });
+
+  // Security: Input validation and edge cases
+  test('handles empty arrays safely', () => {
+    expect(() => handleVirusCollisions()).not.toThrow();
+  });
+
+  test('handles malformed player cells safely', () => {
+    player.cells = [null, { x: 100 }, undefined];
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+
+    expect(() => handleVirusCollisions()).not.toThrow();
+    expect(gameState.viruses.length).toBe(1);
+  });
+
+  test('prevents score overflow when popping', () => {
+    player.cells = [{ x: 100, y: 100, score: Number.MAX_SAFE_INTEGER - 10 }];
+    gameState.viruses = [{ x: 100, y: 100, score: VIRUS_SCORE }];
+
+    handleVirusCollisions();
+
+    player.cells.forEach(cell => {
+      expect(cell.score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
     });
   });
-});
\ No newline at end of file
+});
@@ -1,129 +1,204 @@
-import { splitPlayerCell, handlePlayerSplit, updatePlayer } from '../entities.js';
+import {
+  getMouseDirection,
+  splitCell,
+  splitOwner,
+  moveOwner,
+  applyCommand,
+  savePreviousPositions,
+  ejectMass,
+  updateEjectedMass,
+  popCell,
+  updateViruses,
+  updateDecay,
+  getDecayRate
+} from '../entities.js';
 import { gameState, mouse } from '../gameState.js';
-import { MIN_SPLIT_SCORE, MAX_PLAYER_CELLS } from '../config.js';
+import {
+  MIN_SPLIT_SCORE,
+  MAX_PLAYER_CELLS,
+  EJECT_MIN_SCORE,
+  EJECT_COST,
+  EJECT_MASS,
+  EJECT_VELOCITY,
+  VIRUS_POP_PIECES,
+  MERGE_COOLDOWN,
+  TICK_RATE,
+  BASE_DECAY_RATE,
+  DECAY_MIN_SCORE
+} from '../config.js';
 
 // Mock gameState and mouse
 jest.mock('../gameState.js', () => ({
+  ...jest.requireActual('../gameState.js'),
   gameState: {
-    playerCells: []
+    players: []
   },
   mouse: { x: 0, y: 0 }
 }));
 
-describe('splitPlayerCell', () => {
+// The owner whose cells the tests work on
+const player = { id: 1, kind: 'player', name: 'Player', color: '#00ff00', cells: [] };
+
+describe('splitCell', () => {
   beforeEach(() => {
-    gameState.playerCells = [];
+    player.cells = [];
   });
 
   test('does not split cell below minimum score', () => {
     const cell = { x: 100, y: 100, score: MIN_SPLIT_SCORE - 1 };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
 
-    splitPlayerCell(cell);
+    splitCell(cell, player, getMouseDirection());
 
-    expect(gameState.playerCells.length).toBe(1);
-    expect(gameState.playerCells[0].score).toBe(MIN_SPLIT_SCORE - 1);
+    expect(player.cells.length).toBe(1);
+    expect(player.cells[0].score).toBe(MIN_SPLIT_SCORE - 1);
   });
 
   test('splits cell with sufficient score', () => {
     const cell = { x: 100, y: 100, score: 100 };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
 
-    splitPlayerCell(cell);
+    splitCell(cell, player, getMouseDirection());
 
-    expect(gameState.playerCells.length).toBe(2);
-    expect(gameState.playerCells[0].score).toBe(50);
-    expect(gameState.playerCells[1].score).toBe(50);
+    expect(player.cells.length).toBe(2);
+    expect(player.cells[0].score).toBe(50);
+    expect(player.cells[1].score).toBe(50);
   });
 
   test('does not split when at max cells', () => {
     const cell = { x: 100, y: 100, score: 100 };
-    gameState.playerCells = Array(MAX_PLAYER_CELLS).fill({ ...cell });
+    player.cells = Array(MAX_PLAYER_CELLS).fill({ ...cell });
 
-    splitPlayerCell(cell);
+    splitCell(cell, player, getMouseDirection());
 
-    expect(gameState.playerCells.length).toBe(MAX_PLAYER_CELLS);
+    expect(player.cells.length).toBe(MAX_PLAYER_CELLS);
   });
 
   // Security: Input validation and bounds checking
   test('handles null/undefined cell safely', () => {
-    gameState.playerCells = [];
+    player.cells = [];
 
-    expect(() => splitPlayerCell(null)).not.toThrow();
-    expect(() => splitPlayerCell(undefined)).not.toThrow();
+    expect(() => splitCell(null, player, getMouseDirection())).not.toThrow();
+    expect(() => splitCell(undefined, player, getMouseDirection())).not.toThrow();
   });
 
   test('handles cell with missing properties safely', () => {
     const cell = { x: 100 };  // Missing y and score
-    gameState.playerCells = [cell];
+    player.cells = [cell];
 
-    expect(() => splitPlayerCell(cell)).not.toThrow();
+    expect(() => splitCell(cell, player, getMouseDirection())).not.toThrow();
   });
 
   test('handles negative score safely', () => {
     const cell = { x: 100, y: 100, score: -100 };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
 
-    splitPlayerCell(cell);
+    splitCell(cell, player, getMouseDirection());
 
     // Should not split with negative score
-    expect(gameState.playerCells.length).toBe(1);
+    expect(player.cells.length).toBe(1);
   });
 
   test('prevents score overflow during split', () => {
     const cell = { x: 100, y: 100, score: Number.MAX_SAFE_INTEGER };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
 
-    splitPlayerCell(cell);
+    splitCell(cell, player, getMouseDirection());
 
     // Verify all cells have valid scores
-    gameState.playerCells.forEach(c => {
+    player.cells.forEach(c => {
       expect(c.score).toBeLessThanOrEqual(Number.MAX_SAFE_INTEGER);
       expect(isFinite(c.score)).toBe(true);
     });
   });
 });
 
-describe('handlePlayerSplit', () => {
+describe('splitOwner', () => {
   beforeEach(() => {
-    gameState.playerCells = [];
+    player.cells = [];
   });
 
   test('splits all eligible cells', () => {
-    gameState.playerCells = [
+    player.cells = [
       { x: 100, y: 100, score: 100 },
       { x: 200, y: 200, score: MIN_SPLIT_SCORE - 1 },
       { x: 300, y: 300, score: 100 }
     ];
 
-    handlePlayerSplit();
+    splitOwner(player, getMouseDirection());
 
-    expect(gameState.playerCells.length).toBe(5);  // 2 split + 1 unchanged
+    expect(player.cells.length).toBe(5);  // 2 split + 1 unchanged
   });
 
   // Security: Input validation
   test('handles empty player cells array safely', () => {
-    gameState.playerCells = [];
+    player.cells = [];
 
-    expect(() => handlePlayerSplit()).not.toThrow();
-    expect(gameState.playerCells.length).toBe(0);
+    expect(() => splitOwner(player, getMouseDirection())).not.toThrow();
+    expect(player.cells.length).toBe(0);
   });
 
   test('handles malformed cells in array', () => {
-    gameState.playerCells = [
+    player.cells = [
       { x: 100, y: 100, score: 100 },
       null,
       { x: 200 },  // Missing properties
       undefined
     ];
 
-    expect(() => handlePlayerSplit()).not.toThrow();
+    expect(() => splitOwner(player, getMouseDirection())).not.toThrow();
+  });
+});
+
+describe('getMouseDirection', () => {
+  afterEach(() => {
+    mouse.x = 0;
+    mouse.y = 0;
+  });
+
+  test('steers from the middle of the screen without a camera', () => {
+    mouse.x = window.innerWidth / 2 + 10;
+    mouse.y = window.innerHeight / 2;
+
+    expect(getMouseDirection()).toEqual({ x: 1, y: 0 });
+  });
+
+  test('steers from the cells towards the mouse as placed in the world', () => {
+    const camera = { x: 1000, y: 1000, zoom: 0.5 };
+    mouse.x = 100;
+    mouse.y = 100;
+
+    // The mouse is at (1200, 1200) in the world, up and left of the cells
+    const direction = getMouseDirection(camera, { x: 1300, y: 1200 });
+
+    expect(direction).toEqual({ x: -1, y: 0 });
+  });
+
+  test('points the same way at any zoom with the cells centered', () => {
+    mouse.x = 700;
+    mouse.y = 300;
+    const direction = zoom => {
+      const camera = { x: 1000 - 400 / zoom, y: 1000 - 300 / zoom, zoom };
+      return getMouseDirection(camera, { x: 1000, y: 1000 });
+    };
+
+    expect(direction(0.25).x).toBeCloseTo(1);
+    expect(direction(2).x).toBeCloseTo(1);
+  });
+
+  // Security: Input validation and bounds checking
+  test('returns null with the mouse right over the cells or a broken camera', () => {
+    mouse.x = 0;
+    mouse.y = 0;
+
+    expect(getMouseDirection({ x: 500, y: 500, zoom: 1 }, { x: 500, y: 500 })).toBeNull();
+    expect(getMouseDirection({ x: 500, y: 500, zoom: 0 }, { x: 500, y: 500 })).toBeNull();
   });
 });
 
-describe('updatePlayer', () => {
+describe('moveOwner', () => {
   beforeEach(() => {
-    gameState.playerCells = [];
+    player.cells = [];
     mouse.x = 0;
     mouse.y = 0;
   });
@@ -136,7 +211,7 @@ describe('updatePlayer', () => {
       velocityX: 0, 
       velocityY: 0 
     };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
     
     // Set mouse far to the right and run multiple updates to overcome inertia
     mouse.x = 1000;
@@ -144,10 +219,10 @@ describe('updatePlayer', () => {
     
     // Run multiple updates to overcome initial inertia
     for (let i = 0; i < 5; i++) {
-      updatePlayer();
+      moveOwner(player, getMouseDirection());
     }
 
-    expect(gameState.playerCells[0].velocityX).toBeGreaterThan(0);  // Should move right
+    expect(player.cells[0].velocityX).toBeGreaterThan(0);  // Should move right
   });
 
   test('applies speed based on cell size', () => {
@@ -155,56 +230,56 @@ describe('updatePlayer', () => {
     const largeCell = { x: 100, y: 100, score: 400, velocityX: 0, velocityY: 0 };
 
     // Test small cell
-    gameState.playerCells = [smallCell];
+    player.cells = [smallCell];
     mouse.x = 200;
-    updatePlayer();
-    const smallCellSpeed = Math.abs(gameState.playerCells[0].velocityX);
+    moveOwner(player, getMouseDirection());
+    const smallCellSpeed = Math.abs(player.cells[0].velocityX);
 
     // Test large cell
-    gameState.playerCells = [largeCell];
+    player.cells = [largeCell];
     mouse.x = 200;
-    updatePlayer();
-    const largeCellSpeed = Math.abs(gameState.playerCells[0].velocityX);
+    moveOwner(player, getMouseDirection());
+    const largeCellSpeed = Math.abs(player.cells[0].velocityX);
 
     expect(smallCellSpeed).toBeGreaterThan(largeCellSpeed);  // Smaller cells move faster
   });
 
   // Security: Input validation and bounds checking
   test('handles empty player cells array safely', () => {
-    gameState.playerCells = [];
+    player.cells = [];
     mouse.x = 100;
     mouse.y = 100;
 
-    expect(() => updatePlayer()).not.toThrow();
+    expect(() => moveOwner(player, getMouseDirection())).not.toThrow();
   });
 
   test('handles cells with missing velocity properties', () => {
     const cell = { x: 100, y: 100, score: 100 };  // Missing velocityX, velocityY
-    gameState.playerCells = [cell];
+    player.cells = [cell];
     mouse.x = 200;
     mouse.y = 200;
 
-    expect(() => updatePlayer()).not.toThrow();
+    expect(() => moveOwner(player, getMouseDirection())).not.toThrow();
   });
 
   test('handles extreme mouse coordinates', () => {
     const cell = { x: 0, y: 0, score: 100, velocityX: 0, velocityY: 0 };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
     mouse.x = Number.MAX_SAFE_INTEGER;
     mouse.y = Number.MAX_SAFE_INTEGER;
 
-    expect(() => updatePlayer()).not.toThrow();
-    expect(isFinite(gameState.playerCells[0].velocityX)).toBe(true);
-    expect(isFinite(gameState.playerCells[0].velocityY)).toBe(true);
+    expect(() => moveOwner(player, getMouseDirection())).not.toThrow();
+    expect(isFinite(player.cells[0].velocityX)).toBe(true);
+    expect(isFinite(player.cells[0].velocityY)).toBe(true);
   });
 
   test('handles negative mouse coordinates', () => {
     const cell = { x: 100, y: 100, score: 100, velocityX: 0, velocityY: 0 };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
     mouse.x = -1000;
     mouse.y = -1000;
 
-    expect(() => updatePlayer()).not.toThrow();
+    expect(() => moveOwner(player, getMouseDirection())).not.toThrow();
   });
 
   test('prevents position overflow with extreme velocities', () => {
@@ -215,13 +290,388 @@ describe('updatePlayer', () => {
       velocityX: 1000, 
       velocityY: 1000 
     };
-    gameState.playerCells = [cell];
+    player.cells = [cell];
     mouse.x = Number.MAX_SAFE_INTEGER;
     mouse.y = Number.MAX_SAFE_INTEGER;
 
-    updatePlayer();
+    moveOwner(player, getMouseDirection());
+
+    expect(isFinite(player.cells[0].x)).toBe(true);
+    expect(isFinite(player.cells[0].y)).toBe(true);
+  });
+});
+
+describe('merge cooldown', () => {
+  const SPLIT_AT = 5000;
+
+  beforeEach(() => {
+    player.cells = [{ x: 500, y: 500, score: 100, velocityX: 0, velocityY: 0 }];
+    splitCell(player.cells[0], player, { x: 1, y: 0 }, SPLIT_AT);
+    player.cells.forEach(cell => {
+      cell.x = 500;
+      cell.velocityX = 0;
+    });
+  });
+
+  test('stamps both halves of a split with the simulation time', () => {
+    expect(player.cells.map(cell => cell.splitTime)).toEqual([SPLIT_AT, SPLIT_AT]);
+  });
+
+  test('keeps split cells apart until the cooldown has passed', () => {
+    moveOwner(player, null, SPLIT_AT + MERGE_COOLDOWN);
+    expect(player.cells).toHaveLength(2);
+
+    moveOwner(player, null, SPLIT_AT + MERGE_COOLDOWN + 1);
+    expect(player.cells).toHaveLength(1);
+  });
+
+  test('goes by simulation time, not the wall clock', () => {
+    const wallClock = jest.spyOn(Date, 'now').mockReturnValue(SPLIT_AT + MERGE_COOLDOWN * 100);
+
+    moveOwner(player, null, SPLIT_AT + 1);
+
+    expect(player.cells).toHaveLength(2);
+    wallClock.mockRestore();
+  });
+
+  test('applyCommand reads the time from the state', () => {
+    applyCommand({ ejectedMass: [], time: SPLIT_AT + MERGE_COOLDOWN + 1 }, player, {});
+
+    expect(player.cells).toHaveLength(1);
+  });
+
+  test('stamps the pieces of a popped cell too', () => {
+    player.cells = [{ x: 500, y: 500, score: 400, velocityX: 0, velocityY: 0 }];
+
+    popCell(player.cells[0], player, 1234);
+
+    expect(player.cells.every(cell => cell.splitTime === 1234)).toBe(true);
+  });
+});
+
+describe('savePreviousPositions', () => {
+  beforeEach(() => {
+    gameState.players = [];
+    gameState.ejectedMass = [];
+    gameState.viruses = [];
+  });
+
+  test('records current positions of every owner\'s cells', () => {
+    player.cells = [{ x: 100, y: 200, score: 100 }];
+    const ai = { id: 2, kind: 'ai', cells: [{ x: 300, y: 400, score: 50 }, { x: 500, y: 600, score: 50 }] };
+    gameState.players = [player, ai];
+
+    savePreviousPositions();
+
+    expect(player.cells[0]).toMatchObject({ prevX: 100, prevY: 200 });
+    expect(ai.cells[0]).toMatchObject({ prevX: 300, prevY: 400 });
+    expect(ai.cells[1]).toMatchObject({ prevX: 500, prevY: 600 });
+  });
+
+  test('handles malformed entries safely', () => {
+    player.cells = [null, undefined];
+    gameState.players = [player, null, {}];
+
+    expect(() => savePreviousPositions()).not.toThrow();
+  });
+});
+
+describe('ejectMass', () => {
+  beforeEach(() => {
+    player.cells = [];
+    gameState.ejectedMass = [];
+  });
+
+  test('spends score from each eligible cell and spawns a pellet', () => {
+    player.cells = [
+      { x: 100, y: 100, score: 100 },
+      { x: 300, y: 300, score: EJECT_MIN_SCORE - 1 }
+    ];
+
+    ejectMass(gameState, player, { x: 1, y: 0 });
+
+    expect(player.cells[0].score).toBe(100 - EJECT_COST);
+    expect(player.cells[1].score).toBe(EJECT_MIN_SCORE - 1);
+    expect(gameState.ejectedMass.length).toBe(1);
+    expect(gameState.ejectedMass[0].score).toBe(EJECT_MASS);
+  });
+
+  test('launches the pellet outside the cell in the given direction', () => {
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+
+    ejectMass(gameState, player, { x: 0, y: 1 });
+
+    const pellet = gameState.ejectedMass[0];
+    expect(pellet.x).toBe(100);
+    expect(pellet.y).toBeGreaterThan(100);
+    expect(pellet.velocityY).toBe(EJECT_VELOCITY);
+  });
+
+  // Security: Input validation
+  test('does nothing without a direction', () => {
+    player.cells = [{ x: 100, y: 100, score: 100 }];
+
+    ejectMass(gameState, player, null);
+
+    expect(gameState.ejectedMass.length).toBe(0);
+    expect(player.cells[0].score).toBe(100);
+  });
+
+  test('handles malformed cells in array', () => {
+    player.cells = [null, { x: 100 }, undefined];
+
+    expect(() => ejectMass(gameState, player, { x: 1, y: 0 })).not.toThrow();
+    expect(gameState.ejectedMass.length).toBe(0);
+  });
+});
+
+describe('updateEjectedMass', () => {
+  beforeEach(() => {
+    gameState.ejectedMass = [];
+  });
+
+  test('moves pellets and slows them down', () => {
+    gameState.ejectedMass = [{ x: 100, y: 100, velocityX: 10, velocityY: 0, age: 0 }];
+
+    updateEjectedMass();
+
+    const pellet = gameState.ejectedMass[0];
+    expect(pellet.x).toBe(110);
+    expect(pellet.velocityX).toBeLessThan(10);
+    expect(pellet.age).toBe(1);
+  });
+
+  test('pellets eventually come to rest', () => {
+    gameState.ejectedMass = [{ x: 100, y: 100, velocityX: 20, velocityY: 20, age: 0 }];
+
+    for (let i = 0; i < 200; i++) {
+      updateEjectedMass();
+    }
+
+    expect(gameState.ejectedMass[0].velocityX).toBe(0);
+    expect(gameState.ejectedMass[0].velocityY).toBe(0);
+  });
+
+  test('keeps pellets inside the world', () => {
+    gameState.ejectedMass = [{ x: 5, y: 5, velocityX: -100, velocityY: -100, age: 0 }];
+
+    updateEjectedMass();
 
-    expect(isFinite(gameState.playerCells[0].x)).toBe(true);
-    expect(isFinite(gameState.playerCells[0].y)).toBe(true);
+    expect(gameState.ejectedMass[0].x).toBe(0);
+    expect(gameState.ejectedMass[0].y).toBe(0);
   });
-});
\ No newline at end of file
+});
+
+describe('splitOwner with AI owners', () => {
+  test('splits an AI\'s cells the same way, tagging new cells with the owner', () => {
+    const ai = { id: 7, kind: 'ai', cells: [{ ownerId: 7, x: 100, y: 100, score: 200 }, { ownerId: 7, x: 300, y: 300, score: MIN_SPLIT_SCORE - 1 }] };
+
+    splitOwner(ai, { x: 0, y: 1 });
+
+    expect(ai.cells.length).toBe(3);
+    expect(ai.cells[0].score).toBe(100);
+    expect(ai.cells[2]).toMatchObject({ ownerId: 7, score: 100, velocityX: 0 });
+    expect(ai.cells[2].velocityY).toBeGreaterThan(0);
+  });
+
+  test('respects the cell limit', () => {
+    const ai = { id: 7, kind: 'ai', cells: Array.from({ length: MAX_PLAYER_CELLS }, () => ({ x: 0, y: 0, score: 200 })) };
+
+    splitOwner(ai, { x: 1, y: 0 });
+
+    expect(ai.cells.length).toBe(MAX_PLAYER_CELLS);
+  });
+});
+
+describe('applyCommand', () => {
+  beforeEach(() => {
+    gameState.ejectedMass = [];
+  });
+
+  test('splits, ejects and moves an owner in one go', () => {
+    player.cells = [{ x: 100, y: 100, score: 200, velocityX: 0, velocityY: 0 }];
+
+    applyCommand(gameState, player, { direction: { x: 1, y: 0 }, split: true, eject: true });
+
+    expect(player.cells.length).toBe(2);
+    expect(gameState.ejectedMass.length).toBe(2);
+    expect(gameState.ejectedMass[0].color).toBe(player.color);
+  });
+
+  test('only moves when nothing else is asked for', () => {
+    player.cells = [{ x: 100, y: 100, score: 200, velocityX: 0, velocityY: 0 }];
+
+    applyCommand(gameState, player, { direction: { x: 1, y: 0 } });
+
+    expect(player.cells.length).toBe(1);
+    expect(gameState.ejectedMass.length).toBe(0);
+    expect(player.cells[0].x).toBeGreaterThan(100);
+  });
+
+  // Security: Input validation
+  test('handles missing owners and commands safely', () => {
+    expect(() => applyCommand(gameState, null, {})).not.toThrow();
+    expect(() => applyCommand(gameState, {}, {})).not.toThrow();
+    expect(() => applyCommand(gameState, player)).not.toThrow();
+  });
+});
+
+describe('popCell', () => {
+  beforeEach(() => {
+    player.cells = [];
+  });
+
+  test('breaks a cell into equal pieces keeping its score', () => {
+    const cell = { x: 100, y: 100, score: 800 };
+    player.cells = [cell];
+
+    popCell(cell, player);
+
+    expect(player.cells.length).toBe(VIRUS_POP_PIECES);
+    const total = player.cells.reduce((sum, c) => sum + c.score, 0);
+    expect(total).toBeCloseTo(800);
+    player.cells.forEach(c => expect(c.score).toBeCloseTo(800 / VIRUS_POP_PIECES));
+  });
+
+  test('never exceeds the maximum number of cells', () => {
+    const cell = { x: 100, y: 100, score: 800 };
+    const others = Array.from({ length: MAX_PLAYER_CELLS - 3 }, () => ({ x: 0, y: 0, score: 50 }));
+    player.cells = [cell, ...others];
+
+    popCell(cell, player);
+
+    expect(player.cells.length).toBe(MAX_PLAYER_CELLS);
+  });
+
+  test('leaves the cell whole when already at the cell limit', () => {
+    const cell = { x: 100, y: 100, score: 800 };
+    player.cells = [cell, ...Array(MAX_PLAYER_CELLS - 1).fill({ x: 0, y: 0, score: 50 })];
+
+    popCell(cell, player);
+
+    expect(player.cells.length).toBe(MAX_PLAYER_CELLS);
+    expect(cell.score).toBe(800);
+  });
+
+  test('tags every piece with the owner', () => {
+    const cell = { ownerId: 7, x: 100, y: 100, score: 800 };
+    const ai = { id: 7, kind: 'ai', cells: [cell] };
+
+    popCell(cell, ai);
+
+    expect(ai.cells.length).toBe(VIRUS_POP_PIECES);
+    ai.cells.forEach(piece => expect(piece.ownerId).toBe(7));
+  });
+
+  // Security: Input validation
+  test('handles null/undefined cell safely', () => {
+    expect(() => popCell(null, player)).not.toThrow();
+    expect(() => popCell(undefined, player)).not.toThrow();
+  });
+});
+
+describe('updateViruses', () => {
+  beforeEach(() => {
+    gameState.viruses = [];
+  });
+
+  test('moves shot viruses until they stop', () => {
+    gameState.viruses = [{ x: 100, y: 100, score: 100, velocityX: 20, velocityY: 0 }];
+
+    for (let i = 0; i < 200; i++) {
+      updateViruses();
+    }
+
+    expect(gameState.viruses[0].x).toBeGreaterThan(100);
+    expect(gameState.viruses[0].velocityX).toBe(0);
+  });
+
+  test('leaves resting viruses in place', () => {
+    gameState.viruses = [{ x: 100, y: 100, score: 100, velocityX: 0, velocityY: 0 }];
+
+    updateViruses();
+
+    expect(gameState.viruses[0]).toMatchObject({ x: 100, y: 100 });
+  });
+});
+
+describe('updateDecay', () => {
+  const ai = { id: 2, kind: 'ai', name: 'AI', color: '#ff0000', cells: [] };
+  const state = () => ({ players: [player, ai] });
+
+  beforeEach(() => {
+    player.cells = [];
+    ai.cells = [];
+  });
+
+  test('shrinks player and AI cells above the minimum', () => {
+    player.cells = [{ x: 0, y: 0, score: 500 }];
+    ai.cells = [{ x: 0, y: 0, score: 500 }];
+
+    updateDecay(state());
+
+    expect(player.cells[0].score).toBeLessThan(500);
+    expect(ai.cells[0].score).toBe(player.cells[0].score);
+  });
+
+  test('loses the decay rate of the score above the minimum each second', () => {
+    player.cells = [{ x: 0, y: 0, score: 300 }];
+    const expected = 300 - (300 - DECAY_MIN_SCORE) * getDecayRate(300);
+
+    updateDecay(state(), 1000);
+
+    expect(player.cells[0].score).toBeCloseTo(expected);
+  });
+
+  test('adds up to about the same over a second of ticks', () => {
+    player.cells = [{ x: 0, y: 0, score: 300 }];
+    ai.cells = [{ x: 0, y: 0, score: 300 }];
+
+    updateDecay({ players: [player] }, 1000);
+    for (let i = 0; i < TICK_RATE; i++) {
+      updateDecay({ players: [ai] });
+    }
+
+    expect(ai.cells[0].score).toBeCloseTo(player.cells[0].score, 0);
+  });
+
+  test('decays bigger cells faster', () => {
+    expect(getDecayRate(DECAY_MIN_SCORE * 2)).toBeGreaterThan(BASE_DECAY_RATE);
+    expect(getDecayRate(DECAY_MIN_SCORE * 10)).toBeGreaterThan(getDecayRate(DECAY_MIN_SCORE * 2));
+  });
+
+  test('leaves cells at or below the minimum alone', () => {
+    player.cells = [{ x: 0, y: 0, score: DECAY_MIN_SCORE }, { x: 0, y: 0, score: 20 }];
+
+    updateDecay(state(), 60000);
+
+    expect(player.cells.map(cell => cell.score)).toEqual([DECAY_MIN_SCORE, 20]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('never takes a cell below the minimum, however long the step', () => {
+    player.cells = [{ x: 0, y: 0, score: 1e6 }];
+
+    updateDecay(state(), 1e9);
+
+    expect(player.cells[0].score).toBe(DECAY_MIN_SCORE);
+  });
+
+  test('prevents score overflow with extremely large values', () => {
+    player.cells = [{ x: 0, y: 0, score: Number.MAX_SAFE_INTEGER }];
+
+    updateDecay(state());
+
+    expect(Number.isFinite(player.cells[0].score)).toBe(true);
+    expect(player.cells[0].score).toBeLessThan(Number.MAX_SAFE_INTEGER);
+    expect(player.cells[0].score).toBeGreaterThan(DECAY_MIN_SCORE);
+  });
+
+  test('ignores negative time and malformed cells', () => {
+    player.cells = [{ x: 0, y: 0, score: 500 }, null, { x: 0, y: 0 }, { x: 0, y: 0, score: NaN }];
+
+    expect(() => updateDecay({ players: [player, null, { id: 3 }] }, -1000)).not.toThrow();
+    expect(player.cells[0].score).toBe(500);
+    expect(Number.isNaN(player.cells[3].score)).toBe(true);
+  });
+});
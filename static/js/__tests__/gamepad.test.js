@@ -0,0 +1,69 @@
+import { applyDeadZone, GamepadInput } from '../gamepad.js';
+
+function padState(axes, pressedButtons = []) {
+  return {
+    axes,
+    buttons: Array.from({ length: 16 }, (_, index) => ({ pressed: pressedButtons.includes(index) }))
+  };
+}
+
+describe('applyDeadZone', () => {
+  test('returns a unit vector outside the dead zone', () => {
+    const direction = applyDeadZone(0.3, 0.4, 0.2);
+    expect(direction.x).toBeCloseTo(0.6);
+    expect(direction.y).toBeCloseTo(0.8);
+  });
+
+  test('ignores stick drift inside the dead zone', () => {
+    expect(applyDeadZone(0.1, 0.1, 0.2)).toBeNull();
+    expect(applyDeadZone(0, 0, 0.2)).toBeNull();
+  });
+
+  // Security: Input validation
+  test('handles NaN axes safely', () => {
+    expect(applyDeadZone(NaN, 0, 0.2)).toBeNull();
+  });
+});
+
+describe('GamepadInput', () => {
+  const buttons = { split: 0, eject: 2, pause: 9 };
+
+  test('steers with the left stick', () => {
+    const input = new GamepadInput(buttons, 0.2);
+
+    expect(input.read(padState([1, 0])).direction).toEqual({ x: 1, y: 0 });
+    expect(input.read(padState([0.05, 0])).direction).toBeNull();
+  });
+
+  test('triggers actions once per button press', () => {
+    const input = new GamepadInput(buttons, 0.2);
+
+    expect(input.read(padState([0, 0], [0])).actions).toEqual(['split']);
+    expect(input.read(padState([0, 0], [0])).actions).toEqual([]);
+    expect(input.read(padState([0, 0], [])).actions).toEqual([]);
+    expect(input.read(padState([0, 0], [0])).actions).toEqual(['split']);
+  });
+
+  test('handles several buttons at once', () => {
+    const input = new GamepadInput(buttons, 0.2);
+
+    expect(input.read(padState([0, 0], [0, 2, 9])).actions).toEqual(['split', 'eject', 'pause']);
+  });
+
+  test('reset forgets held buttons', () => {
+    const input = new GamepadInput(buttons, 0.2);
+    input.read(padState([0, 0], [0]));
+
+    input.reset();
+
+    expect(input.read(padState([0, 0], [0])).actions).toEqual(['split']);
+  });
+
+  // Security: Input validation
+  test('handles pads with missing axes or buttons', () => {
+    const input = new GamepadInput(buttons, 0.2);
+
+    expect(() => input.read({ axes: [], buttons: [] })).not.toThrow();
+    expect(input.read({ axes: [], buttons: [null] })).toEqual({ direction: null, actions: [] });
+  });
+});
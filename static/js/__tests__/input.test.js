@@ -0,0 +1,152 @@
+import {
+  getKeyBindings,
+  setKeyBindings,
+  bindKey,
+  resetKeyBindings,
+  getActionForKey,
+  onAction,
+  captureNextKey,
+  handleKeyDown,
+  formatKeyCode
+} from '../input.js';
+import { DEFAULT_KEY_BINDINGS } from '../config.js';
+
+function keyEvent(code, options = {}) {
+  return {
+    code,
+    repeat: false,
+    target: document.body,
+    preventDefault: jest.fn(),
+    ...options
+  };
+}
+
+describe('key bindings', () => {
+  beforeEach(() => {
+    resetKeyBindings();
+  });
+
+  test('start with the default bindings', () => {
+    expect(getKeyBindings()).toEqual(DEFAULT_KEY_BINDINGS);
+    expect(getActionForKey('Space')).toBe('split');
+    expect(getActionForKey('KeyW')).toBe('eject');
+  });
+
+  test('bindKey rebinds an action', () => {
+    bindKey('split', 'KeyS');
+
+    expect(getActionForKey('KeyS')).toBe('split');
+    expect(getActionForKey('Space')).toBeNull();
+  });
+
+  test('bindKey swaps keys with a conflicting action', () => {
+    bindKey('split', 'KeyW');
+
+    expect(getKeyBindings().split).toBe('KeyW');
+    expect(getKeyBindings().eject).toBe('Space');
+  });
+
+  test('setKeyBindings applies saved bindings', () => {
+    setKeyBindings({ ...DEFAULT_KEY_BINDINGS, pause: 'Escape' });
+
+    expect(getActionForKey('Escape')).toBe('pause');
+  });
+
+  // Security: Input validation
+  test('setKeyBindings ignores unknown actions and invalid codes', () => {
+    setKeyBindings({ split: 42, eject: '', hack: 'KeyH' });
+
+    expect(getKeyBindings()).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+
+  test('setKeyBindings handles missing or malformed data', () => {
+    expect(() => setKeyBindings(null)).not.toThrow();
+    expect(() => setKeyBindings('Space')).not.toThrow();
+    expect(getKeyBindings()).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+
+  test('bindKey ignores unknown actions', () => {
+    bindKey('hack', 'KeyH');
+
+    expect(getKeyBindings()).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+});
+
+describe('handleKeyDown', () => {
+  const splitHandler = jest.fn();
+  const ejectHandler = jest.fn();
+  const pauseHandler = jest.fn();
+
+  beforeAll(() => {
+    onAction('split', splitHandler);
+    onAction('eject', ejectHandler);
+    onAction('pause', pauseHandler);
+  });
+
+  beforeEach(() => {
+    resetKeyBindings();
+    jest.clearAllMocks();
+  });
+
+  test('runs the handler for a bound key', () => {
+    const event = keyEvent('Space');
+
+    expect(handleKeyDown(event)).toBe('split');
+    expect(splitHandler).toHaveBeenCalledTimes(1);
+    expect(event.preventDefault).toHaveBeenCalled();
+  });
+
+  test('ignores unbound keys', () => {
+    const event = keyEvent('KeyQ');
+
+    expect(handleKeyDown(event)).toBeNull();
+    expect(event.preventDefault).not.toHaveBeenCalled();
+  });
+
+  test('follows rebinding', () => {
+    bindKey('split', 'KeyS');
+
+    handleKeyDown(keyEvent('KeyS'));
+    handleKeyDown(keyEvent('Space'));
+
+    expect(splitHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('repeats only repeatable actions while a key is held', () => {
+    handleKeyDown(keyEvent('KeyW', { repeat: true }));
+    handleKeyDown(keyEvent('KeyP', { repeat: true }));
+
+    expect(ejectHandler).toHaveBeenCalledTimes(1);
+    expect(pauseHandler).not.toHaveBeenCalled();
+  });
+
+  test('ignores keys typed into text fields', () => {
+    const input = document.createElement('input');
+
+    expect(handleKeyDown(keyEvent('Space', { target: input }))).toBeNull();
+    expect(splitHandler).not.toHaveBeenCalled();
+  });
+
+  test('captured key goes to the capture callback instead of the game', () => {
+    const callback = jest.fn();
+    captureNextKey(callback);
+
+    handleKeyDown(keyEvent('Space'));
+    handleKeyDown(keyEvent('Space'));
+
+    expect(callback).toHaveBeenCalledWith('Space');
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(splitHandler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('formatKeyCode', () => {
+  test('formats common key codes', () => {
+    expect(formatKeyCode('KeyW')).toBe('W');
+    expect(formatKeyCode('Digit1')).toBe('1');
+    expect(formatKeyCode('Space')).toBe('Space');
+    expect(formatKeyCode('Equal')).toBe('=');
+    expect(formatKeyCode('ArrowUp')).toBe('Up Arrow');
+    expect(formatKeyCode('F5')).toBe('F5');
+  });
+});
@@ -0,0 +1,258 @@
+import { WORLD_VIEW, getViewScale, getViewRect, isInView, findVisible, AreaOfInterest } from '../interest.js';
+import { createGameState, createOwner } from '../gameState.js';
+import { getSize } from '../utils.js';
+import { buildSpatialIndex } from '../spatialGrid.js';
+import { GameWorld } from '../world.js';
+import { STARTING_SCORE, TICK_DURATION, VIEW_WIDTH, VIEW_HEIGHT, INTEREST_MARGIN, VIEW_SPREAD_MARGIN, FOOD_SIZE, WORLD_SIZE } from '../config.js';
+
+const cell = (x, y, score = STARTING_SCORE) => ({ x, y, score });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+// A state with one player at (x, y) and whatever else is passed in
+function createState({ x = 1000, y = 1000, food = [], others = [] } = {}) {
+  const state = createGameState({ localPlayer: false });
+  const player = createOwner(state, { kind: 'player', name: 'Alice', color: 'red', x, y, score: STARTING_SCORE });
+  state.players.push(player);
+  others.forEach(([ox, oy]) => {
+    state.players.push(createOwner(state, { kind: 'ai', name: 'AI', color: 'blue', x: ox, y: oy, score: STARTING_SCORE }));
+  });
+  state.food = food.map(([fx, fy]) => ({ x: fx, y: fy, color: 'green' }));
+  return { state, player };
+}
+
+describe('getViewRect', () => {
+  test('centers a starting-size view on the cells, plus the margin', () => {
+    const view = getViewRect([cell(1000, 1000)]);
+
+    expect(view).toEqual({
+      left: 1000 - VIEW_WIDTH / 2 - INTEREST_MARGIN,
+      top: 1000 - VIEW_HEIGHT / 2 - INTEREST_MARGIN,
+      right: 1000 + VIEW_WIDTH / 2 + INTEREST_MARGIN,
+      bottom: 1000 + VIEW_HEIGHT / 2 + INTEREST_MARGIN
+    });
+  });
+
+  test('follows the center of mass of several cells', () => {
+    const view = getViewRect([cell(1000, 800, 100), cell(1000, 1200, 300)], 0);
+
+    expect((view.top + view.bottom) / 2).toBe(1100);
+  });
+
+  test('stops at the edges of the world, like the camera', () => {
+    const view = getViewRect([cell(100, WORLD_SIZE - 100)], 0);
+
+    expect(view).toEqual({ left: 0, top: WORLD_SIZE - VIEW_HEIGHT, right: VIEW_WIDTH, bottom: WORLD_SIZE });
+  });
+
+  test('sees further with more mass', () => {
+    const small = getViewRect([cell(0, 0)], 0);
+    const large = getViewRect([cell(0, 0, 900), cell(0, 0, 900)], 0);
+
+    expect(getViewScale([cell(0, 0, 1800)])).toBeCloseTo(getSize(1800) / getSize(STARTING_SCORE));
+    expect(large.right - large.left).toBeCloseTo((small.right - small.left) * getViewScale([cell(0, 0, 1800)]));
+  });
+
+  test('never shrinks below a starting-size view', () => {
+    expect(getViewScale([cell(0, 0, 1)])).toBe(1);
+  });
+
+  test('widen to fit cells spread far apart', () => {
+    const spread = [cell(0, 0), cell(3000, 0)];
+    const center = 1500;
+    const radius = getSize(STARTING_SCORE);
+
+    expect(getViewScale(spread)).toBeCloseTo((center + radius + VIEW_SPREAD_MARGIN) * 2 / VIEW_WIDTH);
+    expect(getViewScale(spread, 800, 600)).toBeCloseTo((center + radius + VIEW_SPREAD_MARGIN) * 2 / 800);
+  });
+
+  test('fit the taller of the two sides too', () => {
+    const spread = [cell(0, 0), cell(0, 1200)];
+
+    expect(getViewScale(spread)).toBeCloseTo((600 + getSize(STARTING_SCORE) + VIEW_SPREAD_MARGIN) * 2 / VIEW_HEIGHT);
+  });
+});
+
+describe('isInView', () => {
+  const view = { left: 0, top: 0, right: 100, bottom: 100 };
+
+  test('counts anything reaching into the view', () => {
+    expect(isInView(view, 50, 50)).toBe(true);
+    expect(isInView(view, -5, 50, 10)).toBe(true);
+    expect(isInView(view, 110, 110, 10)).toBe(true);
+  });
+
+  test('leaves out anything wholly outside', () => {
+    expect(isInView(view, -11, 50, 10)).toBe(false);
+    expect(isInView(view, 50, 200, 10)).toBe(false);
+  });
+
+  // Security: Input validation and bounds checking
+  test('leaves out entities with no real position', () => {
+    expect(isInView(view, NaN, 50)).toBe(false);
+    expect(isInView(WORLD_VIEW, undefined, 50)).toBe(false);
+  });
+});
+
+describe('findVisible', () => {
+  test('keeps only what is in view', () => {
+    const { state } = createState({ food: [[10, 10], [1500, 1500]], others: [[20, 20], [1900, 1900]] });
+    state.viruses = [{ x: 50, y: 50, score: 100 }, { x: 1800, y: 1800, score: 100 }];
+    const view = { left: 0, top: 0, right: 100, bottom: 100 };
+
+    const visible = findVisible(state, view);
+
+    expect(visible.food).toEqual([state.food[0]]);
+    expect(visible.players).toEqual([state.players[1]]);
+    expect(visible.viruses).toEqual([state.viruses[0]]);
+  });
+
+  test('keeps owners whole when any of their cells is in view', () => {
+    const { state } = createState({ others: [[20, 20]] });
+    state.players[1].cells.push({ ...state.players[1].cells[0], x: 1900, y: 1900 });
+
+    const visible = findVisible(state, { left: 0, top: 0, right: 100, bottom: 100 });
+
+    expect(visible.players).toEqual([state.players[1]]);
+    expect(visible.players[0].cells).toHaveLength(2);
+  });
+
+  test('always keeps the viewer', () => {
+    const { state, player } = createState({ x: 1900, y: 1900 });
+
+    const visible = findVisible(state, { left: 0, top: 0, right: 100, bottom: 100 }, player.id);
+
+    expect(visible.players).toEqual([player]);
+  });
+
+  test('finds the same with a spatial index as without', () => {
+    const world = new GameWorld({ seed: 5 });
+    world.step(TICK_DURATION * 30);
+    const player = world.state.players[0];
+    const view = getViewRect(player.cells);
+    const sameAs = list => expect.arrayContaining(list);
+
+    const visible = findVisible(world.state, view, player.id, world.spatialIndex);
+    const scanned = findVisible(world.state, view, player.id);
+
+    Object.keys(scanned).forEach(type => {
+      expect(visible[type]).toHaveLength(scanned[type].length);
+      expect(visible[type]).toEqual(sameAs(scanned[type]));
+    });
+  });
+
+  test('looks up what is near the view in the index instead of going through the world', () => {
+    const { state, player } = createState({ food: [[1000, 1050], [100, 100]], others: [[1100, 1000], [100, 100]] });
+    const index = buildSpatialIndex(state);
+    ['food', 'ejectedMass', 'viruses'].forEach(type => {
+      Object.defineProperty(state, type, { get: () => { throw new Error(`went through ${type}`); } });
+    });
+
+    const visible = findVisible(state, getViewRect(player.cells), player.id, index);
+
+    expect(visible.food).toEqual([index.food.queryRadius(1000, 1050, 0)[0]]);
+    expect(visible.players.map(owner => owner.cells[0].x)).toEqual(expect.arrayContaining([1000, 1100]));
+    expect(visible.players).toHaveLength(2);
+  });
+});
+
+describe('AreaOfInterest', () => {
+  test('reports everything in view as entering at first', () => {
+    const { state, player } = createState({ x: 500, y: 500, food: [[600, 600]] });
+    const interest = new AreaOfInterest(player.id);
+
+    const { entered, updated, left } = interest.update(state);
+
+    expect(entered.players).toEqual([player]);
+    expect(entered.food).toEqual(state.food);
+    expect(updated.players).toEqual([]);
+    expect(left.food).toEqual([]);
+  });
+
+  test('tells entering, updated and leaving entities apart', () => {
+    const { state, player } = createState({ x: 500, y: 500, food: [[600, 600], [700, 700]] });
+    const interest = new AreaOfInterest(player.id);
+    interest.update(state);
+    const [kept, eaten] = state.food;
+
+    state.food = [kept, { x: 550, y: 550, color: 'green' }];
+    const { entered, updated, left } = interest.update(state);
+
+    expect(entered.food).toEqual([state.food[1]]);
+    expect(updated.food).toEqual([kept]);
+    expect(left.food).toEqual([eaten]);
+    expect(updated.players).toEqual([player]);
+  });
+
+  test('follows the viewer as it moves', () => {
+    const far = [1900, 1900];
+    const { state, player } = createState({ x: 100, y: 100, food: [far] });
+    const interest = new AreaOfInterest(player.id);
+    expect(interest.update(state).visible.food).toEqual([]);
+
+    player.cells[0].x = 1800;
+    player.cells[0].y = 1800;
+    const { entered } = interest.update(state);
+
+    expect(entered.food).toEqual(state.food);
+  });
+
+  test('keeps track of owners by id as their cells change', () => {
+    const { state, player } = createState({ x: 500, y: 500, others: [[600, 600]] });
+    const interest = new AreaOfInterest(player.id);
+    interest.update(state);
+
+    state.players[1] = { ...state.players[1], cells: [{ ...state.players[1].cells[0], x: 650 }] };
+    const { entered, updated } = interest.update(state);
+
+    expect(entered.players).toEqual([]);
+    expect(updated.players.map(owner => owner.id)).toEqual([player.id, state.players[1].id]);
+  });
+
+  test('leaves the view where it was while the viewer has no cells', () => {
+    const { state, player } = createState({ x: 100, y: 100 });
+    const interest = new AreaOfInterest(player.id);
+    interest.update(state);
+    const view = interest.view;
+
+    player.cells = [];
+    interest.update(state);
+
+    expect(interest.view).toBe(view);
+  });
+
+  test('sees the whole world without a viewer', () => {
+    const { state } = createState({ food: [[0, 0], [2000, 2000]], others: [[1900, 100]] });
+
+    const { visible } = new AreaOfInterest().update(state);
+
+    expect(visible.food).toHaveLength(2);
+    expect(visible.players).toHaveLength(2);
+  });
+
+  test('reports the viewer leaving once it is removed', () => {
+    const { state, player } = createState({ x: 500, y: 500 });
+    const interest = new AreaOfInterest(player.id);
+    interest.update(state);
+
+    state.players = [];
+    const { visible, left } = interest.update(state);
+
+    expect(visible.players).toEqual([]);
+    expect(left.players).toEqual([player]);
+  });
+
+  test('skips food with no real position', () => {
+    const { state, player } = createState({ x: 500, y: 500, food: [[NaN, 500], [500, 500 + FOOD_SIZE]] });
+
+    const { visible } = new AreaOfInterest(player.id).update(state);
+
+    expect(visible.food).toEqual([state.food[1]]);
+  });
+});
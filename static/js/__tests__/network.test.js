@@ -0,0 +1,201 @@
+import { connectToServer } from '../network.js';
+import { encodeMessage } from '../protocol.js';
+import { PROTOCOL_VERSION, encodeSnapshot } from '../snapshotCodec.js';
+
+// Stands in for the browser's WebSocket, recording what the client sends
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    this.listeners = {};
+    FakeWebSocket.last = this;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+
+  emit(type, event = {}) {
+    if (type === 'open') this.readyState = FakeWebSocket.OPEN;
+    (this.listeners[type] || []).forEach(listener => listener(event));
+  }
+
+  receive(message) {
+    const data = message.type === 'snapshot' ? encodeSnapshot(message, message.ack) : encodeMessage(message);
+    this.emit('message', { data });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+const welcome = { type: 'welcome', playerId: 7, version: PROTOCOL_VERSION };
+const snapshot = { type: 'snapshot', tick: 1, ack: 0, players: [], food: [], ejectedMass: [], viruses: [], leaderboard: [] };
+
+const originalWebSocket = global.WebSocket;
+
+beforeEach(() => {
+  global.WebSocket = FakeWebSocket;
+});
+
+afterEach(() => {
+  global.WebSocket = originalWebSocket;
+});
+
+function connect(options = {}) {
+  const received = [];
+  const connection = connectToServer('ws://localhost:8080', {
+    onMessage: message => received.push(message),
+    ...options
+  });
+  const socket = FakeWebSocket.last;
+  socket.emit('open');
+  return { received, connection, socket };
+}
+
+describe('connectToServer', () => {
+  test('connects to the given server', () => {
+    const { socket } = connect();
+
+    expect(socket.url).toBe('ws://localhost:8080');
+    expect(socket.sent).toEqual([]);
+  });
+
+  test('passes messages from the server on', () => {
+    const { received, socket } = connect();
+
+    socket.receive(welcome);
+    socket.receive(snapshot);
+
+    expect(socket.binaryType).toBe('arraybuffer');
+    expect(received.map(message => message.type)).toEqual(['welcome', 'snapshot']);
+    expect(received[0].playerId).toBe(7);
+    expect(received[1]).toEqual({ ...snapshot, baseTick: null });
+  });
+
+  test('acknowledges each snapshot it passes on', () => {
+    const { socket } = connect();
+
+    socket.receive(welcome);
+    socket.receive(snapshot);
+    socket.receive({ ...snapshot, tick: 2 });
+
+    expect(socket.sent).toEqual([{ type: 'ack', tick: 1 }, { type: 'ack', tick: 2 }]);
+  });
+
+  test('hangs up on a server running another version', () => {
+    const onError = jest.fn();
+    const { received, socket } = connect({ onError });
+    socket.close = jest.fn();
+
+    socket.receive({ ...welcome, version: PROTOCOL_VERSION + 1 });
+
+    expect(onError).toHaveBeenCalledWith('Server runs a different version of the game');
+    expect(socket.close).toHaveBeenCalled();
+    expect(received).toEqual([]);
+  });
+
+  test('sends messages to the server', () => {
+    const { connection, socket } = connect();
+
+    connection.send({ type: 'input', seq: 1, direction: { x: 1, y: 0 }, split: true, eject: false });
+
+    expect(socket.sent[0]).toEqual({ type: 'input', seq: 1, direction: { x: 1, y: 0 }, split: true, eject: false });
+  });
+
+  test('holds messages sent before the connection opens until it does', () => {
+    const connection = connectToServer('ws://localhost:8080', { onMessage: () => {} });
+    const socket = FakeWebSocket.last;
+
+    connection.send({ type: 'join', name: 'Alice' });
+    connection.send({ type: 'input', seq: 1, split: true });
+
+    expect(socket.sent).toEqual([]);
+
+    socket.emit('open');
+
+    expect(socket.sent).toEqual([{ type: 'join', name: 'Alice' }, { type: 'input', seq: 1, split: true }]);
+  });
+
+  test('drops messages sent once the connection has closed', () => {
+    const { connection, socket } = connect();
+    socket.readyState = FakeWebSocket.CLOSED;
+
+    connection.send({ type: 'input', seq: 1 });
+
+    expect(socket.sent).toEqual([]);
+  });
+
+  test('reports losing the connection, and again on sending after', () => {
+    const onError = jest.fn();
+    const { connection, socket } = connect({ onError });
+
+    socket.readyState = FakeWebSocket.CLOSED;
+    socket.emit('close');
+    connection.send({ type: 'join', name: 'Alice' });
+
+    expect(onError.mock.calls).toEqual([['Disconnected from server'], ['Disconnected from server']]);
+  });
+
+  test('reports a version mismatch rather than the disconnect it causes', () => {
+    const onError = jest.fn();
+    const { connection, socket } = connect({ onError });
+
+    socket.receive({ ...welcome, version: PROTOCOL_VERSION + 1 });
+    socket.readyState = FakeWebSocket.CLOSED;
+    socket.emit('close');
+    connection.send({ type: 'join', name: 'Alice' });
+
+    expect(onError.mock.calls).toEqual([
+      ['Server runs a different version of the game'],
+      ['Server runs a different version of the game']
+    ]);
+  });
+
+  test('adds latency each way when asked to', () => {
+    jest.useFakeTimers();
+    const { received, connection, socket } = connect({ latency: 100 });
+
+    connection.send({ type: 'input', seq: 1 });
+    socket.receive(welcome);
+
+    expect(socket.sent).toHaveLength(0);
+    expect(received).toEqual([]);
+
+    jest.advanceTimersByTime(100);
+
+    expect(socket.sent[0]).toEqual({ type: 'input', seq: 1 });
+    expect(received).toEqual([welcome]);
+    jest.useRealTimers();
+  });
+
+  test('reports server errors and disconnects', () => {
+    const onError = jest.fn();
+    const { received, socket } = connect({ onError });
+
+    socket.receive({ type: 'error', message: 'Server is full' });
+    socket.emit('close');
+
+    expect(onError).toHaveBeenCalledWith('Server is full');
+    expect(onError).toHaveBeenCalledWith('Disconnected from server');
+    expect(received).toEqual([]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores malformed messages from the server', () => {
+    const { received, socket } = connect();
+
+    expect(() => {
+      socket.emit('message', { data: 'not json' });
+      socket.emit('message', { data: new ArrayBuffer(4) });
+    }).not.toThrow();
+    expect(received).toEqual([]);
+  });
+});
@@ -0,0 +1,176 @@
+import {
+  encodeMessage,
+  decodeMessage,
+  sanitizeName,
+  sanitizeInput,
+  createSnapshot,
+  applySnapshot
+} from '../protocol.js';
+import { GameWorld } from '../world.js';
+import { createGameState } from '../gameState.js';
+import { getStandings } from '../utils.js';
+import { MAX_MESSAGE_SIZE, MAX_NAME_LENGTH, DEFAULT_PLAYER_NAME, LEADERBOARD_SIZE } from '../config.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('decodeMessage', () => {
+  test('reads back an encoded message', () => {
+    const message = { type: 'input', direction: { x: 1, y: 0 }, split: true };
+
+    expect(decodeMessage(encodeMessage(message))).toEqual(message);
+  });
+
+  test('rejects anything that is not a typed JSON object', () => {
+    expect(decodeMessage('not json')).toBeNull();
+    expect(decodeMessage('null')).toBeNull();
+    expect(decodeMessage('42')).toBeNull();
+    expect(decodeMessage('{"name":"no type"}')).toBeNull();
+    expect(decodeMessage(undefined)).toBeNull();
+  });
+
+  // Security: Input validation and bounds checking
+  test('rejects oversized messages without parsing them', () => {
+    const data = encodeMessage({ type: 'join', name: 'x'.repeat(MAX_MESSAGE_SIZE) });
+
+    expect(decodeMessage(data, MAX_MESSAGE_SIZE)).toBeNull();
+    expect(decodeMessage(data)).not.toBeNull();
+  });
+});
+
+describe('sanitizeName', () => {
+  test('trims and shortens names', () => {
+    expect(sanitizeName('  Alice  ')).toBe('Alice');
+    expect(sanitizeName('x'.repeat(100))).toHaveLength(MAX_NAME_LENGTH);
+  });
+
+  test('falls back to a default name', () => {
+    expect(sanitizeName('')).toBe(DEFAULT_PLAYER_NAME);
+    expect(sanitizeName('   ')).toBe(DEFAULT_PLAYER_NAME);
+    expect(sanitizeName(null)).toBe(DEFAULT_PLAYER_NAME);
+    expect(sanitizeName({ toString: () => 'Mallory' })).toBe(DEFAULT_PLAYER_NAME);
+  });
+
+  // Security: Input validation and bounds checking
+  test('strips control characters', () => {
+    expect(sanitizeName('Al\u0000i\nce\u001B')).toBe('Alice');
+  });
+});
+
+describe('sanitizeInput', () => {
+  test('scales directions to unit length', () => {
+    const input = sanitizeInput({ direction: { x: 3, y: 4 } });
+
+    expect(input.direction.x).toBeCloseTo(0.6);
+    expect(input.direction.y).toBeCloseTo(0.8);
+  });
+
+  test('keeps a null direction and leaves a missing one out', () => {
+    expect(sanitizeInput({ direction: null }).direction).toBeNull();
+    expect(sanitizeInput({ split: true })).not.toHaveProperty('direction');
+  });
+
+  test('keeps positive whole command numbers', () => {
+    expect(sanitizeInput({ seq: 5 }).seq).toBe(5);
+    expect(sanitizeInput({})).not.toHaveProperty('seq');
+  });
+
+  // Security: Input validation and bounds checking
+  test('drops malformed command numbers', () => {
+    [0, -1, 1.5, '5', NaN, Number.MAX_VALUE].forEach(seq => {
+      expect(sanitizeInput({ seq })).not.toHaveProperty('seq');
+    });
+  });
+
+  test('only accepts true for actions', () => {
+    expect(sanitizeInput({ split: true, eject: true })).toEqual({ split: true, eject: true });
+    expect(sanitizeInput({ split: 'yes', eject: 1 })).toEqual({ split: false, eject: false });
+  });
+
+  // Security: Input validation and bounds checking
+  test('stops steering on malformed directions', () => {
+    expect(sanitizeInput({ direction: { x: 0, y: 0 } }).direction).toBeNull();
+    expect(sanitizeInput({ direction: { x: NaN, y: 1 } })).not.toHaveProperty('direction');
+    expect(sanitizeInput({ direction: { x: '1', y: 0 } })).not.toHaveProperty('direction');
+    expect(sanitizeInput({ direction: { x: Number.MAX_VALUE, y: Number.MAX_VALUE } }).direction).toBeNull();
+  });
+});
+
+describe('snapshots', () => {
+  test('carry everything needed to draw and predict the world', () => {
+    const world = new GameWorld({ seed: 1 });
+    world.tick();
+
+    const snapshot = createSnapshot(world);
+    const cell = world.state.players[0].cells[0];
+
+    expect(snapshot.type).toBe('snapshot');
+    expect(snapshot.tick).toBe(1);
+    expect(snapshot.players).toHaveLength(world.state.players.length);
+    expect(snapshot.food).toHaveLength(world.state.food.length);
+    expect(snapshot.viruses).toHaveLength(world.state.viruses.length);
+    expect(snapshot.players[0].cells[0]).toEqual({
+      x: cell.x,
+      y: cell.y,
+      score: cell.score,
+      velocityX: cell.velocityX,
+      velocityY: cell.velocityY,
+      splitAge: null
+    });
+  });
+
+  test('send split times as ages, turned back into times on arrival', () => {
+    const world = new GameWorld({ seed: 1 });
+    const state = createGameState();
+    const cell = world.state.players[0].cells[0];
+    world.state.time = 5000;
+    cell.splitTime = 3000;
+    state.time = 60000;  // The client's clock runs on its own
+
+    const snapshot = createSnapshot(world);
+    applySnapshot(state, snapshot);
+
+    expect(snapshot.players[0].cells[0].splitAge).toBe(2000);
+    expect(state.players[0].cells[0].splitTime).toBe(58000);
+    expect(state.players[1].cells[0].splitTime).toBe(0);
+  });
+
+  test('can be limited to what is in view, but rank everyone', () => {
+    const world = new GameWorld({ seed: 1 });
+    const visible = { players: world.state.players.slice(0, 1), food: world.state.food.slice(0, 3), ejectedMass: [], viruses: [] };
+
+    const snapshot = createSnapshot(world, visible);
+
+    expect(snapshot.players.map(owner => owner.id)).toEqual([world.state.players[0].id]);
+    expect(snapshot.food).toHaveLength(3);
+    expect(snapshot.viruses).toEqual([]);
+    expect(snapshot.leaderboard).toEqual(getStandings(world.state.players));
+  });
+
+  test('leave out AI internals', () => {
+    const world = new GameWorld({ seed: 1 });
+
+    const ai = createSnapshot(world).players.find(owner => owner.kind === 'ai');
+
+    expect(ai).not.toHaveProperty('strategy');
+    expect(ai).not.toHaveProperty('direction');
+  });
+
+  test('replace a client state after a round trip', () => {
+    const world = new GameWorld({ seed: 1 });
+    const state = createGameState();
+
+    applySnapshot(state, decodeMessage(encodeMessage(createSnapshot(world))));
+
+    expect(state.players.map(owner => owner.id)).toEqual(world.state.players.map(owner => owner.id));
+    expect(state.players[1].cells[0].ownerId).toBe(state.players[1].id);
+    expect(state.food).toHaveLength(world.state.food.length);
+    expect(state.ejectedMass).toEqual([]);
+    expect(state.leaderboard).toHaveLength(LEADERBOARD_SIZE);
+  });
+});
@@ -0,0 +1,45 @@
+import { createRandom, createSeed } from '../random.js';
+
+describe('createRandom', () => {
+  test('returns values in [0, 1)', () => {
+    const random = createRandom(42);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('same seed produces the same sequence', () => {
+    const random1 = createRandom(1234);
+    const random2 = createRandom(1234);
+    for (let i = 0; i < 100; i++) {
+      expect(random1()).toBe(random2());
+    }
+  });
+
+  test('different seeds produce different sequences', () => {
+    const random1 = createRandom(1);
+    const random2 = createRandom(2);
+    const sequence1 = Array.from({ length: 10 }, () => random1());
+    const sequence2 = Array.from({ length: 10 }, () => random2());
+    expect(sequence1).not.toEqual(sequence2);
+  });
+
+  // Security: Input validation
+  test('handles non-integer and out of range seeds', () => {
+    expect(() => createRandom(-1)()).not.toThrow();
+    expect(() => createRandom(1.5)()).not.toThrow();
+    expect(() => createRandom(Number.MAX_SAFE_INTEGER)()).not.toThrow();
+    expect(isFinite(createRandom(NaN)())).toBe(true);
+  });
+});
+
+describe('createSeed', () => {
+  test('returns a 32-bit unsigned integer', () => {
+    const seed = createSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(4294967296);
+  });
+});
@@ -0,0 +1,180 @@
+import {
+  buildFrame,
+  drawLayers,
+  sortBySize,
+  getLayers,
+  registerLayer,
+  isLayerEnabled,
+  setLayerEnabled,
+  toggleLayer
+} from '../renderLayers.js';
+import { buildSpatialIndex } from '../spatialGrid.js';
+import { STARTING_SCORE } from '../config.js';
+
+// A 2D context that does nothing but remember what was called on it
+function createContext() {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+    set: (target, name, value) => {
+      target[name] = value;
+      return true;
+    }
+  });
+  return { ctx, calls };
+}
+
+function createState({ players = [], food = [], viruses = [] } = {}) {
+  return { players, food, ejectedMass: [], viruses };
+}
+
+const camera = { x: 100, y: 100, zoom: 1 };
+const view = { left: 100, top: 100, right: 900, bottom: 700 };
+
+describe('buildFrame', () => {
+  test('places what is in view relative to the top left of the view', () => {
+    const owner = { id: 1, kind: 'player', name: 'Alice', color: 'red', cells: [{ x: 300, y: 200, score: STARTING_SCORE }] };
+    const state = createState({ players: [owner], food: [{ x: 500, y: 500, color: 'green' }], viruses: [{ x: 400, y: 400, score: 100 }] });
+
+    const frame = buildFrame(state, { camera, view });
+
+    expect(frame.cells).toEqual([{ x: 200, y: 100, score: STARTING_SCORE, owner, cell: owner.cells[0], position: { x: 300, y: 200 } }]);
+    expect(frame.food).toEqual([{ x: 400, y: 400, color: 'green' }]);
+    expect(frame.viruses).toEqual([{ x: 300, y: 300, score: 100 }]);
+  });
+
+  test('leaves out what is off screen', () => {
+    const owner = { id: 1, kind: 'ai', name: 'AI', color: 'blue', cells: [{ x: 1500, y: 1500, score: 50 }] };
+    const state = createState({ players: [owner], food: [{ x: 10, y: 10 }] });
+
+    const frame = buildFrame(state, { camera, view });
+
+    expect(frame.cells).toEqual([]);
+    expect(frame.food).toEqual([]);
+  });
+
+  test('puts bigger cells after smaller ones, whoever owns them', () => {
+    const ai = { id: 1, kind: 'ai', name: 'Big', color: 'blue', cells: [{ x: 400, y: 400, score: 2000 }] };
+    const player = { id: 2, kind: 'player', name: 'Small', color: 'red', cells: [{ x: 420, y: 400, score: 60 }, { x: 300, y: 300, score: 500 }] };
+    const state = createState({ players: [ai, player] });
+
+    const frame = buildFrame(state, { camera, view, spatialIndex: buildSpatialIndex(state) });
+
+    expect(frame.cells.map(entry => entry.score)).toEqual([60, 500, 2000]);
+  });
+});
+
+describe('sortBySize', () => {
+  test('sorts smallest first, keeping the order of equal cells', () => {
+    const cells = [{ score: 30, id: 'a' }, { score: 10 }, { score: 30, id: 'b' }];
+
+    expect(sortBySize(cells).map(cell => cell.id || cell.score)).toEqual([10, 'a', 'b']);
+    expect(cells[0].id).toBe('a');
+  });
+});
+
+describe('drawLayers', () => {
+  const frame = { cells: [{ name: 'small' }, { name: 'big' }] };
+  const drawn = [];
+  const layer = (name, fields = {}) => ({
+    name,
+    draw: () => drawn.push(name),
+    ...fields
+  });
+  const cellLayer = (name, fields = {}) => ({
+    name,
+    drawCell: (ctx, entry) => drawn.push(`${name}:${entry.name}`),
+    ...fields
+  });
+
+  beforeEach(() => {
+    drawn.length = 0;
+  });
+
+  test('draws layers bottom first, and cell layers cell by cell', () => {
+    const layers = [layer('under'), cellLayer('body'), cellLayer('label'), layer('over')];
+
+    drawLayers(createContext().ctx, frame, layers);
+
+    expect(drawn).toEqual(['under', 'body:small', 'label:small', 'body:big', 'label:big', 'over']);
+  });
+
+  test('skips layers that are turned off', () => {
+    const layers = [layer('shown'), cellLayer('hiddenCells'), layer('hidden')];
+    setLayerEnabled('hidden', false);
+    setLayerEnabled('hiddenCells', false);
+
+    drawLayers(createContext().ctx, frame, layers);
+
+    expect(drawn).toEqual(['shown']);
+    setLayerEnabled('hidden', true);
+    setLayerEnabled('hiddenCells', true);
+  });
+
+  test('draws the default layers onto a canvas', () => {
+    const owner = { id: 1, kind: 'ai', name: 'AI', color: 'blue', cells: [{ x: 300, y: 200, score: 400 }], target: { x: 350, y: 200 } };
+    const state = createState({ players: [owner], food: [{ x: 500, y: 500, color: 'green' }], viruses: [{ x: 400, y: 400, score: 100 }] });
+    const { ctx, calls } = createContext();
+    setLayerEnabled('debug', true);
+
+    drawLayers(ctx, buildFrame(state, { camera, view }));
+
+    const text = calls.filter(([name]) => name === 'fillText').map(([, value]) => value);
+    expect(text).toEqual(['AI', '400', '?: idle']);
+    setLayerEnabled('debug', false);
+  });
+});
+
+describe('layer registry', () => {
+  test('has names, mass and outlines the player can turn off, and debug off to start with', () => {
+    const toggleable = getLayers().filter(layer => layer.label).map(layer => layer.name);
+
+    expect(toggleable).toEqual(expect.arrayContaining(['background', 'outlines', 'names', 'mass']));
+    expect(isLayerEnabled('names')).toBe(true);
+    expect(isLayerEnabled('debug')).toBe(false);
+  });
+
+  test('adds layers below another, or on top', () => {
+    registerLayer({ name: 'trails', drawCell: () => {} }, { before: 'cells' });
+    registerLayer({ name: 'hud', draw: () => {}, enabled: false });
+
+    const names = getLayers().map(layer => layer.name);
+    expect(names.indexOf('trails')).toBe(names.indexOf('cells') - 1);
+    expect(names[names.length - 1]).toBe('hud');
+    expect(isLayerEnabled('hud')).toBe(false);
+  });
+
+  test('replaces a layer of the same name where it is', () => {
+    const before = getLayers().map(layer => layer.name);
+    const food = { name: 'food', draw: () => {} };
+
+    registerLayer(food);
+
+    expect(getLayers().map(layer => layer.name)).toEqual(before);
+    expect(getLayers().find(layer => layer.name === 'food')).toBe(food);
+  });
+
+  test('toggles layers on and off', () => {
+    toggleLayer('mass');
+    expect(isLayerEnabled('mass')).toBe(false);
+    toggleLayer('mass');
+    expect(isLayerEnabled('mass')).toBe(true);
+  });
+
+  test('ignores toggles of layers that do not exist', () => {
+    const before = getLayers();
+
+    toggleLayer('nonexistent');
+    setLayerEnabled(undefined, false);
+
+    expect(getLayers()).toEqual(before);
+  });
+
+  test('draws nothing for an empty frame', () => {
+    const { ctx, calls } = createContext();
+
+    drawLayers(ctx, buildFrame(createState(), { camera, view }), getLayers().filter(layer => layer.name !== 'background'));
+
+    expect(calls).toEqual([]);
+  });
+});
@@ -0,0 +1,198 @@
+import { GameSession, describeStats } from '../session.js';
+import { GameWorld } from '../world.js';
+import { createGameState, getLocalPlayer } from '../gameState.js';
+import { TICK_RATE, TICK_DURATION, DEFAULT_PLAYER_NAME } from '../config.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+function createSession() {
+  const world = new GameWorld({ state: createGameState({ localPlayer: false }), seed: 1 });
+  const session = new GameSession(world);
+  const states = [];
+  session.onChange(state => states.push(state));
+  return { world, session, states };
+}
+
+function die(session) {
+  getLocalPlayer(session.world.state).cells = [];
+  session.update();
+}
+
+describe('GameSession', () => {
+  test('starts on the start screen with nobody playing', () => {
+    const { world, session } = createSession();
+
+    expect(session.state).toBe('menu');
+    expect(session.isPlaying).toBe(false);
+    expect(getLocalPlayer(world.state)).toBeNull();
+  });
+
+  test('goes from the start screen into play under the nickname picked', () => {
+    const { world, session, states } = createSession();
+
+    session.start('Alice');
+    session.update();
+
+    expect(getLocalPlayer(world.state).name).toBe('Alice');
+    expect(states).toEqual(['respawning', 'playing']);
+    expect(session.isPlaying).toBe(true);
+  });
+
+  test('shows how the life went once every cell is eaten', () => {
+    const { world, session } = createSession();
+    session.start('Alice');
+    session.update();
+    world.step(TICK_DURATION * 5);
+    getLocalPlayer(world.state).stats.killedBy = 'Bob';
+
+    die(session);
+
+    expect(session.state).toBe('dead');
+    expect(session.isPlaying).toBe(false);
+    expect(session.stats).toMatchObject({ killedBy: 'Bob', ticksAlive: world.tickCount });
+  });
+
+  test('plays again without leaving the world', () => {
+    const { world, session, states } = createSession();
+    session.start('Alice');
+    session.update();
+    const player = getLocalPlayer(world.state);
+    die(session);
+
+    session.playAgain();
+    session.update();
+
+    expect(states).toEqual(['respawning', 'playing', 'dead', 'respawning', 'playing']);
+    expect(getLocalPlayer(world.state)).toBe(player);
+    expect(player.cells).toHaveLength(1);
+    expect(session.stats).toBeNull();
+  });
+
+  test('quits back to the start screen, leaving the world to the AI', () => {
+    const { world, session } = createSession();
+    session.start('Alice');
+    session.update();
+
+    session.quit();
+
+    expect(session.state).toBe('menu');
+    expect(world.state.localPlayerId).toBeNull();
+    expect(world.state.players.every(owner => owner.kind === 'ai')).toBe(true);
+  });
+
+  test('waits in respawning until the world has placed the player', () => {
+    const world = { state: createGameState({ localPlayer: false }), join: jest.fn(), getStats: () => null };
+    const session = new GameSession(world);
+
+    session.start('Alice');
+    session.update();
+
+    expect(world.join).toHaveBeenCalledWith('Alice');
+    expect(session.state).toBe('respawning');
+  });
+
+  test('stays in play until the world knows how the life went', () => {
+    const world = {
+      state: createGameState(),
+      join: jest.fn(),
+      getStats: jest.fn(() => null)
+    };
+    const session = new GameSession(world);
+    session.start('Alice');
+    session.update();
+
+    getLocalPlayer(world.state).cells = [];
+    session.update();
+    expect(session.state).toBe('playing');
+
+    world.getStats.mockReturnValue({ ticksAlive: 1, peakScore: 10, foodEaten: 0, killedBy: 'Bob' });
+    session.update();
+    expect(session.state).toBe('dead');
+  });
+
+  test('goes back to the start screen with the reason when the game fails', () => {
+    const { world, session, states } = createSession();
+    session.start('Alice');
+    session.update();
+
+    session.fail('Server is full');
+
+    expect(states).toEqual(['respawning', 'playing', 'menu']);
+    expect(session.error).toBe('Server is full');
+    expect(getLocalPlayer(world.state)).toBeNull();
+
+    session.start('Alice');
+    expect(session.error).toBeNull();
+  });
+
+  test('says why again when failing on the start screen', () => {
+    const { session, states } = createSession();
+
+    session.fail('Disconnected from server');
+    session.fail('Disconnected from server');
+
+    expect(states).toEqual(['menu', 'menu']);
+    expect(session.state).toBe('menu');
+  });
+
+  // Security: Input validation and bounds checking
+  test('cleans up nicknames before joining', () => {
+    const { world, session } = createSession();
+
+    session.start('  \u0007' + 'x'.repeat(100));
+
+    expect(session.name.length).toBeLessThanOrEqual(16);
+    expect(getLocalPlayer(world.state).name).toBe(session.name);
+    expect(session.name).not.toMatch(/\u0007/);
+  });
+
+  test('falls back to the default name without a nickname', () => {
+    const { session } = createSession();
+
+    session.start('   ');
+
+    expect(session.name).toBe(DEFAULT_PLAYER_NAME);
+  });
+
+  test('ignores moves the current state does not allow', () => {
+    const { world, session, states } = createSession();
+
+    session.playAgain();
+    session.quit();
+    expect(states).toEqual([]);
+
+    session.start('Alice');
+    session.start('Alice again');
+    session.playAgain();
+    session.update();
+
+    expect(world.state.players.filter(owner => owner.kind === 'player')).toHaveLength(1);
+    expect(states).toEqual(['respawning', 'playing']);
+  });
+});
+
+describe('describeStats', () => {
+  test('describes a life for the death screen', () => {
+    const lines = describeStats({ ticksAlive: 65 * TICK_RATE, peakScore: 312.7, foodEaten: 42, killedBy: 'Bob' });
+
+    expect(lines).toEqual([
+      { label: 'Eaten by', value: 'Bob' },
+      { label: 'Survived', value: '1:05' },
+      { label: 'Peak mass', value: '312' },
+      { label: 'Food eaten', value: '42' }
+    ]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('copes with missing or malformed stats', () => {
+    const lines = describeStats({ ticksAlive: 'lots', peakScore: -Infinity, foodEaten: null });
+
+    expect(lines.map(line => line.value)).toEqual(['Unknown', '0:00', '0', '0']);
+  });
+});
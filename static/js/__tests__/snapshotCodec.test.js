@@ -0,0 +1,308 @@
+import {
+  PROTOCOL_VERSION,
+  quantizeSnapshot,
+  encodeSnapshot,
+  decodeSnapshot,
+  SnapshotEncoder,
+  SnapshotDecoder
+} from '../snapshotCodec.js';
+import { GameWorld } from '../world.js';
+import { createSnapshot, encodeMessage } from '../protocol.js';
+import { WORLD_SIZE, SNAPSHOT_HISTORY } from '../config.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const snapshotOf = world => quantizeSnapshot(createSnapshot(world));
+
+// The quantized snapshot a client should decode, ack included
+const expected = (snapshot, ack = 0, baseTick = null) => ({ ...snapshot, ack, baseTick });
+
+function runTicks(world, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    world.applyInput({ direction: { x: Math.cos(i), y: Math.sin(i) } });
+    world.tick();
+  }
+}
+
+describe('full snapshots', () => {
+  test('round-trip to the quantized snapshot', () => {
+    const world = new GameWorld({ seed: 1 });
+    runTicks(world, 10);
+    const snapshot = snapshotOf(world);
+
+    expect(decodeSnapshot(encodeSnapshot(snapshot, 7))).toEqual(expected(snapshot, 7));
+  });
+
+  test('keep positions to within a fraction of a world unit', () => {
+    const world = new GameWorld({ seed: 1 });
+    const original = createSnapshot(world);
+
+    const decoded = decodeSnapshot(encodeSnapshot(snapshotOf(world)));
+
+    const step = WORLD_SIZE / 65535 + 1e-9;
+    decoded.players.forEach((owner, i) => owner.cells.forEach((cell, j) => {
+      expect(Math.abs(cell.x - original.players[i].cells[j].x)).toBeLessThanOrEqual(step / 2);
+      expect(Math.abs(cell.y - original.players[i].cells[j].y)).toBeLessThanOrEqual(step / 2);
+    }));
+    decoded.food.forEach((food, i) => {
+      expect(Math.abs(food.x - original.food[i].x)).toBeLessThanOrEqual(step / 2);
+    });
+  });
+
+  test('keep names, colors, kinds and split ages', () => {
+    const snapshot = quantizeSnapshot({
+      tick: 3,
+      players: [{
+        id: 4,
+        kind: 'ai',
+        name: 'Ünïcødé 😀',
+        color: '#ff00aa',
+        cells: [{ x: 100, y: 200, score: 50, velocityX: -1.25, velocityY: 3, splitAge: 1500 }]
+      }],
+      food: [{ x: 10, y: 20, color: 'hsl(90, 50%, 50%)' }],
+      ejectedMass: [{ x: 30, y: 40, score: 14, color: '#ff00aa' }],
+      viruses: [{ x: 50, y: 60, score: 100 }]
+    });
+
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot));
+
+    expect(decoded.players[0]).toMatchObject({ id: 4, kind: 'ai', name: 'Ünïcødé 😀', color: '#ff00aa' });
+    expect(decoded.players[0].cells[0]).toMatchObject({ velocityX: -1.25, velocityY: 3, splitAge: 1500 });
+    expect(decoded.food[0].color).toBe('hsl(90, 50%, 50%)');
+    expect(decoded.ejectedMass[0]).toMatchObject({ score: 14, color: '#ff00aa' });
+  });
+});
+
+describe('delta snapshots', () => {
+  test('rebuild the full snapshot from the baseline', () => {
+    const world = new GameWorld({ seed: 1 });
+    const baseline = snapshotOf(world);
+    runTicks(world, 30);
+    const snapshot = snapshotOf(world);
+
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot, 2, baseline), tick => (tick === baseline.tick ? baseline : null));
+
+    expect(decoded).toEqual(expected(snapshot, 2, baseline.tick));
+  });
+
+  test('follow players leaving and joining and food being eaten', () => {
+    const world = new GameWorld({ seed: 1 });
+    const baseline = snapshotOf(world);
+    world.removePlayer(world.state.players[1].id);
+    world.addPlayer({ name: 'Bob' });
+    world.state.food.splice(0, 5);
+    world.tick();
+    const snapshot = snapshotOf(world);
+
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot, 0, baseline), () => baseline);
+
+    expect(decoded).toEqual(expected(snapshot, 0, baseline.tick));
+  });
+
+  test('leave out whatever has not changed', () => {
+    const world = new GameWorld({ seed: 1 });
+    const snapshot = snapshotOf(world);
+
+    const data = encodeSnapshot({ ...snapshot, tick: snapshot.tick + 1 }, 0, snapshot);
+
+    // Header, then empty player and food sections and unchanged lists
+    expect(data.byteLength).toBe(14 + 4 + 4 + 1 + 1 + 1);
+  });
+
+  test('can not be decoded without their baseline', () => {
+    const world = new GameWorld({ seed: 1 });
+    const baseline = snapshotOf(world);
+    world.tick();
+
+    expect(decodeSnapshot(encodeSnapshot(snapshotOf(world), 0, baseline))).toBeNull();
+  });
+});
+
+describe('SnapshotEncoder and SnapshotDecoder', () => {
+  function connect() {
+    const world = new GameWorld({ seed: 1 });
+    return { world, encoder: new SnapshotEncoder(), decoder: new SnapshotDecoder() };
+  }
+
+  test('send deltas once a snapshot is acknowledged', () => {
+    const { world, encoder, decoder } = connect();
+
+    world.tick();
+    const first = decoder.decode(encoder.encode(snapshotOf(world)));
+    encoder.acknowledge(first.tick);
+    world.tick();
+    const snapshot = snapshotOf(world);
+    const second = decoder.decode(encoder.encode(snapshot));
+
+    expect(first.baseTick).toBeNull();
+    expect(second).toEqual(expected(snapshot, 0, first.tick));
+  });
+
+  test('keep sending whole snapshots while none is acknowledged', () => {
+    const { world, encoder, decoder } = connect();
+
+    for (let i = 0; i < 5; i++) {
+      world.tick();
+      expect(decoder.decode(encoder.encode(snapshotOf(world))).baseTick).toBeNull();
+    }
+  });
+
+  test('get by when snapshots are lost', () => {
+    const { world, encoder, decoder } = connect();
+    world.tick();
+    encoder.acknowledge(decoder.decode(encoder.encode(snapshotOf(world))).tick);
+
+    // Two snapshots never arrive, but the next builds on the acknowledged one
+    for (let i = 0; i < 2; i++) {
+      world.tick();
+      encoder.encode(snapshotOf(world));
+    }
+    world.tick();
+    const snapshot = snapshotOf(world);
+
+    expect(decoder.decode(encoder.encode(snapshot))).toEqual(expected(snapshot, 0, 1));
+  });
+
+  test(`keep at most ${SNAPSHOT_HISTORY} snapshots on either side`, () => {
+    const { world, encoder, decoder } = connect();
+
+    for (let i = 0; i < SNAPSHOT_HISTORY + 10; i++) {
+      world.tick();
+      decoder.decode(encoder.encode(snapshotOf(world)));
+    }
+
+    expect(encoder.sent.size).toBe(SNAPSHOT_HISTORY);
+    expect(decoder.received.size).toBe(SNAPSHOT_HISTORY);
+  });
+
+  test('forget baselines older than the one last built on', () => {
+    const { world, encoder, decoder } = connect();
+
+    for (let i = 0; i < 5; i++) {
+      world.tick();
+      encoder.acknowledge(decoder.decode(encoder.encode(snapshotOf(world))).tick);
+    }
+
+    expect([...decoder.received.keys()]).toEqual([4, 5]);
+    expect([...encoder.sent.keys()]).toEqual([5]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignore acknowledgements of snapshots never sent or older than the baseline', () => {
+    const { world, encoder } = connect();
+    world.tick();
+    encoder.encode(snapshotOf(world));
+    world.tick();
+    encoder.encode(snapshotOf(world));
+
+    encoder.acknowledge(99);
+    expect(encoder.baseline).toBeNull();
+
+    encoder.acknowledge(2);
+    encoder.acknowledge(1);
+    expect(encoder.baseline.tick).toBe(2);
+  });
+});
+
+describe('malformed snapshots', () => {
+  const data = () => encodeSnapshot(snapshotOf(new GameWorld({ seed: 1 })));
+
+  // Security: Input validation and bounds checking
+  test('are refused from another protocol version', () => {
+    const buffer = data();
+    new DataView(buffer).setUint8(0, PROTOCOL_VERSION + 1);
+
+    expect(decodeSnapshot(buffer)).toBeNull();
+  });
+
+  test('are refused when cut short', () => {
+    const buffer = data();
+
+    [0, 1, 10, buffer.byteLength / 2, buffer.byteLength - 1].forEach(length => {
+      expect(decodeSnapshot(buffer.slice(0, Math.floor(length)))).toBeNull();
+    });
+  });
+
+  test('are refused when they change a player nobody described', () => {
+    const writer = new DataView(new ArrayBuffer(14 + 4 + 4 + 1 + 1 + 1 + 5));
+    writer.setUint8(0, PROTOCOL_VERSION);
+    writer.setUint16(12, 1, true);  // One player record...
+    writer.setUint32(14, 42, true);  // ...for player 42...
+    writer.setUint8(18, 0);  // ...with nothing in it
+
+    expect(decodeSnapshot(writer.buffer)).toBeNull();
+  });
+
+  test('never throw on random bytes', () => {
+    for (let i = 0; i < 50; i++) {
+      const bytes = new Uint8Array(1 + (i * 37) % 200).map((_, j) => (i * 31 + j * 17) % 256);
+      bytes[0] = PROTOCOL_VERSION;
+      expect(() => decodeSnapshot(bytes.buffer)).not.toThrow();
+    }
+  });
+
+  test('cap names and colors at what fits in a length byte', () => {
+    const snapshot = quantizeSnapshot({
+      tick: 1,
+      players: [{ id: 1, kind: 'martian', name: 'x'.repeat(1000), color: 'red', cells: [] }],
+      food: [],
+      ejectedMass: [],
+      viruses: []
+    });
+
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot));
+
+    expect(decoded.players[0].name).toHaveLength(255);
+    expect(decoded.players[0].kind).toBe('player');
+    expect(decoded).toEqual(expected(snapshot));
+  });
+
+  test('clamp positions and velocities outside the world', () => {
+    const snapshot = quantizeSnapshot({
+      tick: 1,
+      players: [{ id: 1, kind: 'player', name: 'A', color: 'red', cells: [{ x: -50, y: WORLD_SIZE * 2, score: 10, velocityX: 1e9, velocityY: NaN, splitAge: -5 }] }],
+      food: [],
+      ejectedMass: [],
+      viruses: []
+    });
+
+    const cell = decodeSnapshot(encodeSnapshot(snapshot)).players[0].cells[0];
+
+    expect(cell.x).toBe(0);
+    expect(cell.y).toBe(WORLD_SIZE);
+    expect(cell.velocityX).toBe(327.67);
+    expect(cell.velocityY).toBe(0);
+    expect(cell.splitAge).toBe(0);
+  });
+});
+
+describe('snapshot sizes', () => {
+  test('a whole snapshot is a fraction of its JSON', () => {
+    const world = new GameWorld({ seed: 1 });
+    runTicks(world, 10);
+
+    const binary = encodeSnapshot(snapshotOf(world)).byteLength;
+    const json = encodeMessage(createSnapshot(world)).length;
+
+    expect(binary).toBeLessThan(json / 4);
+  });
+
+  test('a delta a tick later is a fraction of a whole snapshot', () => {
+    const world = new GameWorld({ seed: 1 });
+    runTicks(world, 10);
+    const baseline = snapshotOf(world);
+    runTicks(world, 1);
+    const snapshot = snapshotOf(world);
+
+    const full = encodeSnapshot(snapshot).byteLength;
+    const delta = encodeSnapshot(snapshot, 0, baseline).byteLength;
+
+    expect(delta).toBeLessThan(full / 4);
+  });
+});
@@ -0,0 +1,262 @@
+import { SpatialGrid, buildFoodGrid, buildCellGrid, buildSpatialIndex, refreshCellIndex, addCellToIndex } from '../spatialGrid.js';
+import { handleFoodCollisions, handleCellCollisions } from '../collisions.js';
+import { createRandom } from '../random.js';
+import { getDistance, getSize } from '../utils.js';
+import { WORLD_SIZE, FOOD_SIZE } from '../config.js';
+
+// Mock gameState
+jest.mock('../gameState.js', () => ({
+  ...jest.requireActual('../gameState.js'),
+  gameState: {
+    players: [],
+    food: []
+  }
+}));
+
+function createEntities(count, seed, worldSize = WORLD_SIZE) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    x: random() * worldSize,
+    y: random() * worldSize,
+    score: random() * 400
+  }));
+}
+
+// AI players each owning one of the generated cells
+function createAIs(count, seed, worldSize = WORLD_SIZE) {
+  return createEntities(count, seed, worldSize).map(cell => ({ id: cell.id, kind: 'ai', cells: [cell] }));
+}
+
+// Counts the candidates a grid's queries hand back, which is the work its
+// callers then do on exact checks
+function countCandidates(grid) {
+  const counter = { candidates: 0, queries: 0 };
+  const queryRadius = grid.queryRadius.bind(grid);
+  grid.queryRadius = (...args) => {
+    const results = queryRadius(...args);
+    counter.candidates += results.length;
+    counter.queries++;
+    return results;
+  };
+  return counter;
+}
+
+function bruteForceNear(entities, x, y, radius) {
+  return entities.filter(entity => getDistance(entity, { x, y }) < getSize(entity.score) + radius);
+}
+
+describe('SpatialGrid', () => {
+  test('finds items near a point', () => {
+    const grid = new SpatialGrid(100);
+    grid.insert('a', 50, 50);
+    grid.insert('b', 950, 950);
+
+    expect(grid.queryRadius(60, 60, 10)).toEqual(['a']);
+    expect(grid.queryRadius(940, 940, 10)).toEqual(['b']);
+  });
+
+  test('finds items whose radius reaches into the query area', () => {
+    const grid = new SpatialGrid(100);
+    grid.insert('a', 195, 50, 90);
+
+    expect(grid.queryRadius(110, 50, 0)).toContain('a');
+  });
+
+  test('always returns items wider than a bucket', () => {
+    const grid = new SpatialGrid(100);
+    grid.insert('huge', 0, 0, 5000);
+
+    expect(grid.queryRadius(1900, 1900, 1)).toEqual(['huge']);
+  });
+
+  test('query results are a superset of exact matches', () => {
+    const entities = createEntities(2000, 1);
+    const grid = buildCellGrid(entities);
+    const random = createRandom(2);
+
+    for (let i = 0; i < 100; i++) {
+      const x = random() * WORLD_SIZE;
+      const y = random() * WORLD_SIZE;
+      const candidates = new Set(grid.queryRadius(x, y, 50).map(index => entities[index]));
+
+      bruteForceNear(entities, x, y, 50).forEach(entity => {
+        expect(candidates.has(entity)).toBe(true);
+      });
+    }
+  });
+
+  test('removes items from where they were inserted, however big they have grown', () => {
+    const grid = new SpatialGrid(100);
+    grid.insert('a', 50, 50, 10);
+    grid.insert('b', 60, 60, 10);
+    grid.insert('huge', 50, 50, 5000);
+
+    expect(grid.remove('a', 50, 50)).toBe(true);
+    expect(grid.remove('huge', 50, 50)).toBe(true);
+    expect(grid.remove('a', 50, 50)).toBe(false);
+
+    expect(grid.size).toBe(1);
+    expect(grid.queryRadius(50, 50, 10)).toEqual(['b']);
+  });
+
+  test('clear removes everything', () => {
+    const grid = new SpatialGrid();
+    grid.insert('a', 10, 10);
+    grid.insert('huge', 10, 10, 5000);
+
+    grid.clear();
+
+    expect(grid.size).toBe(0);
+    expect(grid.queryRadius(10, 10, 100)).toEqual([]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores items without a valid position', () => {
+    const grid = new SpatialGrid();
+    grid.insert('a', NaN, 10);
+    grid.insert('b', 10, undefined);
+    grid.insert('c', Infinity, 10);
+
+    expect(grid.size).toBe(0);
+    expect(grid.queryRadius(10, 10, 100)).toEqual([]);
+  });
+
+  test('answers extreme query sizes from the buckets it has, not the space they span', () => {
+    const grid = buildCellGrid(createEntities(1000, 3));
+    const lookups = jest.spyOn(grid.buckets, 'get');
+
+    const results = grid.queryRadius(0, 0, Number.MAX_SAFE_INTEGER);
+
+    expect(results.length).toBe(1000);
+    expect(lookups.mock.calls.length).toBeLessThanOrEqual(grid.buckets.size);
+  });
+
+  test('handles NaN query values safely', () => {
+    const grid = buildCellGrid(createEntities(10, 4));
+
+    expect(() => grid.queryRadius(NaN, 0, 10)).not.toThrow();
+  });
+});
+
+describe('buildSpatialIndex', () => {
+  test('indexes food, pellets, viruses and every owner\'s cells', () => {
+    const ai = { kind: 'ai', cells: [{ x: 100, y: 100, score: 50 }, { x: 100 }] };
+    const player = { kind: 'player', cells: [{ x: 1000, y: 1000, score: 100 }] };
+    const index = buildSpatialIndex({
+      food: [{ x: 10, y: 10 }, null],
+      players: [player, ai, null],
+      ejectedMass: [{ x: 300, y: 300, score: 14 }],
+      viruses: [{ x: 500, y: 500, score: 100 }]
+    });
+
+    expect(index.food.size).toBe(1);
+    expect(index.cells.size).toBe(2);
+    expect(index.ownedCells.map(entry => entry.owner)).toEqual([player, ai]);
+    expect(index.pellets.size).toBe(1);
+    expect(index.viruses.size).toBe(1);
+  });
+
+  test('takes in cells that come into play', () => {
+    const player = { kind: 'player', cells: [{ x: 1000, y: 1000, score: 100 }] };
+    const index = buildSpatialIndex({ food: [], players: [player], ejectedMass: [], viruses: [] });
+    const cell = { x: 1500, y: 1500, score: 100 };
+    player.cells.push(cell);
+
+    addCellToIndex(index, player, cell);
+
+    expect(index.cells.queryRadius(1500, 1500, 0).map(i => index.ownedCells[i])).toEqual([{ owner: player, cell }]);
+  });
+
+  test('refreshes cells and pellets, keeping the food and virus grids', () => {
+    const player = { kind: 'player', cells: [{ x: 1000, y: 1000, score: 100 }] };
+    const state = { food: [{ x: 10, y: 10 }], players: [player], ejectedMass: [], viruses: [] };
+    const index = buildSpatialIndex(state);
+    const food = index.food;
+    player.cells = [{ x: 1500, y: 1000, score: 50 }, { x: 1600, y: 1000, score: 50 }];
+    state.ejectedMass.push({ x: 1550, y: 1000, score: 14 });
+
+    refreshCellIndex(index, state);
+
+    expect(index.food).toBe(food);
+    expect(index.cells.queryRadius(1000, 1000, 0)).toEqual([]);
+    expect(index.cells.queryRadius(1550, 1000, 100).map(i => index.ownedCells[i].cell)).toEqual(player.cells);
+    expect(index.pellets.queryRadius(1550, 1000, 0)).toEqual(state.ejectedMass);
+  });
+});
+
+describe('collisions with a shared index', () => {
+  test('take what they eat out of the index', () => {
+    const big = { id: 1, kind: 'player', cells: [{ x: 1000, y: 1000, score: 400 }] };
+    const small = { id: 2, kind: 'player', cells: [{ x: 1005, y: 1000, score: 50 }] };
+    const food = { x: 1000, y: 1010 };
+    const state = { players: [big, small], food: [food], ejectedMass: [], viruses: [] };
+    const index = buildSpatialIndex(state);
+
+    handleFoodCollisions(state, index);
+    handleCellCollisions(state, index);
+
+    expect(state.food).toEqual([]);
+    expect(index.food.size).toBe(0);
+    expect(index.cells.queryRadius(1000, 1000, 100).map(i => index.ownedCells[i].cell)).toEqual(big.cells);
+  });
+});
+
+// The grid should keep collision work close to linear in entity count: each
+// query hands back only the handful of candidates around it, where brute
+// force would check every entity. Counted in candidates rather than timed,
+// so a slow or busy machine can't fail them.
+describe('spatial grid scaling', () => {
+  const LARGE_WORLD = 20000;
+
+  test('grid queries find what brute force does from a fraction of the candidates', () => {
+    const food = createEntities(5000, 5, LARGE_WORLD);
+    const queries = createEntities(500, 6, LARGE_WORLD);
+
+    const grid = buildFoodGrid(food);
+    const counter = countCandidates(grid);
+    let gridHits = 0;
+    queries.forEach(cell => {
+      gridHits += grid.queryRadius(cell.x, cell.y, getSize(cell.score))
+        .filter(item => getDistance(cell, item) < getSize(cell.score) + FOOD_SIZE).length;
+    });
+
+    let bruteHits = 0;
+    queries.forEach(cell => {
+      bruteHits += food.filter(item => getDistance(cell, item) < getSize(cell.score) + FOOD_SIZE).length;
+    });
+
+    expect(gridHits).toBe(bruteHits);
+    expect(counter.candidates).toBeLessThan(queries.length * food.length / 100);
+  });
+
+  test('food collisions over 10000 food and 2000 AI look at nearby food only', () => {
+    const state = {
+      players: [{ kind: 'player', cells: createEntities(16, 7, LARGE_WORLD) }, ...createAIs(2000, 8, LARGE_WORLD)],
+      food: createEntities(10000, 9, LARGE_WORLD).map(({ x, y }) => ({ x, y }))
+    };
+    const index = buildSpatialIndex(state);
+    const counter = countCandidates(index.food);
+
+    handleFoodCollisions(state, index);
+
+    expect(state.food.length).toBeLessThan(10000);
+    expect(counter.queries).toBe(2016);
+    expect(counter.candidates).toBeLessThan(counter.queries * 10);
+  });
+
+  test('collisions between 5000 AI look at nearby cells only', () => {
+    const state = {
+      players: createAIs(5000, 10, LARGE_WORLD * 2),
+      food: []
+    };
+    const index = buildSpatialIndex(state);
+    const counter = countCandidates(index.cells);
+
+    handleCellCollisions(state, index);
+
+    expect(state.players.length).toBeLessThanOrEqual(5000);
+    expect(counter.queries).toBeGreaterThan(0);
+    expect(counter.candidates).toBeLessThan(counter.queries * 10);
+  });
+});
@@ -0,0 +1,170 @@
+import { getJoystickDirection, VirtualJoystick, PinchZoom, initTouchControls, getTouchDirection } from '../touch.js';
+
+describe('getJoystickDirection', () => {
+  test('returns a unit vector towards the point', () => {
+    const direction = getJoystickDirection({ x: 0, y: 0 }, { x: 30, y: 40 }, 5);
+    expect(direction.x).toBeCloseTo(0.6);
+    expect(direction.y).toBeCloseTo(0.8);
+  });
+
+  test('returns null inside the dead zone', () => {
+    expect(getJoystickDirection({ x: 0, y: 0 }, { x: 3, y: 0 }, 5)).toBeNull();
+    expect(getJoystickDirection({ x: 0, y: 0 }, { x: 0, y: 0 }, 0)).toBeNull();
+  });
+
+  // Security: Input validation
+  test('handles NaN coordinates safely', () => {
+    expect(getJoystickDirection({ x: 0, y: 0 }, { x: NaN, y: 0 }, 5)).toBeNull();
+  });
+});
+
+describe('VirtualJoystick', () => {
+  test('is inactive until touched', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    expect(joystick.active).toBe(false);
+    expect(joystick.direction).toBeNull();
+  });
+
+  test('steers towards the dragged touch', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    joystick.start(1, 100, 100);
+    joystick.move(1, 100, 50);
+
+    expect(joystick.direction).toEqual({ x: 0, y: -1 });
+  });
+
+  test('keeps the knob within the joystick radius', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    joystick.start(1, 100, 100);
+    joystick.move(1, 400, 100);
+
+    expect(joystick.knob).toEqual({ x: 160, y: 100 });
+    expect(joystick.direction).toEqual({ x: 1, y: 0 });
+  });
+
+  test('ignores small movements inside the dead zone', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    joystick.start(1, 100, 100);
+    joystick.move(1, 103, 100);
+
+    expect(joystick.direction).toBeNull();
+  });
+
+  test('other touches do not take over or move the joystick', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    joystick.start(1, 100, 100);
+
+    expect(joystick.start(2, 500, 500)).toBe(false);
+    expect(joystick.move(2, 0, 0)).toBe(false);
+    expect(joystick.end(2)).toBe(false);
+    expect(joystick.base).toEqual({ x: 100, y: 100 });
+    expect(joystick.active).toBe(true);
+  });
+
+  test('releases when its touch ends', () => {
+    const joystick = new VirtualJoystick(60, 0.1);
+    joystick.start(1, 100, 100);
+    joystick.move(1, 200, 100);
+    joystick.end(1);
+
+    expect(joystick.active).toBe(false);
+    expect(joystick.direction).toBeNull();
+    expect(joystick.start(2, 50, 50)).toBe(true);
+  });
+});
+
+describe('PinchZoom', () => {
+  test('starts once a second finger touches', () => {
+    const pinch = new PinchZoom();
+
+    expect(pinch.start(1, 100, 100)).toBe(false);
+    expect(pinch.active).toBe(false);
+    expect(pinch.start(2, 200, 100)).toBe(true);
+    expect(pinch.active).toBe(true);
+  });
+
+  test('zooms by how much the fingers spread or pinch', () => {
+    const pinch = new PinchZoom();
+    pinch.start(1, 100, 100);
+    pinch.start(2, 200, 100);
+
+    expect(pinch.move(2, 300, 100)).toBeCloseTo(2);
+    expect(pinch.move(1, 200, 100)).toBeCloseTo(0.5);
+  });
+
+  test('does not zoom with a single finger', () => {
+    const pinch = new PinchZoom();
+    pinch.start(1, 100, 100);
+
+    expect(pinch.move(1, 300, 300)).toBe(1);
+  });
+
+  test('stops when either finger lifts', () => {
+    const pinch = new PinchZoom();
+    pinch.start(1, 100, 100);
+    pinch.start(2, 200, 100);
+
+    pinch.end(1);
+
+    expect(pinch.active).toBe(false);
+    expect(pinch.move(2, 400, 100)).toBe(1);
+  });
+
+  test('hands back the finger left on the screen when a pinch ends', () => {
+    const pinch = new PinchZoom();
+    pinch.start(1, 100, 100);
+    pinch.start(2, 200, 100);
+    pinch.move(2, 300, 100);
+
+    expect(pinch.end(1)).toEqual({ touchId: 2, x: 300, y: 100 });
+    expect(pinch.end(2)).toBeNull();
+  });
+
+  // Security: Input validation
+  test('ignores third fingers, unknown touches and fingers on top of each other', () => {
+    const pinch = new PinchZoom();
+    pinch.start(1, 100, 100);
+    pinch.start(2, 100, 100);
+
+    expect(pinch.start(3, 0, 0)).toBe(false);
+    expect(pinch.move(3, 500, 500)).toBe(1);
+    expect(pinch.move(2, 200, 100)).toBe(1);
+    expect(pinch.move(2, NaN, 100)).toBe(1);
+  });
+});
+
+describe('touch controls', () => {
+  let canvas;
+
+  // A touch event on the canvas for the touches that changed, each [id, x, y]
+  function touch(type, ...touches) {
+    const event = new Event(type, { cancelable: true });
+    event.changedTouches = touches.map(([identifier, clientX, clientY]) => ({ identifier, clientX, clientY }));
+    canvas.dispatchEvent(event);
+  }
+
+  beforeAll(() => {
+    document.body.innerHTML = `
+      <canvas id="gameCanvas"></canvas>
+      <div id="joystick"><div id="joystick-knob"></div></div>
+      <button id="touch-split"></button>
+      <button id="touch-eject"></button>
+    `;
+    canvas = document.getElementById('gameCanvas');
+    initTouchControls({ onSplit: () => {}, onEject: () => {} });
+  });
+
+  test('steers again with the finger left after a pinch', () => {
+    touch('touchstart', [1, 100, 100]);
+    touch('touchstart', [2, 200, 100]);
+    expect(getTouchDirection()).toBeNull();
+
+    touch('touchend', [1, 100, 100]);
+    touch('touchmove', [2, 200, 300]);
+
+    expect(getTouchDirection()).toEqual({ x: 0, y: 1 });
+
+    touch('touchend', [2, 200, 300]);
+    expect(getTouchDirection()).toBeNull();
+  });
+});
@@ -1,4 +1,6 @@
-import { getSize, getDistance, calculateCenterOfMass } from '../utils.js';
+import { getSize, getDistance, calculateCenterOfMass, getInterpolatedPosition, getRandomPosition, findSafeSpawnLocation, getTotalScore, getLeadCell, getOwnedCells, getStandings, screenToWorld, clampToWorld, keepInWorld, getOffset, getNearestCopy } from '../utils.js';
+import { createRandom } from '../random.js';
+import { WORLD_SIZE } from '../config.js';
 
 describe('getSize', () => {
   test('returns correct size for score 0', () => {
@@ -145,4 +147,163 @@ describe('calculateCenterOfMass', () => {
     expect(isFinite(result.x)).toBe(true);
     expect(isFinite(result.y)).toBe(true);
   });
-});
\ No newline at end of file
+});
+
+describe('getInterpolatedPosition', () => {
+  test('returns previous position at alpha 0', () => {
+    const entity = { x: 10, y: 20, prevX: 0, prevY: 0 };
+    expect(getInterpolatedPosition(entity, 0)).toEqual({ x: 0, y: 0 });
+  });
+
+  test('returns current position at alpha 1', () => {
+    const entity = { x: 10, y: 20, prevX: 0, prevY: 0 };
+    expect(getInterpolatedPosition(entity, 1)).toEqual({ x: 10, y: 20 });
+  });
+
+  test('blends between ticks', () => {
+    const entity = { x: 10, y: 20, prevX: 0, prevY: 0 };
+    expect(getInterpolatedPosition(entity, 0.5)).toEqual({ x: 5, y: 10 });
+  });
+
+  test('falls back to current position without a previous tick', () => {
+    const entity = { x: 10, y: 20 };
+    expect(getInterpolatedPosition(entity, 0.5)).toEqual({ x: 10, y: 20 });
+  });
+});
+
+describe('getRandomPosition', () => {
+  test('uses the injected random source', () => {
+    expect(getRandomPosition(() => 0.5)).toEqual({ x: 1000, y: 1000 });
+  });
+
+  test('is reproducible with a seeded random source', () => {
+    expect(getRandomPosition(createRandom(3))).toEqual(getRandomPosition(createRandom(3)));
+  });
+});
+
+describe('findSafeSpawnLocation', () => {
+  test('is reproducible with a seeded random source', () => {
+    const state = {
+      players: [
+        { kind: 'ai', cells: [{ x: 500, y: 500, score: 100 }] },
+        { kind: 'player', cells: [{ x: 1500, y: 1500, score: 100 }] }
+      ]
+    };
+
+    const pos1 = findSafeSpawnLocation(state, 100, createRandom(9));
+    const pos2 = findSafeSpawnLocation(state, 100, createRandom(9));
+
+    expect(pos1).toEqual(pos2);
+  });
+
+  test('keeps clear of every cell', () => {
+    const state = {
+      players: [{ kind: 'ai', cells: [{ x: 500, y: 500, score: 100 }, { x: 1500, y: 500, score: 100 }] }]
+    };
+    const random = createRandom(4);
+
+    for (let i = 0; i < 20; i++) {
+      const pos = findSafeSpawnLocation(state, 100, random);
+      state.players[0].cells.forEach(cell => {
+        expect(getDistance(pos, cell)).toBeGreaterThanOrEqual(getSize(cell.score) + 100);
+      });
+    }
+  });
+});
+
+describe('getTotalScore', () => {
+  test('sums the scores of all cells', () => {
+    expect(getTotalScore([{ score: 100 }, { score: 50 }])).toBe(150);
+  });
+
+  test('is zero for no cells', () => {
+    expect(getTotalScore([])).toBe(0);
+  });
+});
+
+describe('getLeadCell', () => {
+  test('returns the largest cell', () => {
+    const lead = { x: 0, y: 0, score: 300 };
+    expect(getLeadCell([{ x: 0, y: 0, score: 100 }, lead, { x: 0, y: 0, score: 200 }])).toBe(lead);
+  });
+
+  test('returns null for no cells', () => {
+    expect(getLeadCell([])).toBeNull();
+  });
+});
+
+describe('getStandings', () => {
+  const owner = (id, ...scores) => ({ id, name: `Owner ${id}`, cells: scores.map(score => ({ x: 0, y: 0, score })) });
+
+  test('ranks owners by the score of all their cells', () => {
+    const standings = getStandings([owner(1, 100), owner(2, 80, 80), owner(3, 120)]);
+
+    expect(standings).toEqual([
+      { id: 2, name: 'Owner 2', score: 160 },
+      { id: 3, name: 'Owner 3', score: 120 },
+      { id: 1, name: 'Owner 1', score: 100 }
+    ]);
+  });
+
+  test('lists only the top few', () => {
+    const owners = Array.from({ length: 10 }, (_, i) => owner(i + 1, i * 10));
+
+    expect(getStandings(owners).map(entry => entry.id)).toEqual([10, 9, 8, 7, 6]);
+    expect(getStandings(owners, 2)).toHaveLength(2);
+  });
+
+  test('counts owners without cells as scoring nothing', () => {
+    expect(getStandings([owner(1), owner(2, 10)]).map(entry => entry.score)).toEqual([10, 0]);
+  });
+});
+
+describe('getOwnedCells', () => {
+  test('pairs every cell with its owner', () => {
+    const player = { kind: 'player', cells: [{ x: 0, y: 0, score: 100 }, { x: 10, y: 10, score: 50 }] };
+    const ai = { kind: 'ai', cells: [{ x: 20, y: 20, score: 75 }] };
+
+    const entries = getOwnedCells([player, ai]);
+
+    expect(entries.map(entry => entry.owner)).toEqual([player, player, ai]);
+    expect(entries.map(entry => entry.cell.score)).toEqual([100, 50, 75]);
+  });
+
+  // Security: Input validation
+  test('skips malformed owners and cells', () => {
+    const entries = getOwnedCells([null, {}, { cells: [null, { x: 0 }, { x: 0, y: 0, score: 10 }] }]);
+
+    expect(entries.length).toBe(1);
+  });
+});
+
+describe('screenToWorld', () => {
+  test('places screen points in the world through the camera', () => {
+    expect(screenToWorld({ x: 100, y: 200, zoom: 1 }, { x: 50, y: 50 })).toEqual({ x: 150, y: 250 });
+    expect(screenToWorld({ x: 100, y: 200, zoom: 0.5 }, { x: 50, y: 50 })).toEqual({ x: 200, y: 300 });
+    expect(screenToWorld({ x: 100, y: 200, zoom: 2 }, { x: 50, y: 50 })).toEqual({ x: 125, y: 225 });
+  });
+});
+
+describe('clampToWorld', () => {
+  test('keeps a view of the given half size inside the world', () => {
+    expect(clampToWorld({ x: 1000, y: 1000 }, 200, 100)).toEqual({ x: 1000, y: 1000 });
+    expect(clampToWorld({ x: 50, y: WORLD_SIZE }, 200, 100)).toEqual({ x: 200, y: WORLD_SIZE - 100 });
+  });
+
+  test('centers views bigger than the world on it', () => {
+    expect(clampToWorld({ x: 50, y: 50 }, WORLD_SIZE, 100)).toEqual({ x: WORLD_SIZE / 2, y: 100 });
+  });
+});
+
+describe('bounded world edges', () => {
+  test('keeps positions inside the world', () => {
+    expect(keepInWorld(-30)).toBe(0);
+    expect(keepInWorld(WORLD_SIZE + 30)).toBe(WORLD_SIZE);
+    expect(keepInWorld(500)).toBe(500);
+  });
+
+  test('measures straight across the world, never over the edge', () => {
+    expect(getOffset({ x: 10, y: 0 }, { x: WORLD_SIZE - 10, y: 0 })).toEqual({ x: WORLD_SIZE - 20, y: 0 });
+    expect(getNearestCopy({ x: 10, y: 10 }, { x: WORLD_SIZE, y: WORLD_SIZE })).toEqual({ x: 10, y: 10 });
+  });
+});
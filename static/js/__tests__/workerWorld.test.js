@@ -0,0 +1,226 @@
+import { WorkerWorld, WorkerGame, supportsWorkerRendering } from '../workerWorld.js';
+import { GameSession } from '../session.js';
+import { gameState, getLocalPlayer } from '../gameState.js';
+import { isLayerEnabled, setLayerEnabled } from '../renderLayers.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+// A 2D context that ignores everything drawn on it
+function createContext() {
+  return new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : () => {}),
+    set: (target, name, value) => {
+      target[name] = value;
+      return true;
+    }
+  });
+}
+
+// A canvas that hands itself over as its own OffscreenCanvas
+function createCanvas() {
+  const canvas = {
+    width: 0,
+    height: 0,
+    getContext: () => createContext(),
+    transferControlToOffscreen: () => canvas
+  };
+  return canvas;
+}
+
+describe('supportsWorkerRendering', () => {
+  function Canvas() {}
+  Canvas.prototype.transferControlToOffscreen = () => {};
+
+  test('needs workers and canvases that can be handed to them', () => {
+    const scope = { Worker: function Worker() {}, OffscreenCanvas: function OffscreenCanvas() {}, HTMLCanvasElement: Canvas };
+
+    expect(supportsWorkerRendering(scope)).toBe(true);
+    expect(supportsWorkerRendering({ ...scope, OffscreenCanvas: undefined })).toBe(false);
+    expect(supportsWorkerRendering({ ...scope, HTMLCanvasElement: function Old() {} })).toBe(false);
+    expect(supportsWorkerRendering({ ...scope, Worker: undefined })).toBe(false);
+  });
+});
+
+describe('WorkerWorld', () => {
+  test('hands both canvases over to the worker when it starts', () => {
+    const send = jest.fn();
+    const world = new WorkerWorld({ send });
+    const canvas = createCanvas();
+    const minimap = createCanvas();
+
+    world.start({ canvas, minimap, width: 800, height: 600, seed: 7 });
+
+    expect(send).toHaveBeenCalledWith(
+      { type: 'start', canvas, minimap, width: 800, height: 600, seed: 7 },
+      [canvas, minimap]
+    );
+  });
+
+  test('passes input and session commands on as messages', () => {
+    const send = jest.fn();
+    const world = new WorkerWorld({ send });
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    world.join('Alice');
+    world.adjustZoom(2);
+
+    expect(send.mock.calls.map(([message]) => message)).toEqual([
+      { type: 'input', input: { direction: { x: 1, y: 0 } } },
+      { type: 'join', name: 'Alice' },
+      { type: 'zoom', factor: 2 }
+    ]);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores messages that are not frames', () => {
+    const world = new WorkerWorld({ send: () => {} });
+
+    world.receive(null);
+    world.receive({ type: 'snapshot', localPlayerId: 5 });
+
+    expect(world.state.localPlayerId).toBeNull();
+    expect(world.getStats()).toBeNull();
+  });
+});
+
+// The page's WorkerWorld and the worker's WorkerGame talking to each other
+// directly, frames run by hand
+describe('worker mode', () => {
+  const frames = [];
+  let time = 0;
+  let canvas;
+  let game;
+  let world;
+
+  function runFrames(count) {
+    for (let i = 0; i < count; i++) {
+      time += 1000 / 60;
+      frames.shift()(time);
+    }
+  }
+
+  beforeAll(() => {
+    // Frames reach the page as plain data, the way a worker posts them
+    game = new WorkerGame({
+      post: message => world.receive(JSON.parse(JSON.stringify(message))),
+      requestFrame: callback => frames.push(callback)
+    });
+    world = new WorkerWorld({ send: message => game.receive(message) });
+    canvas = createCanvas();
+    world.start({ canvas, minimap: createCanvas(), width: 800, height: 600, seed: 1 });
+    runFrames(1);
+  });
+
+  test('draws at the size of the screen', () => {
+    expect(canvas.width).toBe(800);
+    expect(canvas.height).toBe(600);
+
+    world.resize(1024, 768);
+    expect(canvas.width).toBe(1024);
+  });
+
+  test('shows the leaderboard with nobody playing yet', () => {
+    expect(world.state.localPlayerId).toBeNull();
+    expect(world.state.leaderboard.length).toBeGreaterThan(0);
+  });
+
+  test('plays a session through the worker', () => {
+    const session = new GameSession(world);
+
+    session.start('Alice');
+    runFrames(1);
+    session.update();
+
+    expect(session.state).toBe('playing');
+    expect(getLocalPlayer(world.state)).toMatchObject({ name: 'Alice', kind: 'player' });
+    expect(getLocalPlayer(world.state).cells).toHaveLength(1);
+  });
+
+  test('steers the player in the worker', () => {
+    const before = getLocalPlayer(world.state).cells[0];
+    const direction = before.x < 1000 ? 1 : -1;
+
+    world.applyInput({ direction: { x: direction, y: 0 } });
+    runFrames(30);
+
+    const after = getLocalPlayer(world.state).cells[0];
+    expect((after.x - before.x) * direction).toBeGreaterThan(0);
+  });
+
+  test('follows the worker camera, so the mouse steers the way it looks', () => {
+    expect(world.state.camera.x).toBe(gameState.camera.x);
+    expect(world.state.camera.y).toBe(gameState.camera.y);
+    expect(world.state.camera.zoom).toBe(gameState.camera.zoom);
+  });
+
+  test('stands still while paused', () => {
+    world.setPaused(true);
+    const tick = game.world.tickCount;
+    runFrames(10);
+    expect(game.world.tickCount).toBe(tick);
+
+    world.setPaused(false);
+    runFrames(10);
+    expect(game.world.tickCount).toBeGreaterThan(tick);
+  });
+
+  test('zooms and turns layers on and off in the worker', () => {
+    const zoom = gameState.camera.manualZoom;
+
+    world.adjustZoom(1.5);
+    world.setLayerEnabled('mass', false);
+
+    expect(gameState.camera.manualZoom).toBeCloseTo(zoom * 1.5);
+    expect(isLayerEnabled('mass')).toBe(false);
+    setLayerEnabled('mass', true);
+  });
+
+  test('reports how the life went once eaten', () => {
+    const session = new GameSession(world);
+    session.state = 'playing';
+
+    getLocalPlayer(gameState).cells = [];
+    runFrames(1);
+    session.update();
+
+    expect(session.state).toBe('dead');
+    expect(session.stats).toMatchObject({ peakScore: expect.any(Number) });
+  });
+
+  test('leaves the worker world to the AI', () => {
+    world.leave();
+    runFrames(1);
+
+    expect(world.state.localPlayerId).toBeNull();
+    expect(gameState.localPlayerId).toBeNull();
+    expect(gameState.players.every(owner => owner.kind === 'ai')).toBe(true);
+  });
+
+  // Security: Input validation and bounds checking
+  test('ignores messages it does not know, and starting twice', () => {
+    const worldBefore = game.world;
+
+    game.receive(null);
+    game.receive({ type: 'explode' });
+    game.receive({ type: 'start', canvas: createCanvas(), minimap: createCanvas(), width: 1, height: 1 });
+
+    expect(game.world).toBe(worldBefore);
+    expect(canvas.width).toBe(1024);
+  });
+
+  test('waits to be started before handling anything else', () => {
+    const idle = new WorkerGame({ post: jest.fn(), requestFrame: jest.fn() });
+
+    idle.receive({ type: 'join', name: 'Bob' });
+    idle.receive({ type: 'input', input: { split: true } });
+
+    expect(idle.world).toBeNull();
+    expect(idle.requestFrame).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,535 @@
+/**
+ * @jest-environment node
+ */
+import { GameWorld } from '../world.js';
+import {
+  TICK_DURATION,
+  FOOD_COUNT,
+  AI_COUNT,
+  MAX_PLAYERS,
+  MAX_FRAME_TIME,
+  STARTING_SCORE,
+  COLORS,
+  INPUT_QUEUE_LIMIT,
+  MERGE_COOLDOWN
+} from '../config.js';
+import { createOwner, createGameState, getLocalPlayer } from '../gameState.js';
+import { buildSpatialIndex } from '../spatialGrid.js';
+import { getOwnedCells, getDistance } from '../utils.js';
+
+// Count the indexes built, without changing what they hold
+jest.mock('../spatialGrid.js', () => {
+  const actual = jest.requireActual('../spatialGrid.js');
+  return { ...actual, buildSpatialIndex: jest.fn(actual.buildSpatialIndex) };
+});
+
+// Cells of the person playing in a world
+const localCells = world => getLocalPlayer(world.state).cells;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('GameWorld', () => {
+  test('runs without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+
+    const world = new GameWorld();
+
+    expect(() => world.step(1000)).not.toThrow();
+  });
+
+  test('populates its own state on creation', () => {
+    const world = new GameWorld();
+
+    expect(world.state.food.length).toBe(FOOD_COUNT);
+    expect(world.state.players.filter(owner => owner.kind === 'ai').length).toBe(AI_COUNT);
+    expect(localCells(world).length).toBe(1);
+  });
+
+  test('instances do not share state', () => {
+    const world1 = new GameWorld();
+    const world2 = new GameWorld();
+
+    localCells(world1)[0].score = 999;
+
+    expect(world1.state).not.toBe(world2.state);
+    expect(localCells(world2)[0].score).not.toBe(999);
+  });
+
+  test('step runs one tick per tick duration and keeps the remainder', () => {
+    const world = new GameWorld();
+
+    expect(world.step(TICK_DURATION * 2.5)).toBe(2);
+    expect(world.tickCount).toBe(2);
+    expect(world.alpha).toBeCloseTo(0.5);
+  });
+
+  test('step clamps very long frames', () => {
+    const world = new GameWorld();
+
+    world.step(60000);
+
+    expect(world.tickCount).toBeLessThanOrEqual(Math.ceil(MAX_FRAME_TIME / TICK_DURATION));
+  });
+
+  test('step ignores negative time', () => {
+    const world = new GameWorld();
+
+    expect(world.step(-100)).toBe(0);
+    expect(world.accumulator).toBe(0);
+  });
+
+  // Security: Input validation and bounds checking
+  test('step skips frames without a finite length and keeps ticking after them', () => {
+    const world = new GameWorld();
+
+    expect(world.step(NaN)).toBe(0);
+    expect(world.step(undefined)).toBe(0);
+    expect(world.step(Infinity)).toBe(0);
+    expect(world.accumulator).toBe(0);
+
+    expect(world.step(TICK_DURATION)).toBe(1);
+  });
+
+  test('moves the player towards the input direction', () => {
+    const world = new GameWorld();
+    world.state.players = [getLocalPlayer(world.state)];
+    const startX = localCells(world)[0].x;
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    for (let i = 0; i < 10; i++) {
+      world.tick();
+    }
+
+    expect(localCells(world)[0].x).toBeGreaterThan(startX);
+  });
+
+  test('does not move the player without input', () => {
+    const world = new GameWorld();
+    const { x, y } = localCells(world)[0];
+
+    world.tick();
+
+    expect(localCells(world)[0].x).toBe(x);
+    expect(localCells(world)[0].y).toBe(y);
+  });
+
+  test('split command splits the player on the next tick only', () => {
+    const world = new GameWorld();
+
+    world.applyInput({ direction: { x: 1, y: 0 }, split: true });
+    world.tick();
+
+    expect(localCells(world).length).toBe(2);
+    expect(world.getInput().split).toBe(false);
+  });
+
+  test('split without a direction does nothing', () => {
+    const world = new GameWorld();
+
+    world.applyInput({ split: true });
+    world.tick();
+
+    expect(localCells(world).length).toBe(1);
+  });
+
+  test('same seed and inputs replay the same match', () => {
+    const world1 = new GameWorld({ seed: 7 });
+    const world2 = new GameWorld({ seed: 7 });
+
+    for (let i = 0; i < 300; i++) {
+      const direction = { x: Math.cos(i / 20), y: Math.sin(i / 20) };
+      world1.applyInput({ direction });
+      world2.applyInput({ direction });
+      world1.tick();
+      world2.tick();
+    }
+
+    expect(world1.state).toEqual(world2.state);
+  });
+
+  test('different seeds generate different worlds', () => {
+    const world1 = new GameWorld({ seed: 1 });
+    const world2 = new GameWorld({ seed: 2 });
+
+    expect(world1.state.food).not.toEqual(world2.state.food);
+  });
+
+  test('eject command spawns a pellet on the next tick only', () => {
+    const world = new GameWorld();
+
+    world.applyInput({ direction: { x: 1, y: 0 }, eject: true });
+    world.tick();
+
+    expect(world.state.ejectedMass.length).toBe(1);
+    expect(world.getInput().eject).toBe(false);
+  });
+
+  test('every person follows their own input', () => {
+    const world = new GameWorld();
+    const local = getLocalPlayer(world.state);
+    const other = createOwner(world.state, {
+      kind: 'player',
+      name: 'Other',
+      color: COLORS.PLAYER,
+      x: local.cells[0].x,
+      y: local.cells[0].y + 500,
+      score: STARTING_SCORE
+    });
+    world.state.players = [local, other];
+    const localX = local.cells[0].x;
+    const otherX = other.cells[0].x;
+
+    world.applyInput({ direction: { x: 1, y: 0 } });
+    world.applyInput({ direction: { x: -1, y: 0 }, split: true }, other.id);
+    world.tick();
+
+    expect(local.cells[0].x).toBeGreaterThan(localX);
+    expect(local.cells.length).toBe(1);
+    expect(other.cells.length).toBe(2);
+    // The split half shoots off the way the other person is heading
+    expect(other.cells[1].x).toBeLessThan(otherX);
+  });
+});
+
+describe('GameWorld spatial index', () => {
+  test('indexes the world once a tick', () => {
+    const world = new GameWorld({ seed: 1 });
+    world.join('Alice');
+    buildSpatialIndex.mockClear();
+
+    world.step(TICK_DURATION * 10);
+
+    expect(buildSpatialIndex).toHaveBeenCalledTimes(10);
+  });
+
+  test('keeps the index in step with the world through every tick', () => {
+    const world = new GameWorld({ seed: 2 });
+    world.join('Alice');
+    const { state } = world;
+
+    for (let i = 0; i < 300; i++) {
+      world.applyInput({ direction: { x: Math.cos(i / 20), y: Math.sin(i / 20) }, eject: i % 10 === 0, split: i % 50 === 0 });
+      world.tick();
+
+      const index = world.spatialIndex;
+      expect(index.food.size).toBe(state.food.length);
+      expect(index.pellets.size).toBe(state.ejectedMass.length);
+      expect(index.viruses.size).toBe(state.viruses.length);
+      expect(index.cells.size).toBe(getOwnedCells(state.players).length);
+    }
+    state.food.forEach(food => expect(world.spatialIndex.food.queryRadius(food.x, food.y, 0)).toContain(food));
+  });
+
+  test('shows AI players the pieces a cell split into on the same tick', () => {
+    const world = new GameWorld({ seed: 4 });
+    const player = world.join('Alice');
+    const { state } = world;
+    const ai = state.players.find(owner => owner.kind === 'ai');
+    ai.strategy = 'hunter';
+    ai.cells = [{ x: 1250, y: 1000, score: 2500 }];
+    player.cells = [{ x: 1000, y: 1000, score: 3600 }];
+    state.players = [player, ai];
+    state.food = [];
+    state.viruses = [];
+    world.spatialIndex = buildSpatialIndex(state);
+
+    // Splitting towards the AI leaves it two pieces small enough to hunt,
+    // the nearer of them new this tick
+    world.applyInput({ direction: { x: 1, y: 0 }, split: true });
+    world.tick();
+
+    const [original, piece] = player.cells;
+    expect(ai.behavior).toBe('hunting');
+    expect(getDistance(ai.target, piece)).toBeLessThan(getDistance(ai.target, original));
+  });
+
+  test('indexes people as they come and go between ticks', () => {
+    const world = new GameWorld({ seed: 3 });
+    const player = world.join('Alice');
+    const inIndex = () => world.spatialIndex.ownedCells.some(entry => entry.owner === player);
+
+    expect(inIndex()).toBe(true);
+
+    world.removePlayer(player.id);
+    expect(inIndex()).toBe(false);
+    expect(world.spatialIndex.cells.size).toBe(getOwnedCells(world.state.players).length);
+  });
+});
+
+describe('GameWorld clock', () => {
+  test('starts at zero and moves on a tick duration each tick', () => {
+    const world = new GameWorld({ seed: 1 });
+
+    expect(world.time).toBe(0);
+    world.tick();
+    world.tick();
+
+    expect(world.time).toBeCloseTo(TICK_DURATION * 2);
+    expect(world.state.time).toBe(world.time);
+  });
+
+  test('only moves on with the ticks step runs', () => {
+    const world = new GameWorld({ seed: 1 });
+
+    world.step(TICK_DURATION * 2.5);
+
+    expect(world.time).toBeCloseTo(TICK_DURATION * 2);
+  });
+
+  test('stands still while the world is not stepped, whatever the wall clock does', () => {
+    const world = new GameWorld({ seed: 1 });
+    world.tick();
+    const wallClock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+
+    world.step(0);
+
+    expect(world.time).toBeCloseTo(TICK_DURATION);
+    wallClock.mockRestore();
+  });
+
+  test('holds split cells apart for the merge cooldown in ticks', () => {
+    const world = new GameWorld({ seed: 1 });
+    const player = getLocalPlayer(world.state);
+    player.cells[0].score = 200;
+    world.applyInput({ split: true, direction: { x: 1, y: 0 } });
+    world.tick();
+    world.applyInput({ direction: null });
+
+    const cooldownTicks = Math.ceil(MERGE_COOLDOWN / TICK_DURATION);
+    for (let i = 0; i < cooldownTicks - 1; i++) {
+      world.tick();
+    }
+    expect(player.cells).toHaveLength(2);
+
+    for (let i = 0; i < 200 && player.cells.length > 1; i++) {
+      world.tick();
+    }
+    expect(player.cells).toHaveLength(1);
+  });
+});
+
+describe('GameWorld queued input', () => {
+  test('applies one queued command per tick, in order', () => {
+    const world = new GameWorld();
+    const player = getLocalPlayer(world.state);
+    world.state.players = [player];
+    const startX = player.cells[0].x;
+
+    world.queueInput({ seq: 1, direction: { x: 1, y: 0 } }, player.id);
+    world.queueInput({ seq: 2, direction: { x: -1, y: 0 }, split: true }, player.id);
+    world.tick();
+
+    expect(world.getInput(player.id).seq).toBe(1);
+    expect(player.cells[0].x).toBeGreaterThan(startX);
+    expect(player.cells).toHaveLength(1);
+
+    world.tick();
+
+    expect(world.getInput(player.id).seq).toBe(2);
+    expect(player.cells).toHaveLength(2);
+  });
+
+  test('keeps the last direction once the queue runs dry', () => {
+    const world = new GameWorld();
+    const player = getLocalPlayer(world.state);
+
+    world.queueInput({ seq: 1, direction: { x: 0, y: 1 }, split: false, eject: false }, player.id);
+    world.tick();
+    world.tick();
+
+    expect(world.getInput(player.id)).toEqual({ direction: { x: 0, y: 1 }, split: false, eject: false, seq: 1 });
+  });
+
+  // Security: Input validation and bounds checking
+  test('drops commands that repeat or go back in sequence', () => {
+    const world = new GameWorld();
+    const id = world.state.localPlayerId;
+
+    world.queueInput({ seq: 2 }, id);
+    world.queueInput({ seq: 2 }, id);
+    world.queueInput({ seq: 1 }, id);
+    world.queueInput({ seq: undefined }, id);
+    world.tick();
+    world.queueInput({ seq: 2 }, id);
+
+    expect(world.getInput(id).seq).toBe(2);
+    expect(world.inputQueues.get(id)).toEqual([]);
+  });
+
+  test('holds at most INPUT_QUEUE_LIMIT commands, dropping the oldest', () => {
+    const world = new GameWorld();
+    const id = world.state.localPlayerId;
+
+    for (let seq = 1; seq <= INPUT_QUEUE_LIMIT + 5; seq++) {
+      world.queueInput({ seq }, id);
+    }
+    world.tick();
+
+    expect(world.getInput(id).seq).toBe(6);
+  });
+});
+
+describe('GameWorld players', () => {
+  const aiCount = world => world.state.players.filter(owner => owner.kind === 'ai').length;
+
+  test('a server world starts with only AI players', () => {
+    const world = new GameWorld({ state: createGameState({ localPlayer: false }) });
+
+    expect(getLocalPlayer(world.state)).toBeNull();
+    expect(world.state.players.every(owner => owner.kind === 'ai')).toBe(true);
+    expect(aiCount(world)).toBe(AI_COUNT);
+  });
+
+  test('addPlayer brings a person in with a single starting cell', () => {
+    const world = new GameWorld({ state: createGameState({ localPlayer: false }) });
+
+    const player = world.addPlayer({ name: 'Alice' });
+
+    expect(world.state.players).toContain(player);
+    expect(player.kind).toBe('player');
+    expect(player.name).toBe('Alice');
+    expect(player.cells).toHaveLength(1);
+    expect(player.cells[0].score).toBe(STARTING_SCORE);
+    expect(player.cells[0].ownerId).toBe(player.id);
+  });
+
+  test('people take slots from the smallest AI players', () => {
+    const world = new GameWorld({ state: createGameState({ localPlayer: false }) });
+    const people = MAX_PLAYERS - AI_COUNT + 2;
+    const ais = world.state.players.filter(owner => owner.kind === 'ai');
+    ais.forEach((ai, index) => { ai.cells[0].score = 100 + index; });
+
+    for (let i = 0; i < people; i++) {
+      world.addPlayer({ name: `Person ${i}` });
+    }
+
+    expect(world.state.players.length).toBe(MAX_PLAYERS);
+    expect(aiCount(world)).toBe(MAX_PLAYERS - people);
+    expect(world.state.players).not.toContain(ais[0]);
+    expect(world.state.players).not.toContain(ais[1]);
+    expect(world.state.players).toContain(ais[2]);
+  });
+
+  test('AI players fill the slot a person leaves', () => {
+    const world = new GameWorld({ state: createGameState({ localPlayer: false }) });
+    const players = Array.from({ length: 3 }, (_, i) => world.addPlayer({ name: `Person ${i}` }));
+    const aiBefore = aiCount(world);
+
+    world.removePlayer(players[0].id);
+    world.tick();
+
+    expect(world.state.players).not.toContain(players[0]);
+    expect(aiCount(world)).toBe(Math.min(AI_COUNT, aiBefore + 1));
+    expect(world.inputs.has(players[0].id)).toBe(false);
+  });
+
+  test('replays the same joins identically from a seed', () => {
+    const world1 = new GameWorld({ state: createGameState({ localPlayer: false }), seed: 7 });
+    const world2 = new GameWorld({ state: createGameState({ localPlayer: false }), seed: 7 });
+
+    const player1 = world1.addPlayer({ name: 'Alice' });
+    const player2 = world2.addPlayer({ name: 'Alice' });
+
+    expect(player1).toEqual(player2);
+  });
+});
+
+describe('GameWorld lives', () => {
+  const createWorld = () => new GameWorld({ state: createGameState({ localPlayer: false }), seed: 1 });
+
+  test('join brings the person at this page in and leave takes them out', () => {
+    const world = createWorld();
+
+    const player = world.join('Alice');
+
+    expect(getLocalPlayer(world.state)).toBe(player);
+    expect(player.name).toBe('Alice');
+    expect(player.color).toBe(COLORS.PLAYER);
+
+    world.leave();
+
+    expect(world.state.localPlayerId).toBeNull();
+    expect(world.state.players).not.toContain(player);
+  });
+
+  test('keeps count of ticks alive and peak score', () => {
+    const world = createWorld();
+    const player = world.join('Alice');
+
+    world.tick();
+    world.tick();
+    player.cells[0].score = 500;
+    world.tick();
+    player.cells[0].score = 50;
+    world.tick();
+
+    // Decay takes a little off the peak before it's counted
+    expect(world.getStats()).toMatchObject({ ticksAlive: 4, killedBy: null });
+    expect(world.getStats().peakScore).toBeCloseTo(500, -1);
+    expect(world.getStats().peakScore).toBeGreaterThan(player.cells[0].score);
+  });
+
+  test('stops counting once all cells are gone', () => {
+    const world = createWorld();
+    const player = world.join('Alice');
+    world.tick();
+
+    player.cells = [];
+    world.tick();
+    world.tick();
+
+    expect(world.getStats().ticksAlive).toBe(1);
+    expect(player.cells).toHaveLength(0);
+  });
+
+  test('respawn starts a player who was eaten over with fresh stats', () => {
+    const world = createWorld();
+    const player = world.join('Alice');
+    world.tick();
+    player.cells = [];
+
+    expect(world.respawn()).toBe(true);
+
+    expect(player.cells).toHaveLength(1);
+    expect(player.cells[0].score).toBe(STARTING_SCORE);
+    expect(world.getStats()).toEqual({ ticksAlive: 0, peakScore: 0, foodEaten: 0, cellsLost: 0, killedBy: null });
+  });
+
+  test('getStats hands out a copy', () => {
+    const world = createWorld();
+    world.join('Alice');
+
+    world.getStats().foodEaten = 99;
+
+    expect(world.getStats().foodEaten).toBe(0);
+  });
+
+  test('only respawns people in the world who have no cells', () => {
+    const world = createWorld();
+    const player = world.join('Alice');
+    const ai = world.state.players.find(owner => owner.kind === 'ai');
+    ai.cells = [];
+
+    expect(world.respawnPlayer(player.id)).toBe(false);
+    expect(world.respawnPlayer(ai.id)).toBe(false);
+    expect(world.respawnPlayer(9999)).toBe(false);
+    expect(player.cells).toHaveLength(1);
+    expect(ai.cells).toHaveLength(0);
+  });
+
+  test('getStats and leave do nothing for someone not in the world', () => {
+    const world = createWorld();
+    const players = world.state.players.length;
+
+    world.leave();
+
+    expect(world.getStats()).toBeNull();
+    expect(world.state.players).toHaveLength(players);
+  });
+});
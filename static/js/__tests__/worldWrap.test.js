@@ -0,0 +1,114 @@
+import {
+  keepInWorld,
+  getOffset,
+  getNearestCopy,
+  getDistance,
+  calculateCenterOfMass,
+  getInterpolatedPosition,
+  clampToWorld
+} from '../utils.js';
+import { updateEjectedMass, updateViruses } from '../entities.js';
+import { buildFoodGrid } from '../spatialGrid.js';
+import { findVisible, getViewRect } from '../interest.js';
+import { createPerception } from '../aiStrategies.js';
+import { Camera } from '../camera.js';
+import { WORLD_SIZE, STARTING_SCORE } from '../config.js';
+
+// The whole file runs in a world that wraps around at its edges
+jest.mock('../config.js', () => ({
+  ...jest.requireActual('../config.js'),
+  WORLD_WRAP: true
+}));
+
+describe('positions in a wrapping world', () => {
+  test('come back on at the opposite edge', () => {
+    expect(keepInWorld(WORLD_SIZE + 30)).toBe(30);
+    expect(keepInWorld(-30)).toBe(WORLD_SIZE - 30);
+    expect(keepInWorld(500)).toBe(500);
+  });
+
+  test('are measured the short way round', () => {
+    const left = { x: 10, y: 1000 };
+    const right = { x: WORLD_SIZE - 10, y: 1000 };
+
+    expect(getDistance(left, right)).toBe(20);
+    expect(getOffset(left, right)).toEqual({ x: -20, y: 0 });
+    expect(getOffset(right, left)).toEqual({ x: 20, y: 0 });
+  });
+
+  test('have a copy next to any point', () => {
+    expect(getNearestCopy({ x: 10, y: WORLD_SIZE - 10 }, { x: WORLD_SIZE - 50, y: 50 }))
+      .toEqual({ x: WORLD_SIZE + 10, y: -10 });
+  });
+
+  test('average out next to cells either side of an edge', () => {
+    const center = calculateCenterOfMass([
+      { x: WORLD_SIZE - 20, y: 1000, score: 100 },
+      { x: 40, y: 1000, score: 100 }
+    ]);
+
+    expect(center.x).toBeCloseTo(10);
+    expect(center.y).toBeCloseTo(1000);
+  });
+
+  test('interpolate across an edge', () => {
+    const position = getInterpolatedPosition({ prevX: WORLD_SIZE - 10, prevY: 500, x: 10, y: 500 }, 0.75);
+
+    expect(position.x).toBeCloseTo(5);
+  });
+
+  test('leave views free to look past the edges', () => {
+    expect(clampToWorld({ x: 10, y: WORLD_SIZE + 10 }, 500, 500)).toEqual({ x: 10, y: 10 });
+  });
+});
+
+describe('moving in a wrapping world', () => {
+  test('carries pellets and viruses over the edge', () => {
+    const pellet = { x: WORLD_SIZE - 5, y: 5, velocityX: 10, velocityY: -10, age: 0 };
+    const virus = { x: 5, y: 1000, score: 100, velocityX: -10, velocityY: 0 };
+
+    updateEjectedMass({ ejectedMass: [pellet] });
+    updateViruses({ viruses: [virus] });
+
+    expect(pellet.x).toBeCloseTo(5);
+    expect(pellet.y).toBeCloseTo(WORLD_SIZE - 5);
+    expect(virus.x).toBeCloseTo(WORLD_SIZE - 5);
+  });
+});
+
+describe('looking around a wrapping world', () => {
+  test('finds things just over the edge in the spatial grid', () => {
+    const food = { x: WORLD_SIZE - 5, y: 10 };
+    const grid = buildFoodGrid([food, { x: 1000, y: 1000 }]);
+
+    expect(grid.queryRadius(5, 10, 20)).toEqual([food]);
+  });
+
+  test('sends what is over the edge of the view', () => {
+    const food = { x: 1000, y: 50, color: 'green' };
+    const player = { id: 1, cells: [{ x: 1000, y: WORLD_SIZE - 50, score: STARTING_SCORE }] };
+    const state = { players: [player], food: [food, { x: 1000, y: 1000 }], ejectedMass: [], viruses: [] };
+
+    const visible = findVisible(state, getViewRect(player.cells), player.id);
+
+    expect(visible.food).toEqual([food]);
+  });
+
+  test('lets AI players see across the edge, as they would steer', () => {
+    const ai = { kind: 'ai', cells: [{ x: 10, y: 1000, score: 50 }] };
+    const state = { players: [ai], food: [{ x: WORLD_SIZE - 40, y: 1000 }], ejectedMass: [], viruses: [] };
+
+    const perception = createPerception(state, 400)(ai);
+
+    expect(perception.food).toEqual([{ x: -40, y: 1000, score: undefined, distance: 50 }]);
+  });
+
+  test('follows the player the short way round with the camera', () => {
+    const camera = new Camera({ lag: 100 });
+    camera.snapTo(WORLD_SIZE - 20, 1000);
+
+    camera.update(1000 / 60, { target: { x: 20, y: 1000 }, width: 800, height: 600 });
+
+    expect(camera.centerX > WORLD_SIZE - 20 || camera.centerX < 20).toBe(true);
+  });
+});
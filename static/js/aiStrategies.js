@@ -0,0 +1,168 @@
+import { getSize, getDistance, getLeadCell, getNearestCopy } from './utils.js';
+import { buildSpatialIndex } from './spatialGrid.js';
+import { AI_VISION_RADIUS, AI_STRATEGY_WEIGHTS, AI_SPLIT_RANGE, COLLISION_THRESHOLD } from './config.js';
+
+// Pluggable AI behaviours.
+//
+// Each tick an AI perceives what is within AI_VISION_RADIUS of its largest
+// cell and asks its strategy what to do. A strategy is an object with a
+// decide(ai, perception) method, where ai is that largest cell, returning
+// { behavior, heading, target, split } - a label for the debug overlay, the
+// angle to steer towards, the point it is steering for and whether to split
+// towards it - or null to wander aimlessly.
+//
+// perception holds the cell it was measured from and three lists, each
+// sorted nearest first, of { x, y, score, distance } entries:
+//   food    - food and ejected mass
+//   prey    - cells this AI is big enough to eat
+//   threats - cells big enough to eat this AI
+
+function headingTowards(ai, target) {
+    return Math.atan2(target.y - ai.y, target.x - ai.x);
+}
+
+// Away from all threats, with closer threats pushing harder
+function headingAway(ai, threats) {
+    let dx = 0;
+    let dy = 0;
+    threats.forEach(threat => {
+        const weight = 1 / Math.max(1, threat.distance * threat.distance);
+        dx += (ai.x - threat.x) * weight;
+        dy += (ai.y - threat.y) * weight;
+    });
+    return Math.atan2(dy, dx);
+}
+
+function seek(ai, behavior, target) {
+    return { behavior, heading: headingTowards(ai, target), target };
+}
+
+function flee(ai, threats) {
+    return { behavior: 'fleeing', heading: headingAway(ai, threats), target: threats[0] };
+}
+
+function forage(ai, perception) {
+    return perception.food.length > 0 ? seek(ai, 'foraging', perception.food[0]) : null;
+}
+
+function nearbyThreats(perception, radius) {
+    return perception.threats.filter(threat => threat.distance < radius);
+}
+
+// Mostly eats food, only running from threats that get close
+const forager = {
+    decide(ai, perception) {
+        const closeThreats = nearbyThreats(perception, AI_VISION_RADIUS / 2);
+        if (closeThreats.length > 0) return flee(ai, closeThreats);
+        return forage(ai, perception);
+    }
+};
+
+// Chases the best-value prey in sight, ignoring threats unless they are close
+const hunter = {
+    decide(ai, perception) {
+        if (perception.prey.length > 0) {
+            const target = perception.prey.reduce((best, prey) =>
+                prey.score / prey.distance > best.score / best.distance ? prey : best);
+            return seek(ai, 'hunting', target);
+        }
+        return forager.decide(ai, perception);
+    }
+};
+
+// Runs from anything that could eat it
+const coward = {
+    decide(ai, perception) {
+        if (perception.threats.length > 0) return flee(ai, perception.threats);
+        return forage(ai, perception);
+    }
+};
+
+// Goes after prey it could still eat at half its size, splitting to catch
+// it once in range
+const splitter = {
+    decide(ai, perception) {
+        const closeThreats = nearbyThreats(perception, AI_VISION_RADIUS / 2);
+        if (closeThreats.length > 0) return flee(ai, closeThreats);
+
+        const halfSize = getSize(ai.score / 2);
+        const target = perception.prey.find(prey => halfSize > getSize(prey.score) * COLLISION_THRESHOLD);
+        if (target) {
+            return { ...seek(ai, 'hunting', target), split: target.distance < AI_SPLIT_RANGE };
+        }
+
+        return forage(ai, perception);
+    }
+};
+
+const strategies = new Map([
+    ['forager', forager],
+    ['hunter', hunter],
+    ['coward', coward],
+    ['splitter', splitter]
+]);
+
+export const DEFAULT_STRATEGY = 'forager';
+
+// Add or replace a strategy; the name can then be used in AI_STRATEGY_WEIGHTS
+export function registerStrategy(name, strategy) {
+    strategies.set(name, strategy);
+}
+
+export function getStrategy(name) {
+    return strategies.get(name) || strategies.get(DEFAULT_STRATEGY);
+}
+
+// Weighted random strategy name, e.g. for a newly spawned AI
+export function pickStrategy(random = Math.random, weights = AI_STRATEGY_WEIGHTS) {
+    const entries = Object.entries(weights).filter(([name, weight]) => strategies.has(name) && weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total <= 0) return DEFAULT_STRATEGY;
+
+    let roll = random() * total;
+    for (const [name, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// Entries for everything in grid within radius of cell, other than the
+// AI's own cells. Cell grids hold array indices; other grids hold the
+// entities themselves. Positions are as seen from cell, so across the edge
+// of a wrapping world when that's nearer.
+function nearby(grid, items, cell, ownCells, radius) {
+    return grid.queryRadius(cell.x, cell.y, radius)
+        .map(item => (typeof item === 'number' ? items[item] : item))
+        .filter(entity => !ownCells.includes(entity))
+        .map(entity => ({ ...getNearestCopy(entity, cell), score: entity.score, distance: getDistance(cell, entity) }))
+        .filter(entry => entry.distance < radius);
+}
+
+// A function giving each AI's perception, or null for an AI with no cells
+// left, looking around through index (see buildSpatialIndex)
+export function createPerception(state, radius = AI_VISION_RADIUS, index = buildSpatialIndex(state)) {
+    const allCells = index.ownedCells.map(entry => entry.cell);
+
+    return (ai) => {
+        const cell = getLeadCell(ai.cells || []);
+        if (!cell) return null;
+
+        const cellSize = getSize(cell.score);
+        const byDistance = (a, b) => a.distance - b.distance;
+
+        const food = [
+            ...nearby(index.food, state.food, cell, ai.cells, radius),
+            ...nearby(index.pellets, state.ejectedMass, cell, ai.cells, radius)
+        ].sort(byDistance);
+
+        const cells = nearby(index.cells, allCells, cell, ai.cells, radius).sort(byDistance);
+
+        return {
+            cell,
+            food,
+            prey: cells.filter(other => cellSize > getSize(other.score) * COLLISION_THRESHOLD),
+            threats: cells.filter(other => getSize(other.score) > cellSize * COLLISION_THRESHOLD)
+        };
+    };
+}
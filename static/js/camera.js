@@ -0,0 +1,150 @@
+import { clampToWorld, getNearestCopy } from './utils.js';
+import {
+    WORLD_SIZE,
+    MIN_ZOOM,
+    MAX_ZOOM,
+    ZOOM_EASING,
+    CAMERA_LAG,
+    CAMERA_SHAKE_STRENGTH,
+    CAMERA_SHAKE_DURATION
+} from './config.js';
+
+const FRAME_DURATION = 1000 / 60;  // ZOOM_EASING is per frame at this rate
+
+// Move current towards target with a critically damped spring, taking about
+// smoothTime milliseconds to get there and never overshooting. Returns the
+// new value and velocity (per millisecond).
+export function smoothDamp(current, target, velocity, smoothTime, dt) {
+    if (!(smoothTime > 0) || !(dt > 0)) {
+        return { value: dt > 0 ? target : current, velocity: dt > 0 ? 0 : velocity };
+    }
+
+    const omega = 2 / smoothTime;
+    const x = omega * dt;
+    const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+    const change = current - target;
+    const temp = (velocity + omega * change) * dt;
+
+    return {
+        value: target + (change + temp) * decay,
+        velocity: (velocity - omega * temp) * decay
+    };
+}
+
+// What the page looks at: a point in the world it follows smoothly, at a zoom
+// that fits the player's cells, kept inside the world unless it wraps (when
+// the view may look past an edge, onto the other side). x and y are the top
+// left of the view in world units and zoom its world-to-screen scale, which
+// is all the renderer needs.
+//
+// Effects hang off events: on(type, handler) registers for one, emit fires
+// it. The camera emits 'cellEaten' ({ cells }) when the player it watches
+// has cells eaten by someone else.
+export class Camera {
+    constructor({ lag = CAMERA_LAG, random = Math.random } = {}) {
+        this.x = 0;
+        this.y = 0;
+        this.zoom = 1;        // World to screen scale it's drawn at
+        this.manualZoom = 1;  // Zoom the player picked, before fitting their cells in
+        this.lag = lag;       // Milliseconds it takes to catch up, roughly
+        this.random = random;
+
+        this.centerX = WORLD_SIZE / 2;  // Where it's looking, before shaking
+        this.centerY = WORLD_SIZE / 2;
+        this.velocityX = 0;
+        this.velocityY = 0;
+
+        this.shakeStrength = 0;  // Screen pixels, at the start of the shake
+        this.shakeDuration = 0;
+        this.shakeTime = 0;      // Milliseconds of shaking left
+
+        this.handlers = new Map();  // Event type to its handlers
+        this.watched = null;        // Cells the watched player had lost when last watched
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+    }
+
+    emit(type, event = {}) {
+        (this.handlers.get(type) || []).forEach(handler => handler(event, this));
+    }
+
+    // Shake the view by up to strength screen pixels, dying down over duration
+    shake(strength = CAMERA_SHAKE_STRENGTH, duration = CAMERA_SHAKE_DURATION) {
+        if (!(strength > 0) || !(duration > 0)) return;
+
+        this.shakeStrength = Math.max(strength, this.shakeStrength * this.shakeTime / (this.shakeDuration || 1));
+        this.shakeDuration = duration;
+        this.shakeTime = duration;
+    }
+
+    // Multiply the zoom the player picked by factor, within the configured limits
+    adjustZoom(factor) {
+        if (!(factor > 0)) return;
+        this.manualZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.manualZoom * factor));
+    }
+
+    // Look at (x, y) straight away, without easing there
+    snapTo(x, y) {
+        this.centerX = x;
+        this.centerY = y;
+        this.velocityX = 0;
+        this.velocityY = 0;
+    }
+
+    // Keep an eye on the player, emitting 'cellEaten' whenever cellsLost (the
+    // cellsLost of their stats) goes up. A fall means they've started a new
+    // life, and null that there's nobody to watch, as when the player leaves.
+    watch(cellsLost) {
+        const watched = Number.isFinite(cellsLost) ? cellsLost : null;
+        const previous = this.watched;
+        this.watched = watched;
+
+        if (previous !== null && watched !== null && watched > previous) {
+            this.emit('cellEaten', { cells: watched - previous });
+        }
+    }
+
+    // Move on by dt milliseconds on a width by height pixel screen. target is
+    // the point to follow, or null to stay put; viewScale is how much further
+    // out the player's cells need the view (see getViewScale).
+    update(dt, { target = null, viewScale = 1, width, height }) {
+        const elapsed = Math.max(0, dt) || 0;
+
+        if (target) {
+            const easing = 1 - Math.pow(1 - ZOOM_EASING, elapsed / FRAME_DURATION);
+            this.zoom += (this.manualZoom / Math.max(1, viewScale) - this.zoom) * easing;
+
+            // The short way round, should the world wrap
+            const goal = getNearestCopy(target, { x: this.centerX, y: this.centerY });
+            const x = smoothDamp(this.centerX, goal.x, this.velocityX, this.lag, elapsed);
+            const y = smoothDamp(this.centerY, goal.y, this.velocityY, this.lag, elapsed);
+            this.centerX = x.value;
+            this.velocityX = x.velocity;
+            this.centerY = y.value;
+            this.velocityY = y.velocity;
+        }
+
+        const viewWidth = width / this.zoom;
+        const viewHeight = height / this.zoom;
+        const center = clampToWorld({ x: this.centerX, y: this.centerY }, viewWidth / 2, viewHeight / 2);
+        this.centerX = center.x;
+        this.centerY = center.y;
+
+        let shakeX = 0;
+        let shakeY = 0;
+        if (this.shakeTime > 0) {
+            this.shakeTime = Math.max(0, this.shakeTime - elapsed);
+            const strength = this.shakeStrength * this.shakeTime / this.shakeDuration / this.zoom;
+            shakeX = (this.random() * 2 - 1) * strength;
+            shakeY = (this.random() * 2 - 1) * strength;
+        }
+
+        this.x = this.centerX - viewWidth / 2 + shakeX;
+        this.y = this.centerY - viewHeight / 2 + shakeY;
+    }
+}
@@ -0,0 +1,232 @@
+import { getLocalPlayer, getStats } from './gameState.js';
+import { applyCommand, updateDecay } from './entities.js';
+import { applySnapshot } from './protocol.js';
+import { keepInWorld, getAxisOffset } from './utils.js';
+import { TICK_DURATION, MAX_FRAME_TIME, INPUT_HISTORY_LIMIT, INTERPOLATION_DELAY } from './config.js';
+
+// Run a command on the local player's cells exactly as the server will.
+// Ejected pellets aren't predicted, only the mass they cost; the server's
+// pellets arrive with a later snapshot.
+function predict(state, player, command) {
+    applyCommand({ ejectedMass: [], time: state.time }, player, command);
+    updateDecay({ players: [player] });
+}
+
+// Part way along one axis, the short way round should the world wrap
+function lerp(from, to, t) {
+    return keepInWorld(from + getAxisOffset(from, to) * t);
+}
+
+// The world as seen by a client of a game server, steered just like a
+// GameWorld through applyInput, step and alpha, and joined, respawned in and
+// left the same way too.
+//
+// The server has the final say on everything. To hide the round trip, each
+// tick's command is sent to the server and also applied straight away to
+// the local player's cells with the server's own physics. When a snapshot
+// arrives, those cells are reset to the server's version and the commands
+// it has not acknowledged yet are replayed on top. Everyone else is drawn
+// INTERPOLATION_DELAY behind the newest snapshot, between the two snapshots
+// either side of that moment, so they move smoothly between snapshots.
+export class ClientWorld {
+    constructor({ state, send }) {
+        this.state = state;
+        this.send = send;  // Delivers a protocol message to the server
+        this.input = {
+            direction: null,
+            split: false,
+            eject: false
+        };
+        this.nextSeq = 1;
+        this.history = [];    // Commands sent but not yet acknowledged, oldest first
+        this.snapshots = [];  // Recent snapshots as { time, receivedAt, snapshot }, oldest first
+        this.clock = 0;       // Milliseconds stepped through so far
+        this.accumulator = 0;
+        this.tickCount = 0;
+        this.stats = null;  // Our stats as of our last death, from the server
+        this.cellsLost = 0;  // Our cells eaten this life, as the server last told us
+        this.spatialIndex = null;  // Nothing to cull with; the server only sends what we draw
+    }
+
+    // Ask to enter the world as name; the server welcomes us with our id
+    join(name) {
+        this.send({ type: 'join', name });
+    }
+
+    // Ask to come back after being eaten
+    respawn() {
+        this.stats = null;
+        this.cellsLost = 0;
+        this.send({ type: 'respawn' });
+    }
+
+    // Leave the world, while staying connected to join again later
+    leave() {
+        this.send({ type: 'leave' });
+        this.state.localPlayerId = null;
+        this.state.players = [];
+        this.history = [];
+        this.snapshots = [];
+        this.stats = null;
+        this.cellsLost = 0;
+    }
+
+    // How our last life went, once the server has told us it's over
+    getStats() {
+        return this.stats;
+    }
+
+    // Same as GameWorld.applyInput for the local player
+    applyInput({ direction, split, eject } = {}) {
+        if (direction !== undefined) {
+            this.input.direction = direction;
+        }
+        if (split) {
+            this.input.split = true;
+        }
+        if (eject) {
+            this.input.eject = true;
+        }
+    }
+
+    // Send this tick's command and predict its outcome
+    tick() {
+        const player = getLocalPlayer(this.state);
+        if (!player || player.cells.length === 0) return;  // Nothing to predict until the server has placed us
+
+        const command = {
+            seq: this.nextSeq++,
+            direction: this.input.direction,
+            split: this.input.split,
+            eject: this.input.eject
+        };
+        this.input.split = false;
+        this.input.eject = false;
+
+        this.send({ type: 'input', ...command });
+        this.history.push(command);
+        if (this.history.length > INPUT_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+
+        player.cells.forEach(cell => {
+            cell.prevX = cell.x;
+            cell.prevY = cell.y;
+        });
+        predict(this.state, player, command);
+        this.tickCount++;
+        this.state.time += TICK_DURATION;
+    }
+
+    // Advance by dt milliseconds of real time, like GameWorld.step
+    step(dt) {
+        if (!Number.isFinite(dt)) return 0;
+        this.clock += Math.max(0, dt);
+        this.accumulator += Math.min(Math.max(0, dt), MAX_FRAME_TIME);
+
+        let ticks = 0;
+        while (this.accumulator >= TICK_DURATION) {
+            this.tick();
+            this.accumulator -= TICK_DURATION;
+            ticks++;
+        }
+
+        this.interpolateOthers();
+        return ticks;
+    }
+
+    get alpha() {
+        return this.accumulator / TICK_DURATION;
+    }
+
+    // Handle a message from the server
+    receive(message) {
+        if (message.type === 'welcome') {
+            this.state.localPlayerId = message.playerId;
+        } else if (message.type === 'eaten' && Number.isSafeInteger(message.cellsLost)) {
+            this.cellsLost = message.cellsLost;
+        } else if (message.type === 'died') {
+            this.stats = message.stats;
+        } else if (message.type === 'snapshot') {
+            this.receiveSnapshot(message);
+        }
+    }
+
+    receiveSnapshot(snapshot) {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (latest && snapshot.tick <= latest.snapshot.tick) return;  // Arrived out of order
+
+        const predicted = getLocalPlayer(this.state);
+        applySnapshot(this.state, snapshot);
+
+        this.snapshots.push({ time: snapshot.tick * TICK_DURATION, receivedAt: this.clock, snapshot });
+        const renderTime = this.getRenderTime();
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        // Reconcile: the server's cells plus whatever it hasn't seen yet
+        this.history = this.history.filter(command => command.seq > (snapshot.ack || 0));
+        const player = getLocalPlayer(this.state);
+        if (player) {
+            getStats(player).cellsLost = this.cellsLost;
+
+            // Replayed at the current time: a tick or two either way makes
+            // no odds to the merge cooldown
+            this.history.forEach(command => predict(this.state, player, command));
+
+            // Carry on interpolating from where the cells were last drawn
+            if (predicted) {
+                player.cells.forEach((cell, index) => {
+                    const previous = predicted.cells[index];
+                    if (!previous) return;
+                    cell.prevX = typeof previous.prevX === 'number' ? previous.prevX : previous.x;
+                    cell.prevY = typeof previous.prevY === 'number' ? previous.prevY : previous.y;
+                });
+            }
+        }
+
+        this.interpolateOthers();
+    }
+
+    // Server time everyone else is drawn at: INTERPOLATION_DELAY behind the
+    // newest snapshot, running on with the local clock until the next one
+    getRenderTime() {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        return latest.time + (this.clock - latest.receivedAt) - INTERPOLATION_DELAY;
+    }
+
+    // Move every cell but the local player's to where it was at the render
+    // time. Cells are matched by owner and position in the owner's list.
+    interpolateOthers() {
+        if (this.snapshots.length === 0) return;
+
+        const renderTime = this.getRenderTime();
+        const nextIndex = this.snapshots.findIndex(entry => entry.time > renderTime);
+        const to = nextIndex === -1 ? this.snapshots[this.snapshots.length - 1] : this.snapshots[nextIndex];
+        const from = nextIndex > 0 ? this.snapshots[nextIndex - 1] : to;
+        const t = to.time > from.time
+            ? Math.max(0, Math.min(1, (renderTime - from.time) / (to.time - from.time)))
+            : 1;
+
+        const fromOwners = new Map(from.snapshot.players.map(owner => [owner.id, owner]));
+        const toOwners = new Map(to.snapshot.players.map(owner => [owner.id, owner]));
+
+        this.state.players.forEach(owner => {
+            if (owner.id === this.state.localPlayerId) return;
+
+            const fromOwner = fromOwners.get(owner.id);
+            const toOwner = toOwners.get(owner.id);
+            if (!fromOwner || !toOwner) return;
+
+            owner.cells.forEach((cell, index) => {
+                const fromCell = fromOwner.cells[index];
+                const toCell = toOwner.cells[index];
+                if (!fromCell || !toCell) return;
+
+                cell.x = lerp(fromCell.x, toCell.x, t);
+                cell.y = lerp(fromCell.y, toCell.y, t);
+            });
+        });
+    }
+}
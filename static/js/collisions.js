@@ -1,196 +1,261 @@
-import { gameState } from './gameState.js';
-import { getDistance, getSize, getRandomPosition, findSafeSpawnLocation } from './utils.js';
-import { FOOD_SIZE, FOOD_SCORE, COLLISION_THRESHOLD, FOOD_COUNT, AI_COUNT, STARTING_SCORE, WORLD_SIZE } from './config.js';
-import { respawnAI } from './entities.js';
-
-export function handleFoodCollisions() {
-    // Player cells eating food
-    for (const playerCell of gameState.playerCells) {
-        if (!playerCell || typeof playerCell.score !== 'number') continue;
-        
-        gameState.food = gameState.food.filter(food => {
-            if (!food) return true;
-            
-            const distance = getDistance(playerCell, food);
-            const playerSize = getSize(playerCell.score);
-
-            if (distance < playerSize + FOOD_SIZE) {
+import { gameState, getStats } from './gameState.js';
+import { getDistance, getSize, getRandomPosition, findSafeSpawnLocation, getOwnedCells, getOffset } from './utils.js';
+import {
+    FOOD_SIZE,
+    FOOD_SCORE,
+    COLLISION_THRESHOLD,
+    FOOD_COUNT,
+    WORLD_SIZE,
+    EJECT_SIZE,
+    EJECT_PICKUP_DELAY,
+    VIRUS_COUNT,
+    VIRUS_SCORE,
+    VIRUS_MAX_SCORE
+} from './config.js';
+import { respawnAI, getAISlots, popCell, createVirus, shootVirus } from './entities.js';
+import { buildSpatialIndex, addCellToIndex } from './spatialGrid.js';
+
+// Each of these finds what's near each cell through index (see
+// buildSpatialIndex), which is kept up to date with whatever they eat, pop
+// or spawn. Without one, they index the state themselves.
+
+export function handleFoodCollisions(state = gameState, index = buildSpatialIndex(state)) {
+    const eaten = new Set();
+
+    // Each cell only checks the food near it; owners earlier in the list get first pick
+    const eatNearbyFood = (owner, cell) => {
+        const cellSize = getSize(cell.score);
+
+        for (const food of index.food.queryRadius(cell.x, cell.y, cellSize)) {
+            if (eaten.has(food)) continue;
+
+            const distance = getDistance(cell, food);
+
+            if (distance < cellSize + FOOD_SIZE) {
                 // Prevent score overflow
-                playerCell.score = Math.min(Number.MAX_SAFE_INTEGER, playerCell.score + FOOD_SCORE);
-                return false;
+                cell.score = Math.min(Number.MAX_SAFE_INTEGER, cell.score + FOOD_SCORE);
+                eaten.add(food);
+                getStats(owner).foodEaten++;
             }
-            return true;
-        });
+        }
+    };
+
+    for (const { owner, cell } of getOwnedCells(state.players)) {
+        eatNearbyFood(owner, cell);
     }
 
-    // AI eating food
-    for (const ai of gameState.aiPlayers) {
-        if (!ai || typeof ai.score !== 'number') continue;
-        
-        gameState.food = gameState.food.filter(food => {
-            if (!food) return true;
-            
-            const distance = getDistance(ai, food);
-            const aiSize = getSize(ai.score);
-
-            if (distance < aiSize + FOOD_SIZE) {
-                // Prevent score overflow
-                ai.score = Math.min(Number.MAX_SAFE_INTEGER, ai.score + FOOD_SCORE);
-                return false;
-            }
-            return true;
-        });
+    if (eaten.size > 0) {
+        state.food = state.food.filter(food => !eaten.has(food));
+        eaten.forEach(food => index.food.remove(food, food.x, food.y));
     }
 }
 
-export function handlePlayerAICollisions() {
-    // Track changes to make after all collision checks
-    const aiIndicesToRemove = new Set();
-    const playerCellsToRemove = new Set();
-    const scoreGains = new Map(); // Map of cell index to score gain
+export function handleVirusCollisions(state = gameState, index = buildSpatialIndex(state)) {
+    if (state.viruses.length === 0) return;
 
-    // Check each player cell against each AI
-    gameState.playerCells.forEach((playerCell, playerCellIndex) => {
-        if (!playerCell || typeof playerCell.score !== 'number') return;
-        
-        gameState.aiPlayers.forEach((ai, aiIndex) => {
-            if (!ai || typeof ai.score !== 'number') return;
-            if (aiIndicesToRemove.has(aiIndex)) return;
-            if (playerCellsToRemove.has(playerCellIndex)) return;
+    const fedPellets = new Set();
+    const poppedViruses = new Set();
+    const newViruses = [];
 
-            const distance = getDistance(playerCell, ai);
-            const playerSize = getSize(playerCell.score);
-            const aiSize = getSize(ai.score);
-            const minDistance = playerSize + aiSize;
+    // Ejected pellets feed viruses; a full virus shoots off a new one
+    for (const virus of state.viruses) {
+        const virusSize = getSize(virus.score);
 
-            if (distance < minDistance) {
-                // Player cell is bigger
-                if (playerSize > aiSize * COLLISION_THRESHOLD) {
-                    const currentGain = scoreGains.get(playerCellIndex) || 0;
-                    scoreGains.set(playerCellIndex, currentGain + ai.score + 100);
-                    aiIndicesToRemove.add(aiIndex);
-                }
-                // AI is bigger
-                else if (aiSize > playerSize * COLLISION_THRESHOLD) {
-                    // Prevent score overflow
-                    ai.score = Math.min(Number.MAX_SAFE_INTEGER, ai.score + playerCell.score + 100);
-                    playerCellsToRemove.add(playerCellIndex);
-                }
+        for (const pellet of state.ejectedMass) {
+            if (fedPellets.has(pellet)) continue;
+            if (getDistance(virus, pellet) >= virusSize + EJECT_SIZE) continue;
+
+            virus.score += pellet.score;
+            fedPellets.add(pellet);
+
+            if (virus.score >= VIRUS_MAX_SCORE) {
+                // Shoot in the direction the pellet was travelling
+                const { x: dx, y: dy } = getOffset(pellet, virus);
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const direction = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+
+                newViruses.push(shootVirus(virus, direction));
+                virus.score = VIRUS_SCORE;
             }
-        });
-    });
+        }
+    }
 
-    // Apply all changes after collision checks
-    // Remove consumed AIs (in reverse order)
-    [...aiIndicesToRemove].sort((a, b) => b - a).forEach(index => {
-        gameState.aiPlayers.splice(index, 1);
-    });
+    // Cells big enough to swallow a virus pop into pieces, which join the
+    // rest of their owner's cells. Smaller cells pass underneath and can
+    // hide there.
+    getOwnedCells(state.players).forEach(({ owner, cell }) => {
+        const cellSize = getSize(cell.score);
 
-    // Apply score gains to surviving player cells
-    scoreGains.forEach((gain, cellIndex) => {
-        if (!playerCellsToRemove.has(cellIndex) && gameState.playerCells[cellIndex]) {
-            // Prevent score overflow
-            gameState.playerCells[cellIndex].score = Math.min(Number.MAX_SAFE_INTEGER, gameState.playerCells[cellIndex].score + gain);
+        for (const virus of state.viruses) {
+            if (poppedViruses.has(virus)) continue;
+
+            const virusSize = getSize(virus.score);
+
+            // Same size margin as eating, and the cell has to cover the virus center
+            if (cellSize > virusSize * COLLISION_THRESHOLD && getDistance(cell, virus) < cellSize) {
+                // Prevent score overflow
+                cell.score = Math.min(Number.MAX_SAFE_INTEGER, cell.score + virus.score);
+                poppedViruses.add(virus);
+                const count = owner.cells.length;
+                popCell(cell, owner, state.time);
+                owner.cells.slice(count).forEach(piece => addCellToIndex(index, owner, piece));
+                break;
+            }
         }
     });
 
-    // Remove consumed player cells (in reverse order)
-    [...playerCellsToRemove].sort((a, b) => b - a).forEach(index => {
-        gameState.playerCells.splice(index, 1);
-    });
+    if (fedPellets.size > 0) {
+        state.ejectedMass = state.ejectedMass.filter(pellet => !fedPellets.has(pellet));
+        fedPellets.forEach(pellet => index.pellets.remove(pellet, pellet.x, pellet.y));
+    }
+    if (poppedViruses.size > 0) {
+        state.viruses = state.viruses.filter(virus => !poppedViruses.has(virus));
+        poppedViruses.forEach(virus => index.viruses.remove(virus, virus.x, virus.y));
+    }
+    state.viruses.push(...newViruses);
+    newViruses.forEach(virus => index.viruses.insert(virus, virus.x, virus.y, getSize(virus.score)));
+}
 
-    // Respawn player if all cells are gone
-    if (gameState.playerCells.length === 0) {
-        const safePos = findSafeSpawnLocation(gameState);
-        gameState.playerCells.push({
-            x: safePos.x,
-            y: safePos.y,
-            score: STARTING_SCORE,
-            velocityX: 0,
-            velocityY: 0
-        });
+export function handleEjectedMassCollisions(state = gameState, index = buildSpatialIndex(state)) {
+    if (state.ejectedMass.length === 0) return;
+
+    const eaten = new Set();
+
+    // Any cell, whoever owns it, can eat a pellet it touches once the pellet
+    // has left its owner behind
+    const eatNearbyPellets = (cell) => {
+        const cellSize = getSize(cell.score);
+
+        for (const pellet of index.pellets.queryRadius(cell.x, cell.y, cellSize)) {
+            if (eaten.has(pellet) || !(pellet.age >= EJECT_PICKUP_DELAY)) continue;
+
+            if (getDistance(cell, pellet) < cellSize + EJECT_SIZE) {
+                // Prevent score overflow
+                cell.score = Math.min(Number.MAX_SAFE_INTEGER, cell.score + pellet.score);
+                eaten.add(pellet);
+            }
+        }
+    };
+
+    for (const { cell } of getOwnedCells(state.players)) {
+        eatNearbyPellets(cell);
+    }
+
+    if (eaten.size > 0) {
+        state.ejectedMass = state.ejectedMass.filter(pellet => !eaten.has(pellet));
+        eaten.forEach(pellet => index.pellets.remove(pellet, pellet.x, pellet.y));
     }
 }
 
-export function handleAIAICollisions() {
-    const aisToRemove = new Set();
-    const scoreGains = new Map(); // Map of AI index to score gain
-
-    for (let i = 0; i < gameState.aiPlayers.length; i++) {
-        if (aisToRemove.has(i)) continue;
-        
-        const ai1 = gameState.aiPlayers[i];
-        if (!ai1 || typeof ai1.score !== 'number') continue;
-
-        for (let j = i + 1; j < gameState.aiPlayers.length; j++) {
-            if (aisToRemove.has(j)) continue;
-            
-            const ai2 = gameState.aiPlayers[j];
-            if (!ai2 || typeof ai2.score !== 'number') continue;
-            
-            const distance = getDistance(ai1, ai2);
-            const ai1Size = getSize(ai1.score);
-            const ai2Size = getSize(ai2.score);
-            const minDistance = ai1Size + ai2Size;
+// Cells of different owners eat each other when one is big enough to
+// swallow the other; an owner's own cells merge instead (see entities.js).
+// People left without cells stay in the game until they respawn, knowing
+// who ate them.
+export function handleCellCollisions(state = gameState, index = buildSpatialIndex(state)) {
+    // Track changes to make after all collision checks
+    const cellsToRemove = new Set();
+    const scoreGains = new Map(); // Map of cell index to score gain
+    const eatenBy = new Map();    // Map of eaten cell index to the owner that ate it
+    const { ownedCells, cells: cellGrid } = index;
+
+    for (let i = 0; i < ownedCells.length; i++) {
+        if (cellsToRemove.has(i)) continue;
+
+        const { owner: owner1, cell: cell1 } = ownedCells[i];
+
+        // Only later cells near this one, so each pair is checked once
+        const nearbyCells = cellGrid.queryRadius(cell1.x, cell1.y, getSize(cell1.score))
+            .filter(j => j > i)
+            .sort((a, b) => a - b);
+
+        for (const j of nearbyCells) {
+            if (cellsToRemove.has(j)) continue;
+
+            const { owner: owner2, cell: cell2 } = ownedCells[j];
+            if (owner1 === owner2) continue;
+
+            const distance = getDistance(cell1, cell2);
+            const cell1Size = getSize(cell1.score);
+            const cell2Size = getSize(cell2.score);
+            const minDistance = cell1Size + cell2Size;
 
             if (distance < minDistance) {
-                if (ai1Size > ai2Size * COLLISION_THRESHOLD) {
+                if (cell1Size > cell2Size * COLLISION_THRESHOLD) {
                     const currentGain = scoreGains.get(i) || 0;
-                    scoreGains.set(i, currentGain + ai2.score + 100);
-                    aisToRemove.add(j);
-                } else if (ai2Size > ai1Size * COLLISION_THRESHOLD) {
+                    scoreGains.set(i, currentGain + cell2.score + 100);
+                    cellsToRemove.add(j);
+                    eatenBy.set(j, owner1);
+                } else if (cell2Size > cell1Size * COLLISION_THRESHOLD) {
                     const currentGain = scoreGains.get(j) || 0;
-                    scoreGains.set(j, currentGain + ai1.score + 100);
-                    aisToRemove.add(i);
+                    scoreGains.set(j, currentGain + cell1.score + 100);
+                    cellsToRemove.add(i);
+                    eatenBy.set(i, owner2);
                     break;
                 }
             }
         }
     }
 
-    // Apply score gains to surviving AIs
-    scoreGains.forEach((gain, aiIndex) => {
-        if (!aisToRemove.has(aiIndex) && gameState.aiPlayers[aiIndex]) {
+    // Apply all changes after collision checks
+    // Apply score gains to surviving cells
+    scoreGains.forEach((gain, index) => {
+        if (!cellsToRemove.has(index)) {
+            const cell = ownedCells[index].cell;
             // Prevent score overflow
-            gameState.aiPlayers[aiIndex].score = Math.min(Number.MAX_SAFE_INTEGER, gameState.aiPlayers[aiIndex].score + gain);
+            cell.score = Math.min(Number.MAX_SAFE_INTEGER, cell.score + gain);
         }
     });
 
-    // Remove consumed AIs (in reverse order)
-    [...aisToRemove].sort((a, b) => b - a).forEach(index => {
-        gameState.aiPlayers.splice(index, 1);
-    });
+    // Remove eaten cells, and any AI left without cells
+    if (cellsToRemove.size > 0) {
+        cellsToRemove.forEach(i => cellGrid.remove(i, ownedCells[i].cell.x, ownedCells[i].cell.y));
+        const eaten = new Map([...cellsToRemove].map(i => [ownedCells[i].cell, eatenBy.get(i)]));
+        state.players = state.players.filter(owner => {
+            if (!owner || !Array.isArray(owner.cells)) return true;
+
+            const lastCell = owner.cells[owner.cells.length - 1];
+            const count = owner.cells.length;
+            owner.cells = owner.cells.filter(cell => !eaten.has(cell));
+            if (owner.cells.length < count) {
+                getStats(owner).cellsLost += count - owner.cells.length;
+            }
+            if (owner.cells.length === 0 && eaten.has(lastCell)) {
+                getStats(owner).killedBy = eaten.get(lastCell).name;
+            }
+            return owner.kind !== 'ai' || owner.cells.length > 0;
+        });
+    }
 }
 
-export function respawnEntities() {
+export function respawnEntities(state = gameState, random = Math.random, index = buildSpatialIndex(state)) {
     // Respawn food if needed
-    while (gameState.food.length < FOOD_COUNT) {
-        const pos = getRandomPosition();
-        gameState.food.push({
+    while (state.food.length < FOOD_COUNT) {
+        const pos = getRandomPosition(random);
+        const food = {
             x: pos.x,
             y: pos.y,
-            color: `hsl(${Math.random() * 360}, 50%, 50%)`
-        });
+            color: `hsl(${random() * 360}, 50%, 50%)`
+        };
+        state.food.push(food);
+        index.food.insert(food, food.x, food.y, FOOD_SIZE);
     }
 
-    // Respawn AI players if needed
-    while (gameState.aiPlayers.length < AI_COUNT) {
-        const safePos = findSafeSpawnLocation(gameState);
-        const newAI = respawnAI();
-        newAI.x = safePos.x;
-        newAI.y = safePos.y;
-        gameState.aiPlayers.push(newAI);
+    // Respawn viruses if needed
+    while (state.viruses.length < VIRUS_COUNT) {
+        const safePos = findSafeSpawnLocation(state, undefined, random, index);
+        const virus = createVirus(safePos.x, safePos.y);
+        state.viruses.push(virus);
+        index.viruses.insert(virus, virus.x, virus.y, getSize(virus.score));
     }
 
-    // Ensure player has at least one cell
-    if (gameState.playerCells.length === 0) {
-        const safePos = findSafeSpawnLocation(gameState);
-        gameState.playerCells.push({
-            x: safePos.x,
-            y: safePos.y,
-            score: STARTING_SCORE,
-            velocityX: 0,
-            velocityY: 0
-        });
+    // Respawn AI players if needed, each clear of the last
+    let aiCount = state.players.filter(owner => owner && owner.kind === 'ai').length;
+    const aiSlots = getAISlots(state);
+    while (aiCount < aiSlots) {
+        const safePos = findSafeSpawnLocation(state, undefined, random, index);
+        const ai = respawnAI(state, random, safePos);
+        state.players.push(ai);
+        ai.cells.forEach(cell => addCellToIndex(index, ai, cell));
+        aiCount++;
     }
-}
\ No newline at end of file
+}
@@ -1,29 +1,150 @@
 export const WORLD_SIZE = 2000;
+export const WORLD_WRAP = false;  // Whether the world wraps around at its edges (a torus) instead of being walled in
 export const FOOD_SIZE = 5;
 export const STARTING_SCORE = 100;
 export const AI_STARTING_SCORE = 50;  // Starting score for AI players
 export const FOOD_SCORE = 10;
 export const FOOD_COUNT = 100;
-export const AI_COUNT = 10;
+export const AI_COUNT = 10;      // Most AI players in a world
+export const MAX_PLAYERS = 11;   // People and AI together; AI fill whatever slots people leave free
 export const COLLISION_THRESHOLD = 1.1; // 10% size difference needed for consumption
 
+// Simulation timing
+export const TICK_RATE = 60;                    // Simulation ticks per second
+export const TICK_DURATION = 1000 / TICK_RATE;  // Milliseconds per simulation tick
+export const MAX_FRAME_TIME = 250;              // Longest frame we catch up on (e.g. after a throttled tab)
+
+// Movement (all values are per simulation tick)
+export const BASE_SPEED = 5;          // Speed of a size-20 cell, in world units per tick
+export const VELOCITY_INERTIA = 0.9;  // Fraction of velocity a player cell keeps each tick
+export const AI_TURN_CHANCE = 0.02;   // Chance per tick that an AI picks a new heading
+
+// AI behaviour
+export const AI_VISION_RADIUS = 400;  // How far an AI can see, in world units
+export const AI_TURN_SPEED = 0.15;    // Most an AI can turn per tick, in radians
+export const AI_SPLIT_RANGE = 150;    // How close prey must be before a splitter AI splits at it
+export const AI_STRATEGY_WEIGHTS = {  // Relative share of each AI strategy
+    forager: 4,
+    hunter: 2,
+    coward: 2,
+    splitter: 1
+};
+
+// Multiplayer server
+export const SERVER_PORT = 8080;            // Default port of the WebSocket game server
+export const SNAPSHOT_RATE = 20;            // World snapshots sent to each client per second
+export const MAX_MESSAGE_SIZE = 1024;       // Longest client message the server reads, in characters
+export const MAX_NAME_LENGTH = 16;          // Longest nickname a person can pick
+export const DEFAULT_PLAYER_NAME = 'Player';
+export const INPUT_QUEUE_LIMIT = 10;        // Input commands the server holds for a player before dropping the oldest
+export const INPUT_HISTORY_LIMIT = 120;     // Unacknowledged input commands a client keeps for replaying
+export const INTERPOLATION_DELAY = 100;     // How far behind the server other players are drawn, in milliseconds
+export const SNAPSHOT_HISTORY = 32;         // Snapshots kept on each side of a connection to build deltas on
+export const LEADERBOARD_SIZE = 5;          // Top players listed on the leaderboard
+
+// Area of interest: what the server sends each client
+export const VIEW_WIDTH = 1920;      // World units a starting-size player sees across; more mass sees further
+export const VIEW_HEIGHT = 1080;
+export const INTEREST_MARGIN = 200;  // World units beyond the view still sent, so nothing pops in on screen
+export const VIEW_SPREAD_MARGIN = 100;  // World units kept in view beyond the outermost cells of a split player
+
+// Background
+export const BACKGROUND_GRID_SIZE = 50;  // Spacing of the background grid lines, in world units
+export const WORLD_BORDER_WIDTH = 6;     // Thickness of the line drawn round the edge of the world, in world units
+
+// Spatial indexing
+export const GRID_CELL_SIZE = 100;  // Width of a spatial grid bucket, in world units
+
 // Split mechanics
 export const MIN_SPLIT_SCORE = 40;  // Minimum score needed to split
-export const SPLIT_VELOCITY = 12;   // Initial velocity of split cells
+export const SPLIT_VELOCITY = 12;   // Initial velocity of split cells, per tick
 export const MAX_PLAYER_CELLS = 16; // Maximum number of cells a player can have
 export const SPLIT_COOLDOWN = 5000; // Milliseconds before cells can merge back
 export const MERGE_DISTANCE = 2;    // Distance threshold for merging cells
 
+// Mass ejection
+export const EJECT_MIN_SCORE = 35;       // Minimum cell score needed to eject mass
+export const EJECT_COST = 16;            // Score a cell spends per ejection
+export const EJECT_MASS = 12;            // Score carried by the ejected pellet
+export const EJECT_SIZE = 10;            // Radius of an ejected pellet
+export const EJECT_VELOCITY = 20;        // Initial pellet speed, per tick
+export const EJECT_DECELERATION = 0.9;   // Fraction of pellet velocity kept each tick
+export const EJECT_PICKUP_DELAY = 10;    // Ticks before a pellet can be eaten
+
+// Viruses
+export const VIRUS_COUNT = 10;              // Viruses kept in the world
+export const VIRUS_SCORE = 100;             // Score (and so size) of a fresh virus
+export const VIRUS_MAX_SCORE = 180;         // Fed up to this score, a virus shoots off a new one
+export const VIRUS_POP_PIECES = 8;          // Pieces a popped cell breaks into (before MAX_PLAYER_CELLS)
+export const VIRUS_SHOOT_VELOCITY = 20;     // Initial speed of a shot virus, per tick
+export const VIRUS_DECELERATION = 0.9;      // Fraction of virus velocity kept each tick
+
 // Merge mechanics
 export const MERGE_COOLDOWN = 10000;  // Time in ms before cells can merge
-export const MERGE_FORCE = 0.3;       // Strength of the merging force
-export const MERGE_START_FORCE = 0.1; // Initial attraction force (before merge cooldown)
+export const MERGE_FORCE = 0.3;       // Strength of the merging force, per tick
+export const MERGE_START_FORCE = 0.1; // Initial attraction force per tick (before merge cooldown)
+
+// Score decay: cells above DECAY_MIN_SCORE slowly shrink back towards it, so
+// nobody grows without bound
+export const BASE_DECAY_RATE = 0.02;           // Base rate of score decay per second, as a fraction of the score above DECAY_MIN_SCORE
+export const DECAY_SCALE_FACTOR = 0.2;         // How much size affects decay rate
+export const DECAY_MIN_SCORE = STARTING_SCORE; // Cells at or below this score never decay
+
+// Camera zoom. The camera zooms out to fit the player's cells as they grow
+// and spread, then by whatever zoom the player picked on top.
+export const MIN_ZOOM = 0.25;           // Furthest the player can zoom out
+export const MAX_ZOOM = 2;              // Closest the player can zoom in
+export const ZOOM_STEP = 1.1;           // Zoom factor per zoom key press
+export const WHEEL_ZOOM_SPEED = 0.001;  // Zoom change per pixel of mouse wheel scrolling
+export const ZOOM_EASING = 0.1;         // Fraction of the way to its target zoom the camera moves each 60th of a second
+
+// Camera movement
+export const CAMERA_LAG = 150;             // Milliseconds the camera takes to catch up with the player's cells, roughly
+export const CAMERA_SHAKE_STRENGTH = 12;   // Screen pixels the view shakes by when one of the player's cells is eaten
+export const CAMERA_SHAKE_DURATION = 300;  // Milliseconds the shake takes to die down
+
+// Keyboard controls, as KeyboardEvent.code values
+export const DEFAULT_KEY_BINDINGS = {
+    split: 'Space',
+    eject: 'KeyW',
+    pause: 'KeyP',
+    toggleMinimap: 'KeyM',
+    toggleLeaderboard: 'KeyL',
+    zoomIn: 'Equal',
+    zoomOut: 'Minus',
+    toggleDebug: 'KeyB'
+};
+
+// Touch controls
+export const JOYSTICK_RADIUS = 60;      // How far the joystick knob can travel, in pixels
+export const JOYSTICK_DEAD_ZONE = 0.15; // Fraction of the radius that counts as centered
+
+// Gamepad controls, as standard-mapping button indices
+export const GAMEPAD_DEAD_ZONE = 0.2;  // Stick deflection (0 to 1) ignored as drift
+export const GAMEPAD_BUTTONS = {
+    split: 0,          // A / Cross
+    eject: 2,          // X / Square
+    zoomOut: 4,        // Left bumper
+    zoomIn: 5,         // Right bumper
+    toggleMinimap: 8,  // Back / Select
+    pause: 9           // Start
+};
 
 export const COLORS = {
     PLAYER: '#1E90FF',  // Dodger blue color
+    DEBUG: '#FF00FF',
+    GRID: 'rgba(128, 128, 128, 0.25)',
+    CELL_OUTLINE: 'rgba(0, 0, 0, 0.2)',
+    BORDER: 'rgba(220, 60, 60, 0.8)',
+    OUTSIDE_WORLD: 'rgba(0, 0, 0, 0.15)',
+    VIRUS: {
+        FILL: '#33CC33',
+        BORDER: '#228B22'
+    },
     MINIMAP: {
         PLAYER: '#4CAF50',
         TOP_PLAYER: '#FFC107',
-        OTHER: 'rgba(255, 255, 255, 0.3)'
+        OTHER: 'rgba(255, 255, 255, 0.3)',
+        VIRUS: '#33CC33'
     }
 };
\ No newline at end of file
@@ -1,9 +1,18 @@
-import { gameState, mouse } from './gameState.js';
-import { getSize, getRandomPosition, calculateCenterOfMass, getDistance } from './utils.js';
+import { gameState, mouse, createOwner, getStats } from './gameState.js';
+import {
+    getSize,
+    getRandomPosition,
+    calculateCenterOfMass,
+    getDistance,
+    getTotalScore,
+    screenToWorld,
+    keepInWorld,
+    getOffset
+} from './utils.js';
 import { 
-    WORLD_SIZE, 
     FOOD_COUNT, 
     AI_COUNT, 
+    MAX_PLAYERS,
     MIN_SPLIT_SCORE, 
     SPLIT_VELOCITY, 
     MAX_PLAYER_CELLS,
@@ -11,8 +20,30 @@ import {
     MERGE_COOLDOWN,
     MERGE_DISTANCE,
     MERGE_FORCE,
-    MERGE_START_FORCE
+    MERGE_START_FORCE,
+    EJECT_MIN_SCORE,
+    EJECT_COST,
+    EJECT_MASS,
+    EJECT_SIZE,
+    EJECT_VELOCITY,
+    EJECT_DECELERATION,
+    VIRUS_COUNT,
+    VIRUS_SCORE,
+    VIRUS_POP_PIECES,
+    VIRUS_SHOOT_VELOCITY,
+    VIRUS_DECELERATION,
+    BASE_SPEED,
+    VELOCITY_INERTIA,
+    AI_TURN_CHANCE,
+    AI_TURN_SPEED,
+    AI_VISION_RADIUS,
+    TICK_DURATION,
+    BASE_DECAY_RATE,
+    DECAY_SCALE_FACTOR,
+    DECAY_MIN_SCORE
 } from './config.js';
+import { createPerception, getStrategy, pickStrategy } from './aiStrategies.js';
+import { buildSpatialIndex } from './spatialGrid.js';
 
 const AI_NAMES = [
     'Cursor',
@@ -28,25 +59,32 @@ const AI_NAMES = [
 ];
 
 // Function to get an unused AI name
-function getUnusedAIName() {
-    const usedNames = new Set(gameState.aiPlayers.map(ai => ai.name));
+function getUnusedAIName(state) {
+    const usedNames = new Set(state.players.map(owner => owner.name));
     return AI_NAMES.find(name => !usedNames.has(name)) || AI_NAMES[0];
 }
 
-function updateCellMerging() {
-    const now = Date.now();
+// Speed in world units per tick; smaller cells move faster
+function getCellSpeed(score) {
+    return BASE_SPEED / (getSize(score) / 20);
+}
+
+// Pull an owner's cells together and merge those whose cooldown has passed
+// by now, in simulation time
+function updateCellMerging(owner, now) {
+    const cells = owner.cells;
     const cellsToMerge = [];
 
     // First pass: calculate merging forces and identify mergeable cells
-    for (let i = 0; i < gameState.playerCells.length; i++) {
-        const cell1 = gameState.playerCells[i];
+    for (let i = 0; i < cells.length; i++) {
+        const cell1 = cells[i];
         if (!cell1 || typeof cell1.score !== 'number') continue;
         
         // Skip if cell is already marked for merging
         if (cellsToMerge.includes(i)) continue;
 
-        for (let j = i + 1; j < gameState.playerCells.length; j++) {
-            const cell2 = gameState.playerCells[j];
+        for (let j = i + 1; j < cells.length; j++) {
+            const cell2 = cells[j];
             if (!cell2 || typeof cell2.score !== 'number') continue;
             
             // Skip if cell is already marked for merging
@@ -69,8 +107,7 @@ function updateCellMerging() {
                     cellsToMerge.push(i, j);
                 } else {
                     // Strong attraction force when close to merging
-                    const dx = cell2.x - cell1.x;
-                    const dy = cell2.y - cell1.y;
+                    const { x: dx, y: dy } = getOffset(cell1, cell2);
                     const force = MERGE_FORCE;
                     const factor = force / Math.max(1, distance);
 
@@ -84,8 +121,7 @@ function updateCellMerging() {
                 if (distance < minDistance) {
                     const repulsionStrength = 0.3;  // Adjust this to control repulsion strength
                     const repulsionFactor = (minDistance - distance) / minDistance * repulsionStrength;
-                    const dx = cell2.x - cell1.x;
-                    const dy = cell2.y - cell1.y;
+                    const { x: dx, y: dy } = getOffset(cell1, cell2);
                     
                     // Apply repulsion
                     cell1.velocityX = (cell1.velocityX || 0) - dx * repulsionFactor;
@@ -96,8 +132,7 @@ function updateCellMerging() {
                 
                 // Apply attraction force if not too close
                 if (distance > minDistance) {
-                    const dx = cell2.x - cell1.x;
-                    const dy = cell2.y - cell1.y;
+                    const { x: dx, y: dy } = getOffset(cell1, cell2);
                     const force = canMerge ? MERGE_FORCE : MERGE_START_FORCE;
                     const factor = force / Math.max(1, distance);
 
@@ -137,24 +172,24 @@ function updateCellMerging() {
 
         // Merge each group
         groups.forEach(group => {
-            const cells = group.map(index => gameState.playerCells[index]);
+            const groupCells = group.map(index => cells[index]);
             
             // Calculate total score and weighted position
-            const totalScore = cells.reduce((sum, cell) => sum + cell.score, 0);
-            const weightedX = cells.reduce((sum, cell) => sum + cell.x * cell.score, 0) / totalScore;
-            const weightedY = cells.reduce((sum, cell) => sum + cell.y * cell.score, 0) / totalScore;
+            const totalScore = groupCells.reduce((sum, cell) => sum + cell.score, 0);
+            const { x: weightedX, y: weightedY } = calculateCenterOfMass(groupCells);
             
             // Calculate average velocity weighted by mass
-            const avgVelocityX = cells.reduce((sum, cell) => sum + cell.velocityX * cell.score, 0) / totalScore;
-            const avgVelocityY = cells.reduce((sum, cell) => sum + cell.velocityY * cell.score, 0) / totalScore;
+            const avgVelocityX = groupCells.reduce((sum, cell) => sum + cell.velocityX * cell.score, 0) / totalScore;
+            const avgVelocityY = groupCells.reduce((sum, cell) => sum + cell.velocityY * cell.score, 0) / totalScore;
 
             // Remove old cells (in reverse order to maintain correct indices)
             group.sort((a, b) => b - a).forEach(index => {
-                gameState.playerCells.splice(index, 1);
+                cells.splice(index, 1);
             });
 
             // Add merged cell with combined score
-            gameState.playerCells.push({
+            cells.push({
+                ownerId: owner.id,
                 x: weightedX,
                 y: weightedY,
                 score: totalScore,  // This is the sum of all merged cell scores
@@ -166,64 +201,72 @@ function updateCellMerging() {
     }
 }
 
-export function updatePlayer() {
-    const dx = mouse.x - window.innerWidth / 2;
-    const dy = mouse.y - window.innerHeight / 2;
+// Direction from center, a point in the world, towards the mouse, or null if
+// the mouse is right on it. The mouse is placed in the world through camera,
+// so steering holds at any zoom and wherever the camera looks. Without them,
+// it steers from the middle of the screen.
+export function getMouseDirection(camera = null, center = null) {
+    const inWorld = Boolean(camera && center);
+    const target = inWorld ? screenToWorld(camera, mouse) : mouse;
+    const origin = inWorld ? center : { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+    const { x: dx, y: dy } = getOffset(origin, target);
     const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    if (distance > 0) {
-        const direction = {
-            x: dx / distance,
-            y: dy / distance
-        };
-
-        // Update each cell
-        gameState.playerCells.forEach(cell => {
-            if (!cell || typeof cell.score !== 'number') return;
-            
-            // Base speed is inversely proportional to cell size
-            const speed = 5 / (getSize(cell.score) / 20);
 
-            // Update velocity (with inertia)
-            cell.velocityX = (cell.velocityX || 0) * 0.9 + direction.x * speed * 0.1;
-            cell.velocityY = (cell.velocityY || 0) * 0.9 + direction.y * speed * 0.1;
+    if (!(distance > 0)) return null;
 
-            // Update position
-            cell.x = Math.max(0, Math.min(WORLD_SIZE, (cell.x || 0) + cell.velocityX));
-            cell.y = Math.max(0, Math.min(WORLD_SIZE, (cell.y || 0) + cell.velocityY));
-        });
+    return {
+        x: dx / distance,
+        y: dy / distance
+    };
+}
+
+// Accelerate each cell towards direction, a unit vector, and move it
+function moveCells(cells, direction) {
+    cells.forEach(cell => {
+        if (!cell || typeof cell.score !== 'number') return;
+
+        // Base speed is inversely proportional to cell size
+        const speed = getCellSpeed(cell.score);
+
+        // Update velocity (with inertia)
+        cell.velocityX = (cell.velocityX || 0) * VELOCITY_INERTIA + direction.x * speed * (1 - VELOCITY_INERTIA);
+        cell.velocityY = (cell.velocityY || 0) * VELOCITY_INERTIA + direction.y * speed * (1 - VELOCITY_INERTIA);
+
+        // Update position
+        cell.x = keepInWorld((cell.x || 0) + cell.velocityX);
+        cell.y = keepInWorld((cell.y || 0) + cell.velocityY);
+    });
+}
+
+// Steer an owner's cells towards direction, a unit vector, or let them
+// coast when it is null. now is the simulation time (state.time).
+export function moveOwner(owner, direction, now = 0) {
+    if (direction) {
+        moveCells(owner.cells, direction);
     }
 
     // Handle cell merging
-    updateCellMerging();
+    updateCellMerging(owner, now);
 }
 
-export function splitPlayerCell(cell) {
+// Split one of an owner's cells in two, shooting the new half off in
+// direction; both halves remember the split happened at now
+export function splitCell(cell, owner, direction, now = 0) {
     if (!cell || typeof cell.score !== 'number') {
         return;
     }
     
     if (cell.score < MIN_SPLIT_SCORE || 
-        gameState.playerCells.length >= MAX_PLAYER_CELLS) {
+        owner.cells.length >= MAX_PLAYER_CELLS) {
         return;
     }
 
-    // Calculate split direction (towards mouse)
-    const dx = mouse.x - window.innerWidth / 2;
-    const dy = mouse.y - window.innerHeight / 2;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    if (distance === 0) return;
-
-    const direction = {
-        x: dx / distance,
-        y: dy / distance
-    };
-
-    const now = Date.now();
+    // Split cells shoot off in the movement direction
+    if (!direction) return;
 
     // Create new cell
     const newCell = {
+        ownerId: owner.id,
         x: cell.x,
         y: cell.y,
         score: cell.score / 2,
@@ -239,85 +282,297 @@ export function splitPlayerCell(cell) {
     cell.splitTime = now;
 
     // Add new cell
-    gameState.playerCells.push(newCell);
+    owner.cells.push(newCell);
 }
 
-export function handlePlayerSplit() {
-    // Split each cell that's large enough
-    const cellsToSplit = gameState.playerCells.filter(cell => 
+// Split each of an owner's cells that's large enough
+export function splitOwner(owner, direction, now = 0) {
+    const cellsToSplit = owner.cells.filter(cell => 
         cell && 
         typeof cell.score === 'number' &&
         cell.score >= MIN_SPLIT_SCORE && 
-        gameState.playerCells.length < MAX_PLAYER_CELLS
+        owner.cells.length < MAX_PLAYER_CELLS
     );
 
-    cellsToSplit.forEach(cell => splitPlayerCell(cell));
+    cellsToSplit.forEach(cell => splitCell(cell, owner, direction, now));
+}
+
+// Break a cell into equal pieces flying outwards, as when it hits a virus.
+// The cell itself stays put as one of the pieces.
+export function popCell(cell, owner, now = 0) {
+    if (!cell || typeof cell.score !== 'number') return;
+
+    // Never exceed the cell limit
+    const pieces = Math.min(VIRUS_POP_PIECES, MAX_PLAYER_CELLS - owner.cells.length + 1);
+    if (pieces < 2) return;
+
+    const pieceScore = cell.score / pieces;
+
+    cell.score = pieceScore;
+    cell.splitTime = now;
+
+    for (let i = 0; i < pieces - 1; i++) {
+        const angle = (i / (pieces - 1)) * Math.PI * 2;
+        owner.cells.push({
+            ownerId: owner.id,
+            x: cell.x,
+            y: cell.y,
+            score: pieceScore,
+            velocityX: Math.cos(angle) * SPLIT_VELOCITY,
+            velocityY: Math.sin(angle) * SPLIT_VELOCITY,
+            splitTime: now
+        });
+    }
+}
+
+export function createVirus(x, y) {
+    return {
+        x,
+        y,
+        score: VIRUS_SCORE,
+        velocityX: 0,
+        velocityY: 0
+    };
+}
+
+// A fed virus shoots a new virus away from it in the given direction
+export function shootVirus(virus, direction) {
+    const newVirus = createVirus(virus.x, virus.y);
+    newVirus.velocityX = direction.x * VIRUS_SHOOT_VELOCITY;
+    newVirus.velocityY = direction.y * VIRUS_SHOOT_VELOCITY;
+    return newVirus;
+}
+
+// Shot viruses glide to a stop
+export function updateViruses(state = gameState) {
+    state.viruses.forEach(virus => {
+        if (virus.velocityX === 0 && virus.velocityY === 0) return;
+
+        virus.x = keepInWorld(virus.x + virus.velocityX);
+        virus.y = keepInWorld(virus.y + virus.velocityY);
+
+        virus.velocityX *= VIRUS_DECELERATION;
+        virus.velocityY *= VIRUS_DECELERATION;
+
+        if (Math.abs(virus.velocityX) < 0.01) virus.velocityX = 0;
+        if (Math.abs(virus.velocityY) < 0.01) virus.velocityY = 0;
+    });
+}
+
+// Every cell of owner big enough sheds a pellet in direction
+export function ejectMass(state, owner, direction) {
+    // Pellets shoot off in the movement direction
+    if (!direction) return;
+
+    owner.cells.forEach(cell => {
+        if (!cell || typeof cell.score !== 'number') return;
+        if (cell.score < EJECT_MIN_SCORE) return;
+
+        cell.score -= EJECT_COST;
+
+        // Spawn the pellet just outside the cell's edge
+        const spawnDistance = getSize(cell.score) + EJECT_SIZE;
+        state.ejectedMass.push({
+            x: cell.x + direction.x * spawnDistance,
+            y: cell.y + direction.y * spawnDistance,
+            score: EJECT_MASS,
+            velocityX: direction.x * EJECT_VELOCITY,
+            velocityY: direction.y * EJECT_VELOCITY,
+            color: owner.color,
+            age: 0
+        });
+    });
+}
+
+export function updateEjectedMass(state = gameState) {
+    state.ejectedMass.forEach(pellet => {
+        pellet.x = keepInWorld(pellet.x + pellet.velocityX);
+        pellet.y = keepInWorld(pellet.y + pellet.velocityY);
+
+        pellet.velocityX *= EJECT_DECELERATION;
+        pellet.velocityY *= EJECT_DECELERATION;
+
+        // Come to a full stop instead of drifting forever
+        if (Math.abs(pellet.velocityX) < 0.01) pellet.velocityX = 0;
+        if (Math.abs(pellet.velocityY) < 0.01) pellet.velocityY = 0;
+
+        pellet.age++;
+    });
 }
 
-export function updateAI() {
-    gameState.aiPlayers.forEach(ai => {
-        if (Math.random() < 0.02) {
-            ai.direction = Math.random() * Math.PI * 2;
+// Turn towards heading, by at most AI_TURN_SPEED
+function steerTowards(ai, heading) {
+    let delta = heading - ai.direction;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));  // Shortest way round
+    ai.direction += Math.max(-AI_TURN_SPEED, Math.min(AI_TURN_SPEED, delta));
+}
+
+// Carry out one tick's command for an owner, whoever is in control of it:
+// { direction, split, eject }, with direction a unit vector or null
+export function applyCommand(state, owner, { direction = null, split = false, eject = false } = {}) {
+    if (!owner || !Array.isArray(owner.cells)) return;
+
+    if (split) {
+        splitOwner(owner, direction, state.time);
+    }
+
+    if (eject) {
+        ejectMass(state, owner, direction);
+    }
+
+    moveOwner(owner, direction, state.time);
+}
+
+// AI players choose their own commands each tick, seeing the world through
+// index (see buildSpatialIndex)
+export function updateAI(state = gameState, random = Math.random, index = buildSpatialIndex(state)) {
+    const perceive = createPerception(state, AI_VISION_RADIUS, index);
+
+    state.players.forEach(ai => {
+        if (!ai || ai.kind !== 'ai') return;
+
+        const perception = perceive(ai);
+        if (!perception) return;
+
+        // Strategies decide from the AI's largest cell; the rest follow it
+        const decision = getStrategy(ai.strategy).decide(perception.cell, perception);
+
+        if (decision) {
+            ai.behavior = decision.behavior;
+            ai.target = decision.target ? { x: decision.target.x, y: decision.target.y } : null;
+            steerTowards(ai, decision.heading);
+        } else {
+            // Nothing interesting in sight, so wander
+            ai.behavior = 'wandering';
+            ai.target = null;
+            if (random() < AI_TURN_CHANCE) {
+                ai.direction = random() * Math.PI * 2;
+            }
         }
 
-        const speed = 5 / (getSize(ai.score) / 20);
-        ai.x += Math.cos(ai.direction) * speed;
-        ai.y += Math.sin(ai.direction) * speed;
+        applyCommand(state, ai, {
+            direction: { x: Math.cos(ai.direction), y: Math.sin(ai.direction) },
+            split: Boolean(decision && decision.split)
+        });
+    });
+}
+
+// Fraction of its score above DECAY_MIN_SCORE a cell loses per second. Bigger
+// cells decay faster, growing with their score relative to DECAY_MIN_SCORE.
+export function getDecayRate(score) {
+    if (!(score > DECAY_MIN_SCORE)) return 0;
+    return BASE_DECAY_RATE * Math.pow(score / DECAY_MIN_SCORE, DECAY_SCALE_FACTOR);
+}
+
+// Shrink every player and AI cell by dt milliseconds of decay
+export function updateDecay(state = gameState, dt = TICK_DURATION) {
+    const seconds = Math.max(0, dt) / 1000;
+
+    state.players.forEach(owner => {
+        if (!owner || !Array.isArray(owner.cells)) return;
+
+        owner.cells.forEach(cell => {
+            if (!cell || typeof cell.score !== 'number') return;
+
+            // Never decays below the minimum, however long the step
+            const excess = cell.score - DECAY_MIN_SCORE;
+            const loss = excess * Math.min(1, getDecayRate(cell.score) * seconds);
+            if (loss > 0) {
+                cell.score -= loss;
+            }
+        });
+    });
+}
+
+// Count another tick of life for every owner with cells in play
+export function updateStats(state = gameState) {
+    state.players.forEach(owner => {
+        if (!owner || !Array.isArray(owner.cells) || owner.cells.length === 0) return;
 
-        ai.x = Math.max(0, Math.min(WORLD_SIZE, ai.x));
-        ai.y = Math.max(0, Math.min(WORLD_SIZE, ai.y));
+        const stats = getStats(owner);
+        stats.ticksAlive++;
+        stats.peakScore = Math.max(stats.peakScore, getTotalScore(owner.cells));
     });
 }
 
-export function initEntities() {
-    // Clear existing entities
-    gameState.food = [];
-    gameState.aiPlayers = [];
+// Remember where everything was before a tick so the renderer can interpolate
+export function savePreviousPositions(state = gameState) {
+    state.players.forEach(owner => {
+        if (!owner || !Array.isArray(owner.cells)) return;
+        owner.cells.forEach(cell => {
+            if (!cell) return;
+            cell.prevX = cell.x;
+            cell.prevY = cell.y;
+        });
+    });
+
+    state.ejectedMass.forEach(pellet => {
+        pellet.prevX = pellet.x;
+        pellet.prevY = pellet.y;
+    });
+
+    state.viruses.forEach(virus => {
+        virus.prevX = virus.x;
+        virus.prevY = virus.y;
+    });
+}
+
+export function initEntities(state = gameState, random = Math.random) {
+    // Clear existing entities, keeping the people playing
+    state.food = [];
+    state.ejectedMass = [];
+    state.viruses = [];
+    state.players = state.players.filter(owner => owner.kind !== 'ai');
     
     console.log('Initializing entities...');
 
     // Initialize food
     for (let i = 0; i < FOOD_COUNT; i++) {
-        const pos = getRandomPosition();
-        gameState.food.push({
+        const pos = getRandomPosition(random);
+        state.food.push({
             x: pos.x,
             y: pos.y,
-            color: `hsl(${Math.random() * 360}, 50%, 50%)`
+            color: `hsl(${random() * 360}, 50%, 50%)`
         });
     }
 
+    // Initialize viruses
+    for (let i = 0; i < VIRUS_COUNT; i++) {
+        const pos = getRandomPosition(random);
+        state.viruses.push(createVirus(pos.x, pos.y));
+    }
+
     // Initialize AI players
-    for (let i = 0; i < AI_COUNT; i++) {
-        const pos = getRandomPosition();
-        const ai = {
-            x: pos.x,
-            y: pos.y,
-            score: AI_STARTING_SCORE,
-            color: `hsl(${Math.random() * 360}, 70%, 50%)`,
-            direction: Math.random() * Math.PI * 2,
-            name: getUnusedAIName()
-        };
-        gameState.aiPlayers.push(ai);
+    const aiSlots = getAISlots(state);
+    for (let i = 0; i < aiSlots; i++) {
+        state.players.push(respawnAI(state, random));
     }
 
     console.log('Entities initialized:', {
-        foodCount: gameState.food.length,
-        aiCount: gameState.aiPlayers.length,
-        playerCells: gameState.playerCells.length
+        foodCount: state.food.length,
+        virusCount: state.viruses.length,
+        playerCount: state.players.length
     });
 }
 
-// Export for use in other modules
-export function respawnAI() {
-    const pos = getRandomPosition();
-    const name = getUnusedAIName();
-    
-    return {
+// How many AI players the world should have: up to AI_COUNT, in whatever
+// slots the people playing leave free
+export function getAISlots(state = gameState) {
+    const people = state.players.filter(owner => owner && owner.kind === 'player').length;
+    return Math.max(0, Math.min(AI_COUNT, MAX_PLAYERS - people));
+}
+
+// A new AI player, starting out as a single cell at pos
+export function respawnAI(state = gameState, random = Math.random, pos = getRandomPosition(random)) {
+    const ai = createOwner(state, {
+        kind: 'ai',
+        name: getUnusedAIName(state),
+        color: `hsl(${random() * 360}, 70%, 50%)`,
         x: pos.x,
         y: pos.y,
-        score: AI_STARTING_SCORE,
-        color: `hsl(${Math.random() * 360}, 70%, 50%)`,
-        direction: Math.random() * Math.PI * 2,
-        name: name
-    };
-}
\ No newline at end of file
+        score: AI_STARTING_SCORE
+    });
+    ai.direction = random() * Math.PI * 2;
+    ai.strategy = pickStrategy(random);
+    return ai;
+}
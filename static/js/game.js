@@ -1,8 +1,83 @@
-import { gameState, mouse } from './gameState.js';
-import { initRenderer, resizeCanvas, drawGame, drawMinimap, updateLeaderboard } from './renderer.js';
-import { updatePlayer, updateAI, initEntities, handlePlayerSplit } from './entities.js';
-import { handleFoodCollisions, handlePlayerAICollisions, handleAIAICollisions, respawnEntities } from './collisions.js';
-import { initUI } from './ui.js';
+import { gameState, mouse, getLocalPlayer } from './gameState.js';
+import { calculateCenterOfMass } from './utils.js';
+import {
+    initRenderer,
+    resizeCanvas,
+    drawGame,
+    drawMinimap,
+    updateLeaderboard,
+    updateScore,
+    adjustZoom,
+    toggleDebugOverlay
+} from './renderer.js';
+import { getMouseDirection } from './entities.js';
+import {
+    initUI,
+    initSessionScreens,
+    toggleMinimap,
+    toggleLeaderboard,
+    setPauseIndicator,
+    setPauseAvailable,
+    setGamepadStatus
+} from './ui.js';
+import { GameWorld } from './world.js';
+import { ClientWorld } from './clientWorld.js';
+import { onAction, handleKeyDown, triggerAction } from './input.js';
+import { initTouchControls, getTouchDirection } from './touch.js';
+import { initGamepad, pollGamepad } from './gamepad.js';
+import { ZOOM_STEP, WHEEL_ZOOM_SPEED } from './config.js';
+import { connectToServer } from './network.js';
+import { GameSession } from './session.js';
+import { WorkerWorld, supportsWorkerRendering } from './workerWorld.js';
+import { onLayerChange } from './renderLayers.js';
+
+let world;  // A GameWorld, a ClientWorld when playing on a game server, or a WorkerWorld in worker mode
+let session;  // Whether we're on the start screen, playing or dead
+let lastFrameTime = 0;
+let paused = false;  // The world isn't stepped, so its clock stands still too
+let inputSource = 'mouse';  // Whichever of mouse, touch or gamepad was used last steers
+
+function getInputDirection(gamepadState) {
+    if (inputSource === 'gamepad') return gamepadState ? gamepadState.direction : null;
+    if (inputSource === 'touch') return getTouchDirection();
+
+    // Steer from our cells towards the mouse, as placed in the world
+    const player = getLocalPlayer(gameState);
+    if (!player || player.cells.length === 0) return null;
+    return getMouseDirection(gameState.camera, calculateCenterOfMass(player.cells));
+}
+
+// Send input to the world only while there are cells for it to steer
+function applyInput(input) {
+    if (session.isPlaying) {
+        world.applyInput(input);
+    }
+}
+
+// Zoom the camera, which is the worker's when it draws the game
+function zoom(factor) {
+    if (world instanceof WorkerWorld) {
+        world.adjustZoom(factor);
+    } else {
+        adjustZoom(factor);
+    }
+}
+
+// A game server's world carries on whatever we do, so only a world of our
+// own can be paused
+function setPaused(value) {
+    if (world instanceof ClientWorld) return;
+
+    paused = value;
+    setPauseIndicator(paused);
+    if (world instanceof WorkerWorld) {
+        world.setPaused(paused);
+    }
+}
+
+function togglePause() {
+    setPaused(!paused);
+}
 
 function setupInputHandlers() {
     const canvas = document.getElementById('gameCanvas');
@@ -11,36 +86,70 @@ function setupInputHandlers() {
     canvas.addEventListener('mousemove', (e) => {
         mouse.x = e.clientX;
         mouse.y = e.clientY;
+        inputSource = 'mouse';
     });
 
+    // Mouse wheel zooms, more the further it's scrolled (some browsers
+    // scroll by lines rather than pixels)
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        zoom(Math.exp(-pixels * WHEEL_ZOOM_SPEED));
+    }, { passive: false });
+
     // Mouse click for splitting
     canvas.addEventListener('click', (e) => {
-        handlePlayerSplit();
+        applyInput({ split: true });
+    });
+
+    // Keyboard actions (see DEFAULT_KEY_BINDINGS; rebindable in settings)
+    onAction('split', () => applyInput({ split: true }));
+    onAction('eject', () => applyInput({ eject: true }));
+    onAction('pause', togglePause);
+    document.getElementById('pause-game').addEventListener('click', togglePause);
+
+    // Pause when the tab is hidden, until the player resumes
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            setPaused(true);
+        }
+    });
+    onAction('toggleMinimap', toggleMinimap);
+    onAction('toggleLeaderboard', toggleLeaderboard);
+    onAction('zoomIn', () => zoom(ZOOM_STEP));
+    onAction('zoomOut', () => zoom(1 / ZOOM_STEP));
+    onAction('toggleDebug', toggleDebugOverlay);
+
+    window.addEventListener('keydown', handleKeyDown);
+
+    // Virtual joystick and on-screen buttons
+    initTouchControls({
+        onSplit: () => applyInput({ split: true }),
+        onEject: () => applyInput({ eject: true }),
+        onZoom: zoom,
+        onActive: () => { inputSource = 'touch'; }
     });
 
+    // Gamepads, including ones plugged in mid-game
+    initGamepad({ onChange: setGamepadStatus });
+
     // Window resize
     window.addEventListener('resize', () => {
         resizeCanvas();
+        if (world instanceof WorkerWorld) {
+            world.resize(window.innerWidth, window.innerHeight);
+        }
     });
 }
 
-function checkCollisions() {
-    handleFoodCollisions();
-    handlePlayerAICollisions();
-    handleAIAICollisions();
-    respawnEntities();
-}
-
 function verifyGameState() {
     console.log('Verifying game state...');
-    console.log('Player cells:', gameState.playerCells);
-    console.log('AI players:', gameState.aiPlayers);
+    const aiPlayers = gameState.players.filter(owner => owner.kind === 'ai');
+    console.log('AI players:', aiPlayers);
     console.log('Food count:', gameState.food.length);
 
-    if (gameState.playerCells.length === 0) {
-        console.error('No player cells found!');
-    }
-    if (gameState.aiPlayers.length === 0) {
+    // Nobody plays until they leave the start screen
+    if (aiPlayers.length === 0) {
         console.error('No AI players found!');
     }
     if (gameState.food.length === 0) {
@@ -48,12 +157,27 @@ function verifyGameState() {
     }
 }
 
-function gameLoop() {
-    updatePlayer();
-    updateAI();
-    checkCollisions();
+function gameLoop(now) {
+    // Poll even while paused so Start can resume
+    const gamepadState = pollGamepad();
+    if (gamepadState && (gamepadState.direction || gamepadState.actions.length > 0)) {
+        inputSource = 'gamepad';
+    }
+    if (gamepadState) {
+        gamepadState.actions.forEach(triggerAction);
+    }
+
+    const frameTime = now - lastFrameTime;
+    if (!paused) {
+        applyInput({ direction: getInputDirection(gamepadState) });
+        world.step(frameTime);
+        session.update();
+    }
+    lastFrameTime = now;
+
     updateLeaderboard();
-    drawGame();
+    updateScore();
+    drawGame(world.alpha, world.spatialIndex, frameTime);
     drawMinimap();
     requestAnimationFrame(gameLoop);
 }
@@ -79,25 +203,83 @@ async function initGame() {
 
         console.log('DOM elements found');
 
+        // ?worker simulates and draws the game in a Web Worker, where the
+        // browser supports it, leaving the page just input and the UI
+        const params = new URLSearchParams(window.location.search);
+        const useWorker = params.has('worker') && supportsWorkerRendering();
+        if (params.has('worker') && !useWorker) {
+            console.log('Web Workers with OffscreenCanvas unsupported; running on the page');
+        }
+
         // Initialize game components in order
-        initRenderer(elements);
+        if (useWorker) {
+            initRenderer({ scoreElement: elements.scoreElement, leaderboardContent: elements.leaderboardContent });
+        } else {
+            initRenderer(elements);
+        }
         console.log('Renderer initialized');
+
+        // Shake the screen whenever one of our cells is eaten
+        gameState.camera.on('cellEaten', (event, camera) => camera.shake());
         
         setupInputHandlers();
         console.log('Input handlers set up');
         
-        initEntities();
-        console.log('Entities initialized');
+        // The page's world simulates the shared gameState the renderer draws.
+        // A ?seed= query parameter replays a specific match, and ?server=
+        // plays on a game server instead; ?lag= adds that many milliseconds
+        // of latency each way. ?name= fills in the start screen's nickname.
+        // Either way nobody plays until they pick a nickname there.
+        const serverUrl = params.get('server');
+        const seedParam = params.get('seed');
+        if (serverUrl) {
+            const connection = connectToServer(serverUrl, {
+                latency: Number(params.get('lag')) || 0,
+                onMessage: (message) => world.receive(message),
+                onError: (message) => session.fail(message)
+            });
+            world = new ClientWorld({ state: gameState, send: (message) => connection.send(message) });
+            setPauseAvailable(false);
+            console.log('Connecting to game server', serverUrl);
+        } else if (useWorker) {
+            const worker = new Worker(elements.gameCanvas.dataset.worker, { type: 'module' });
+            worker.addEventListener('message', (event) => world.receive(event.data));
+            worker.addEventListener('error', (event) => console.error('Game worker:', event.message));
+            world = new WorkerWorld({ state: gameState, send: (message, transfer = []) => worker.postMessage(message, transfer) });
+            world.start({
+                canvas: elements.gameCanvas,
+                minimap: elements.minimapCanvas,
+                width: window.innerWidth,
+                height: window.innerHeight,
+                seed: seedParam === null ? null : Number(seedParam)
+            });
+
+            // Layers turned on and off in the settings are drawn in the worker
+            onLayerChange((name, enabled) => world.setLayerEnabled(name, enabled));
+            console.log('Simulating and drawing in a Web Worker');
+        } else {
+            world = seedParam === null
+                ? new GameWorld({ state: gameState })
+                : new GameWorld({ state: gameState, seed: Number(seedParam) });
+            console.log('Entities initialized with seed', world.seed);
+        }
+
+        session = new GameSession(world);
 
         initUI();
+        initSessionScreens(session, { name: params.get('name') });
         console.log('UI initialized');
 
-        // Verify game state
-        verifyGameState();
+        // Verify game state; a server's state only arrives once connected,
+        // and a worker's stays in the worker
+        if (world instanceof GameWorld) {
+            verifyGameState();
+        }
 
         // Start game loop
         console.log('Starting game loop');
-        gameLoop();
+        lastFrameTime = performance.now();
+        requestAnimationFrame(gameLoop);
     } catch (error) {
         console.error('Error initializing game:', error);
     }
@@ -1,20 +1,106 @@
-import { WORLD_SIZE, STARTING_SCORE } from './config.js';
+import { WORLD_SIZE, STARTING_SCORE, COLORS, DEFAULT_PLAYER_NAME } from './config.js';
+import { Camera } from './camera.js';
 
-export const gameState = {
-    playerCells: [{
-        x: WORLD_SIZE / 2,
-        y: WORLD_SIZE / 2,
-        score: STARTING_SCORE,
+// Everyone in a match, human or AI, is an owner of one or more cells:
+//   { id, kind, name, color, cells }
+// kind is 'player' for a person and 'ai' for a computer opponent. Each cell
+// carries its owner's id, so every rule - eating, merging, splitting,
+// rendering - treats all participants alike:
+//   { ownerId, x, y, score, velocityX, velocityY, splitTime }
+// Owners also keep stats on their current life (see getStats). People whose
+// cells are all eaten stay in the world without any until they respawn.
+//
+// state.time is the simulation clock: milliseconds simulated so far, moved on
+// by each tick. Every timed rule, such as the merge cooldown, reads it
+// rather than the wall clock, so time stands still while the game is paused
+// and replays run the same however fast they are played.
+//
+// A client of a game server only holds the owners near its player, so it
+// also keeps the server's leaderboard as state.leaderboard.
+
+export function createCell(ownerId, x, y, score) {
+    return {
+        ownerId,
+        x,
+        y,
+        score,
         velocityX: 0,
         velocityY: 0
-    }],
-    playerName: 'Windsurf',
-    camera: {
-        x: 0,
-        y: 0
-    },
-    food: [],
-    aiPlayers: []
-};
-
-export const mouse = { x: 0, y: 0 };
\ No newline at end of file
+    };
+}
+
+// A new owner with a single cell at x, y; the caller adds it to state.players
+export function createOwner(state, { kind, name, color, x, y, score }) {
+    const id = state.nextId++;
+    return {
+        id,
+        kind,
+        name,
+        color,
+        cells: [createCell(id, x, y, score)]
+    };
+}
+
+// How an owner's current life is going, from when it last (re)spawned
+export function createStats() {
+    return {
+        ticksAlive: 0,   // Ticks with at least one cell
+        peakScore: 0,    // Most score over all cells at once
+        foodEaten: 0,    // Pieces of food eaten
+        cellsLost: 0,    // Cells eaten by other owners
+        killedBy: null   // Name of whoever ate the last cell
+    };
+}
+
+// An owner's stats, created on first use
+export function getStats(owner) {
+    if (!owner.stats) {
+        owner.stats = createStats();
+    }
+    return owner.stats;
+}
+
+export function getOwner(state, id) {
+    return state.players.find(owner => owner && owner.id === id) || null;
+}
+
+// The player this page controls and the camera follows
+export function getLocalPlayer(state) {
+    return getOwner(state, state.localPlayerId);
+}
+
+// Fresh state for a game world; every simulation function takes one of these.
+// A server's world has no local player, only the people who join it.
+export function createGameState({ localPlayer = true, playerName = DEFAULT_PLAYER_NAME } = {}) {
+    const state = {
+        players: [],
+        localPlayerId: null,
+        nextId: 1,
+        time: 0,  // Simulation clock, see above
+        camera: new Camera(),
+        food: [],
+        ejectedMass: [],
+        viruses: []
+    };
+
+    if (!localPlayer) return state;
+
+    const player = createOwner(state, {
+        kind: 'player',
+        name: playerName,
+        color: COLORS.PLAYER,
+        x: WORLD_SIZE / 2,
+        y: WORLD_SIZE / 2,
+        score: STARTING_SCORE
+    });
+    state.players.push(player);
+    state.localPlayerId = player.id;
+
+    return state;
+}
+
+// State of the world shown in this browser page. Nobody plays in it until
+// they pick a nickname on the start screen (see GameSession).
+export const gameState = createGameState({ localPlayer: false });
+
+export const mouse = { x: 0, y: 0 };
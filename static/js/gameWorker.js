@@ -0,0 +1,6 @@
+import { WorkerGame } from './workerWorld.js';
+
+// Entry point of the Web Worker that simulates and draws the game in worker
+// mode (see workerWorld.js)
+const game = new WorkerGame({ post: (message) => self.postMessage(message) });
+self.addEventListener('message', (event) => game.receive(event.data));
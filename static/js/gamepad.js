@@ -0,0 +1,97 @@
+import { GAMEPAD_DEAD_ZONE, GAMEPAD_BUTTONS } from './config.js';
+
+// Gamepad input: the left stick steers and buttons trigger input actions.
+// Browsers only expose gamepad state by polling, so the game loop calls
+// pollGamepad() once per frame.
+
+// Unit vector for a stick position, or null inside the (radial) dead zone
+export function applyDeadZone(x, y, deadZone = GAMEPAD_DEAD_ZONE) {
+    const magnitude = Math.sqrt(x * x + y * y);
+
+    if (!(magnitude > deadZone)) return null;
+
+    return {
+        x: x / magnitude,
+        y: y / magnitude
+    };
+}
+
+// Turns gamepad snapshots into a steering direction and newly pressed actions
+export class GamepadInput {
+    constructor(buttons = GAMEPAD_BUTTONS, deadZone = GAMEPAD_DEAD_ZONE) {
+        this.buttons = buttons;
+        this.deadZone = deadZone;
+        this.previousPressed = new Set();  // Button indices held at the last read
+    }
+
+    read(gamepad) {
+        const [stickX = 0, stickY = 0] = gamepad.axes;
+        const pressed = new Set();
+        gamepad.buttons.forEach((button, index) => {
+            if (button && button.pressed) pressed.add(index);
+        });
+
+        // Actions fire once per press, not every frame the button is held
+        const actions = Object.keys(this.buttons).filter(action => {
+            const index = this.buttons[action];
+            return pressed.has(index) && !this.previousPressed.has(index);
+        });
+
+        this.previousPressed = pressed;
+
+        return {
+            direction: applyDeadZone(stickX, stickY, this.deadZone),
+            actions
+        };
+    }
+
+    reset() {
+        this.previousPressed = new Set();
+    }
+}
+
+const gamepadInput = new GamepadInput();
+let gamepadIndex = null;  // The pad we listen to; the first one connected
+let onConnectionChange = () => {};
+
+function findConnectedGamepad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    return Array.from(gamepads).find(gamepad => gamepad && gamepad.connected) || null;
+}
+
+function selectGamepad(gamepad) {
+    gamepadIndex = gamepad ? gamepad.index : null;
+    gamepadInput.reset();
+    onConnectionChange(gamepad ? gamepad.id : null);
+}
+
+// onChange gets the connected pad's name, or null when none is connected
+export function initGamepad({ onChange = () => {} } = {}) {
+    onConnectionChange = onChange;
+
+    window.addEventListener('gamepadconnected', (e) => {
+        if (gamepadIndex === null) {
+            selectGamepad(e.gamepad);
+        }
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+        if (e.gamepad.index === gamepadIndex) {
+            // Fall back to any other pad that's still plugged in
+            selectGamepad(findConnectedGamepad());
+        }
+    });
+
+    // Pads connected before the page loaded
+    selectGamepad(findConnectedGamepad());
+}
+
+// Current stick direction and newly pressed actions, or null without a pad
+export function pollGamepad() {
+    if (gamepadIndex === null || !navigator.getGamepads) return null;
+
+    const gamepad = navigator.getGamepads()[gamepadIndex];
+    if (!gamepad || !gamepad.connected) return null;
+
+    return gamepadInput.read(gamepad);
+}
@@ -0,0 +1,138 @@
+import { DEFAULT_KEY_BINDINGS } from './config.js';
+
+// Input-action layer: keys map to named actions, and the game registers what
+// each action does. Bindings can be changed at runtime and persisted by the UI.
+
+export const ACTION_LABELS = {
+    split: 'Split cells',
+    eject: 'Eject mass',
+    pause: 'Pause',
+    toggleMinimap: 'Toggle minimap',
+    toggleLeaderboard: 'Toggle leaderboard',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    toggleDebug: 'Toggle AI debug overlay'
+};
+
+// Actions that keep firing while their key is held down
+const REPEATABLE_ACTIONS = new Set(['eject', 'zoomIn', 'zoomOut']);
+
+let keyBindings = { ...DEFAULT_KEY_BINDINGS };  // Action name to KeyboardEvent.code
+const actionHandlers = new Map();
+let keyCaptureCallback = null;
+
+export function getKeyBindings() {
+    return { ...keyBindings };
+}
+
+// Apply saved bindings, ignoring unknown actions and invalid key codes
+export function setKeyBindings(bindings) {
+    keyBindings = { ...DEFAULT_KEY_BINDINGS };
+    if (!bindings || typeof bindings !== 'object') return;
+
+    Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => {
+        const code = bindings[action];
+        if (typeof code === 'string' && code.length > 0) {
+            keyBindings[action] = code;
+        }
+    });
+}
+
+// Bind a key to an action. If another action used that key, it takes over
+// this action's old key so no key ever triggers two actions.
+export function bindKey(action, code) {
+    if (!(action in keyBindings)) return;
+
+    const previousCode = keyBindings[action];
+    const conflictingAction = getActionForKey(code);
+    if (conflictingAction && conflictingAction !== action) {
+        keyBindings[conflictingAction] = previousCode;
+    }
+    keyBindings[action] = code;
+}
+
+export function resetKeyBindings() {
+    keyBindings = { ...DEFAULT_KEY_BINDINGS };
+}
+
+export function getActionForKey(code) {
+    return Object.keys(keyBindings).find(action => keyBindings[action] === code) || null;
+}
+
+export function onAction(action, handler) {
+    actionHandlers.set(action, handler);
+}
+
+// Run an action's handler, whatever device triggered it
+export function triggerAction(action) {
+    const handler = actionHandlers.get(action);
+    if (handler) {
+        handler();
+    }
+}
+
+// Route the next key press to callback instead of the game (for rebinding)
+export function captureNextKey(callback) {
+    keyCaptureCallback = callback;
+}
+
+export function cancelKeyCapture() {
+    keyCaptureCallback = null;
+}
+
+// Returns the action that was triggered, if any
+export function handleKeyDown(event) {
+    if (keyCaptureCallback) {
+        const callback = keyCaptureCallback;
+        keyCaptureCallback = null;
+        event.preventDefault();
+        callback(event.code);
+        return null;
+    }
+
+    // Don't steal keys from text fields
+    const target = event.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) {
+        return null;
+    }
+
+    const action = getActionForKey(event.code);
+    if (!action) return null;
+    if (event.repeat && !REPEATABLE_ACTIONS.has(action)) return null;
+
+    // Keep keys like Space from scrolling or pressing focused buttons
+    event.preventDefault();
+
+    triggerAction(action);
+    return action;
+}
+
+// Human-readable name for a KeyboardEvent.code
+export function formatKeyCode(code) {
+    const names = {
+        Space: 'Space',
+        Equal: '=',
+        Minus: '-',
+        Comma: ',',
+        Period: '.',
+        Slash: '/',
+        Semicolon: ';',
+        Quote: "'",
+        BracketLeft: '[',
+        BracketRight: ']',
+        Backslash: '\\',
+        Backquote: '`',
+        ShiftLeft: 'Left Shift',
+        ShiftRight: 'Right Shift',
+        ControlLeft: 'Left Ctrl',
+        ControlRight: 'Right Ctrl',
+        AltLeft: 'Left Alt',
+        AltRight: 'Right Alt'
+    };
+
+    if (names[code]) return names[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} Arrow`;
+    return code;
+}
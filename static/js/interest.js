@@ -0,0 +1,153 @@
+import { getSize, calculateCenterOfMass, getTotalScore, clampToWorld, getOffset, getNearestCopy } from './utils.js';
+import {
+    WORLD_SIZE,
+    STARTING_SCORE,
+    FOOD_SIZE,
+    EJECT_SIZE,
+    VIEW_WIDTH,
+    VIEW_HEIGHT,
+    INTEREST_MARGIN,
+    VIEW_SPREAD_MARGIN
+} from './config.js';
+
+// Area of interest: the part of a world a player can see. A server only
+// sends each client what is around its camera, the same way drawGame only
+// draws what is on screen.
+//
+// Views are rectangles { left, top, right, bottom } in world units.
+
+// All of it, for a viewer with nothing to center on
+export const WORLD_VIEW = { left: 0, top: 0, right: WORLD_SIZE, bottom: WORLD_SIZE };
+
+const ENTITY_TYPES = ['players', 'food', 'ejectedMass', 'viruses'];
+
+// Owners are told apart by id, as they outlive any one of their cells;
+// everything else by identity
+const entityKey = (type, entity) => (type === 'players' ? entity.id : entity);
+
+// How many times further than a starting-size player cells see. Views grow
+// with the radius all their mass would have as one cell, and further still
+// when the cells are spread too far apart to all fit in a width by height
+// view. The camera zooms out by the same scale.
+export function getViewScale(cells, width = VIEW_WIDTH, height = VIEW_HEIGHT) {
+    const center = calculateCenterOfMass(cells);
+    let spreadX = 0;
+    let spreadY = 0;
+    cells.forEach(cell => {
+        const radius = getSize(cell.score);
+        const offset = getOffset(center, cell);
+        spreadX = Math.max(spreadX, Math.abs(offset.x) + radius);
+        spreadY = Math.max(spreadY, Math.abs(offset.y) + radius);
+    });
+
+    return Math.max(
+        1,
+        getSize(getTotalScore(cells)) / getSize(STARTING_SCORE),
+        (spreadX + VIEW_SPREAD_MARGIN) * 2 / width,
+        (spreadY + VIEW_SPREAD_MARGIN) * 2 / height
+    );
+}
+
+// What cells can see, centered on their center of mass, with margin to spare
+// so things come into view before they reach the edge of the screen. Like
+// the camera, the view stops at the edges of the world rather than looking
+// past them.
+export function getViewRect(cells, margin = INTEREST_MARGIN) {
+    const scale = getViewScale(cells);
+    const center = clampToWorld(calculateCenterOfMass(cells), VIEW_WIDTH * scale / 2, VIEW_HEIGHT * scale / 2);
+    const halfWidth = VIEW_WIDTH * scale / 2 + margin;
+    const halfHeight = VIEW_HEIGHT * scale / 2 + margin;
+
+    return {
+        left: center.x - halfWidth,
+        top: center.y - halfHeight,
+        right: center.x + halfWidth,
+        bottom: center.y + halfHeight
+    };
+}
+
+// Whether a circle of radius around (x, y) reaches into view
+export function isInView(view, x, y, radius = 0) {
+    return x + radius >= view.left && x - radius <= view.right &&
+        y + radius >= view.top && y - radius <= view.bottom;
+}
+
+// Whether any copy of the circle reaches into view, for views that look
+// past the edges of a wrapping world; the same as isInView otherwise
+export function isInWorldView(view, x, y, radius = 0) {
+    const center = { x: (view.left + view.right) / 2, y: (view.top + view.bottom) / 2 };
+    const copy = getNearestCopy({ x, y }, center);
+    return isInView(view, copy.x, copy.y, radius);
+}
+
+// The part of state in view, shaped like a state. Owners are in or out as a
+// whole, so a client can match up their cells from one snapshot to the next,
+// and the viewer's own owner is always in.
+//
+// With index, a spatial index of state kept up to date (see
+// buildSpatialIndex), only what is near the view is looked at; without one,
+// everything in the world is.
+export function findVisible(state, view, viewerId = null, index = null) {
+    if (!index) {
+        return {
+            players: state.players.filter(owner => owner.id === viewerId ||
+                owner.cells.some(cell => isInWorldView(view, cell.x, cell.y, getSize(cell.score)))),
+            food: state.food.filter(food => isInWorldView(view, food.x, food.y, FOOD_SIZE)),
+            ejectedMass: state.ejectedMass.filter(pellet => isInWorldView(view, pellet.x, pellet.y, EJECT_SIZE)),
+            viruses: state.viruses.filter(virus => isInWorldView(view, virus.x, virus.y, getSize(virus.score)))
+        };
+    }
+
+    const near = grid => grid.queryRect(view.left, view.top, view.right, view.bottom);
+
+    const players = new Set(state.players.filter(owner => owner.id === viewerId));
+    near(index.cells).forEach(i => {
+        const { owner, cell } = index.ownedCells[i];
+        if (isInWorldView(view, cell.x, cell.y, getSize(cell.score))) {
+            players.add(owner);
+        }
+    });
+
+    return {
+        players: [...players],
+        food: near(index.food).filter(food => isInWorldView(view, food.x, food.y, FOOD_SIZE)),
+        ejectedMass: near(index.pellets).filter(pellet => isInWorldView(view, pellet.x, pellet.y, EJECT_SIZE)),
+        viruses: near(index.viruses).filter(virus => isInWorldView(view, virus.x, virus.y, getSize(virus.score)))
+    };
+}
+
+// What one viewer can see from one update to the next. The view follows the
+// viewer's cells, staying put while it has none; without a viewer it takes
+// in the whole world, as a spectator would.
+export class AreaOfInterest {
+    constructor(viewerId = null) {
+        this.viewerId = viewerId;
+        this.view = WORLD_VIEW;
+        this.visible = { players: [], food: [], ejectedMass: [], viruses: [] };
+    }
+
+    // Everything now in view, split into what entered, what was already in
+    // view and is updated, and what left since the last update, each as
+    // { players, food, ejectedMass, viruses }. index is as for findVisible.
+    update(state, index = null) {
+        const viewer = state.players.find(owner => owner.id === this.viewerId);
+        if (viewer && viewer.cells.length > 0) {
+            this.view = getViewRect(viewer.cells);
+        }
+
+        const visible = findVisible(state, this.view, this.viewerId, index);
+        const entered = {};
+        const updated = {};
+        const left = {};
+        ENTITY_TYPES.forEach(type => {
+            const before = new Set(this.visible[type].map(entity => entityKey(type, entity)));
+            const now = new Set(visible[type].map(entity => entityKey(type, entity)));
+            entered[type] = visible[type].filter(entity => !before.has(entityKey(type, entity)));
+            updated[type] = visible[type].filter(entity => before.has(entityKey(type, entity)));
+            left[type] = this.visible[type].filter(entity => !now.has(entityKey(type, entity)));
+        });
+
+        this.visible = visible;
+        return { visible, entered, updated, left };
+    }
+}
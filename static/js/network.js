@@ -0,0 +1,73 @@
+import { encodeMessage, decodeMessage } from './protocol.js';
+import { PROTOCOL_VERSION, SnapshotDecoder } from './snapshotCodec.js';
+
+// A connection to a game server. Messages sent before it opens wait until it
+// does; messages from the server go to onMessage, apart from errors, which go to onError
+// along with losing the connection. Once it's lost, sending anything reports
+// why again. Snapshots are decoded and acknowledged here, so onMessage gets
+// them as plain objects like any other message.
+//
+// latency adds that many milliseconds each way, to try out a laggy
+// connection against a local server.
+export function connectToServer(url, { onMessage, onError = () => {}, latency = 0 }) {
+    const socket = new WebSocket(url);
+    socket.binaryType = 'arraybuffer';
+    const decoder = new SnapshotDecoder();
+    const delay = deliver => (latency > 0 ? setTimeout(deliver, latency) : deliver());
+
+    let pending = [];  // Messages waiting for the connection to open
+    let lost = null;   // Why the connection is gone, once it is
+
+    // Report the connection gone for reason, once
+    const hangUp = (reason) => {
+        if (lost) return;
+        lost = reason;
+        onError(reason);
+    };
+
+    socket.addEventListener('open', () => {
+        pending.forEach(data => socket.send(data));
+        pending = [];
+    });
+
+    const send = (message) => {
+        const data = encodeMessage(message);
+        delay(() => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(data);
+            } else if (socket.readyState === WebSocket.CONNECTING) {
+                pending.push(data);
+            } else {
+                onError(lost || 'Disconnected from server');
+            }
+        });
+    };
+
+    socket.addEventListener('message', (event) => {
+        const message = typeof event.data === 'string' ? decodeMessage(event.data) : decoder.decode(event.data);
+        if (!message) return;
+
+        delay(() => {
+            if (message.type === 'error') {
+                onError(message.message);
+            } else if (message.type === 'welcome' && message.version !== PROTOCOL_VERSION) {
+                hangUp('Server runs a different version of the game');
+                socket.close();
+            } else {
+                // Later snapshots may come as changes against this one
+                if (message.type === 'snapshot') send({ type: 'ack', tick: message.tick });
+                onMessage(message);
+            }
+        });
+    });
+
+    socket.addEventListener('close', () => hangUp('Disconnected from server'));
+
+    return {
+        send,
+
+        close() {
+            socket.close();
+        }
+    };
+}
@@ -0,0 +1,141 @@
+import { getStandings } from './utils.js';
+import { MAX_NAME_LENGTH, DEFAULT_PLAYER_NAME } from './config.js';
+
+// Messages between the game server and its clients, as JSON text apart from
+// snapshots.
+//
+// Client to server:
+//   { type: 'join', name }                      - enter the world as name
+//   { type: 'input', direction, split, eject, seq }
+//       - same fields as GameWorld.applyInput; with a seq number it is the
+//         command for a single tick (see GameWorld.queueInput)
+//   { type: 'ack', tick }  - the newest snapshot received, which the server
+//                            can send later snapshots as changes against
+//   { type: 'respawn' }    - come back after being eaten
+//   { type: 'leave' }      - leave the world, staying connected to join again
+//
+// Server to client:
+//   { type: 'welcome', playerId, version }
+//       - the id of the player this client controls, and the snapshot
+//         format version the server speaks
+//   { type: 'snapshot', tick, ack, players, food, ejectedMass, viruses, leaderboard }
+//       - sent in binary (see snapshotCodec.js); ack is the seq of the last
+//         command of this client's applied. Only what is around the client's
+//         player is included (see interest.js), so the leaderboard comes
+//         separately.
+//   { type: 'eaten', cellsLost }   - some of this client's cells were eaten;
+//                                    cellsLost counts them over this life
+//   { type: 'died', stats }        - this client's player was eaten; stats as
+//                                    from GameWorld.getStats
+//   { type: 'error', message }     - e.g. when the server is full
+
+export function encodeMessage(message) {
+    return JSON.stringify(message);
+}
+
+// The message in data, or null if it is longer than maxSize characters, not
+// JSON or has no type
+export function decodeMessage(data, maxSize = Infinity) {
+    if (typeof data !== 'string' || data.length > maxSize) return null;
+
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') return null;
+    return message;
+}
+
+// A nickname safe to show other players: printable, trimmed and short
+export function sanitizeName(name) {
+    if (typeof name !== 'string') return DEFAULT_PLAYER_NAME;
+
+    const clean = name
+        .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
+        .trim()
+        .slice(0, MAX_NAME_LENGTH)
+        .trim();
+    return clean || DEFAULT_PLAYER_NAME;
+}
+
+// The input command in an input message, keeping only well-formed fields.
+// Directions are scaled to unit length; a zero or malformed one stops steering.
+export function sanitizeInput(message) {
+    const input = {
+        split: message.split === true,
+        eject: message.eject === true
+    };
+
+    if (Number.isSafeInteger(message.seq) && message.seq > 0) {
+        input.seq = message.seq;
+    }
+
+    const { direction } = message;
+    if (direction === null) {
+        input.direction = null;
+    } else if (direction && Number.isFinite(direction.x) && Number.isFinite(direction.y)) {
+        const length = Math.hypot(direction.x, direction.y);
+        input.direction = length > 0 && Number.isFinite(length)
+            ? { x: direction.x / length, y: direction.y / length }
+            : null;
+    }
+
+    return input;
+}
+
+// What clients need to draw a world's current state, and to carry on
+// predicting their own cells from it. Split times go out as how long ago
+// the split was, as the client's clock may not agree with ours.
+//
+// visible limits the snapshot to part of the world (from findVisible); the
+// leaderboard always covers everyone.
+export function createSnapshot(world, visible = world.state) {
+    const now = world.state.time;
+    return {
+        type: 'snapshot',
+        tick: world.tickCount,
+        players: visible.players.map(owner => ({
+            id: owner.id,
+            kind: owner.kind,
+            name: owner.name,
+            color: owner.color,
+            cells: owner.cells.map(cell => ({
+                x: cell.x,
+                y: cell.y,
+                score: cell.score,
+                velocityX: cell.velocityX,
+                velocityY: cell.velocityY,
+                splitAge: cell.splitTime ? now - cell.splitTime : null
+            }))
+        })),
+        food: visible.food.map(food => ({ x: food.x, y: food.y, color: food.color })),
+        ejectedMass: visible.ejectedMass.map(pellet => ({
+            x: pellet.x,
+            y: pellet.y,
+            score: pellet.score,
+            color: pellet.color
+        })),
+        viruses: visible.viruses.map(virus => ({ x: virus.x, y: virus.y, score: virus.score })),
+        leaderboard: getStandings(world.state.players)
+    };
+}
+
+// Replace everything in a client's state with a snapshot from the server
+export function applySnapshot(state, snapshot) {
+    const now = state.time;
+    state.players = snapshot.players.map(owner => ({
+        ...owner,
+        cells: owner.cells.map(({ splitAge, ...cell }) => ({
+            ...cell,
+            ownerId: owner.id,
+            splitTime: typeof splitAge === 'number' ? now - splitAge : 0
+        }))
+    }));
+    state.food = snapshot.food;
+    state.ejectedMass = snapshot.ejectedMass;
+    state.viruses = snapshot.viruses;
+    state.leaderboard = snapshot.leaderboard;
+}
@@ -0,0 +1,19 @@
+// Seedable pseudo-random number generator (mulberry32).
+// The returned function is a drop-in replacement for Math.random: every call
+// gives a float in [0, 1), and the same seed always gives the same sequence.
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A new 32-bit seed, for worlds that weren't given one
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,337 @@
+import { getSize, getInterpolatedPosition, getOwnedCells, getLeadCell } from './utils.js';
+import { isInView } from './interest.js';
+import {
+    WORLD_SIZE,
+    WORLD_WRAP,
+    COLORS,
+    FOOD_SIZE,
+    EJECT_SIZE,
+    AI_VISION_RADIUS,
+    BACKGROUND_GRID_SIZE,
+    WORLD_BORDER_WIDTH
+} from './config.js';
+
+// The render pipeline: drawGame gathers what is on screen into a frame, then
+// draws it layer by layer, bottom first.
+//
+// A frame holds the camera, the view (the world rectangle on screen) and
+// what is in it, as lists of entries positioned in world units from the top
+// left of the view:
+//   food        - { x, y, color }
+//   ejectedMass - { x, y, color }
+//   cells       - { x, y, score, owner, cell, position }, smallest first;
+//                 position is where the cell is drawn in the world
+//   viruses     - { x, y, score }
+//
+// A layer is { name, label, enabled, draw(ctx, frame) } or, for layers that
+// draw something on every cell, { name, label, enabled, drawCell(ctx, entry,
+// frame) }. Cell layers next to each other are drawn cell by cell, so a
+// bigger cell covers a smaller one whole, name and all. label names layers
+// the player can turn on and off in the settings; enabled: false starts a
+// layer off.
+
+// Grid lines every BACKGROUND_GRID_SIZE world units, so there is something
+// to see going by, and the edge of the world unless it wraps. Past the edge
+// of a bounded world, seen when zoomed out further than the world is wide,
+// is shaded and has no grid.
+function drawBackground(ctx, { camera, view }) {
+    const area = WORLD_WRAP ? view : {
+        left: Math.max(0, view.left),
+        top: Math.max(0, view.top),
+        right: Math.min(WORLD_SIZE, view.right),
+        bottom: Math.min(WORLD_SIZE, view.bottom)
+    };
+
+    ctx.save();
+
+    if (!WORLD_WRAP) {
+        ctx.fillStyle = COLORS.OUTSIDE_WORLD;
+        ctx.fillRect(view.left - camera.x, view.top - camera.y, view.right - view.left, view.bottom - view.top);
+        ctx.clearRect(-camera.x, -camera.y, WORLD_SIZE, WORLD_SIZE);
+    }
+
+    // Lines one pixel wide at any zoom
+    ctx.beginPath();
+    for (let x = Math.ceil(area.left / BACKGROUND_GRID_SIZE) * BACKGROUND_GRID_SIZE; x <= area.right; x += BACKGROUND_GRID_SIZE) {
+        ctx.moveTo(x - camera.x, area.top - camera.y);
+        ctx.lineTo(x - camera.x, area.bottom - camera.y);
+    }
+    for (let y = Math.ceil(area.top / BACKGROUND_GRID_SIZE) * BACKGROUND_GRID_SIZE; y <= area.bottom; y += BACKGROUND_GRID_SIZE) {
+        ctx.moveTo(area.left - camera.x, y - camera.y);
+        ctx.lineTo(area.right - camera.x, y - camera.y);
+    }
+    ctx.strokeStyle = COLORS.GRID;
+    ctx.lineWidth = 1 / camera.zoom;
+    ctx.stroke();
+
+    if (!WORLD_WRAP) {
+        ctx.strokeStyle = COLORS.BORDER;
+        ctx.lineWidth = WORLD_BORDER_WIDTH;
+        ctx.strokeRect(-camera.x, -camera.y, WORLD_SIZE, WORLD_SIZE);
+    }
+
+    ctx.restore();
+}
+
+function drawCircle(ctx, x, y, radius, color) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+}
+
+function drawVirus(ctx, { x, y, score }) {
+    const size = getSize(score);
+    const spikes = 24;
+
+    // Spiky outline alternating between the full and a slightly smaller radius
+    ctx.beginPath();
+    for (let i = 0; i < spikes * 2; i++) {
+        const angle = (i / (spikes * 2)) * Math.PI * 2;
+        const radius = i % 2 === 0 ? size : size * 0.9;
+        ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+    ctx.closePath();
+    ctx.fillStyle = COLORS.VIRUS.FILL;
+    ctx.fill();
+    ctx.strokeStyle = COLORS.VIRUS.BORDER;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+}
+
+// A darker ring just inside the edge of the cell, so overlapping cells of
+// the same color can be told apart
+function drawOutline(ctx, { x, y, score }) {
+    const size = getSize(score);
+    const width = Math.max(2, size * 0.06);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, size - width / 2, 0, Math.PI * 2);
+    ctx.strokeStyle = COLORS.CELL_OUTLINE;
+    ctx.lineWidth = width;
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Outlined white text, sized to the cell, centered fontOffset font sizes
+// below its middle
+function drawLabel(ctx, { x, y, score }, text, scale, fontOffset) {
+    const size = getSize(score);
+    if (size <= 20) return;  // Only label cells big enough to read
+
+    ctx.save();
+
+    const fontSize = Math.max(12, Math.min(20, size / 2)) * scale;
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillStyle = 'white';
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 3;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const labelY = y + fontSize * fontOffset;
+    ctx.strokeText(text, x, labelY);
+    ctx.fillText(text, x, labelY);
+
+    ctx.restore();
+}
+
+// Vision radius, current target and strategy/behavior label for an AI,
+// drawn around the cell it steers by
+function drawAIDebug(ctx, { x, y, score, owner: ai, position }) {
+    ctx.save();
+
+    ctx.strokeStyle = COLORS.DEBUG;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(x, y, AI_VISION_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+
+    if (ai.target) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + ai.target.x - position.x, y + ai.target.y - position.y);
+        ctx.stroke();
+    }
+
+    ctx.font = '12px Arial';
+    ctx.fillStyle = COLORS.DEBUG;
+    ctx.textAlign = 'center';
+    ctx.fillText(`${ai.strategy || '?'}: ${ai.behavior || 'idle'}`, x, y - getSize(score) - 8);
+
+    ctx.restore();
+}
+
+const layers = [
+    { name: 'background', label: 'Background grid', draw: drawBackground },
+    {
+        name: 'food',
+        draw: (ctx, frame) => frame.food.forEach(food => drawCircle(ctx, food.x, food.y, FOOD_SIZE, food.color))
+    },
+    {
+        name: 'ejectedMass',
+        draw: (ctx, frame) => frame.ejectedMass.forEach(pellet => drawCircle(ctx, pellet.x, pellet.y, EJECT_SIZE, pellet.color))
+    },
+    { name: 'cells', drawCell: (ctx, entry) => drawCircle(ctx, entry.x, entry.y, getSize(entry.score), entry.owner.color) },
+    { name: 'outlines', label: 'Cell outlines', drawCell: drawOutline },
+    { name: 'names', label: 'Names', drawCell: (ctx, entry) => drawLabel(ctx, entry, entry.owner.name, 1, 0) },
+    { name: 'mass', label: 'Mass', drawCell: (ctx, entry) => drawLabel(ctx, entry, String(Math.floor(entry.score)), 0.7, 1.3) },
+
+    // Viruses go over every cell, so smaller cells can hide underneath them
+    { name: 'viruses', draw: (ctx, frame) => frame.viruses.forEach(virus => drawVirus(ctx, virus)) },
+    {
+        name: 'debug',
+        enabled: false,
+        draw: (ctx, frame) => frame.cells
+            .filter(entry => entry.owner.kind === 'ai' && entry.cell === getLeadCell(entry.owner.cells))
+            .forEach(entry => drawAIDebug(ctx, entry))
+    }
+];
+
+const disabled = new Set(layers.filter(layer => layer.enabled === false).map(layer => layer.name));
+const listeners = [];
+
+// The layers, bottom first
+export function getLayers() {
+    return [...layers];
+}
+
+// Add a layer, or replace the one of the same name where it is. New layers
+// go just below the layer named before, or on top of everything.
+export function registerLayer(layer, { before = null } = {}) {
+    const existing = layers.findIndex(other => other.name === layer.name);
+    if (existing !== -1) {
+        layers[existing] = layer;
+    } else {
+        const below = layers.findIndex(other => other.name === before);
+        layers.splice(below === -1 ? layers.length : below, 0, layer);
+    }
+
+    if (layer.enabled === false) {
+        disabled.add(layer.name);
+    } else {
+        disabled.delete(layer.name);
+    }
+}
+
+export function isLayerEnabled(name) {
+    return !disabled.has(name);
+}
+
+export function setLayerEnabled(name, enabled) {
+    if (enabled) {
+        disabled.delete(name);
+    } else {
+        disabled.add(name);
+    }
+    listeners.forEach(listener => listener(name, Boolean(enabled)));
+}
+
+// Call listener(name, enabled) whenever a layer is turned on or off, such
+// as to pass it on to a worker drawing the game
+export function onLayerChange(listener) {
+    listeners.push(listener);
+}
+
+export function toggleLayer(name) {
+    setLayerEnabled(name, !isLayerEnabled(name));
+}
+
+// Cell entries smallest first, so bigger cells are drawn over smaller ones;
+// equal cells keep their order
+export function sortBySize(cells) {
+    return [...cells].sort((a, b) => a.score - b.score);
+}
+
+// Where each copy of the world in view starts, as { x, y } offsets. A
+// bounded world has just the one; a wrapping one repeats in every direction,
+// and the view may take in several copies when it reaches past an edge. The
+// copies either side are included for whatever reaches over their edges.
+function getWorldCopies(view) {
+    if (!WORLD_WRAP) return [{ x: 0, y: 0 }];
+
+    const copies = [];
+    for (let col = Math.floor(view.left / WORLD_SIZE) - 1; col <= Math.floor(view.right / WORLD_SIZE) + 1; col++) {
+        for (let row = Math.floor(view.top / WORLD_SIZE) - 1; row <= Math.floor(view.bottom / WORLD_SIZE) + 1; row++) {
+            copies.push({ x: col * WORLD_SIZE, y: row * WORLD_SIZE });
+        }
+    }
+    return copies;
+}
+
+// Add what is in view of the copy of the world starting at offset to frame
+function collectCopy(frame, state, offset, alpha, spatialIndex) {
+    // The view as seen from inside this copy, and where its top left is
+    const local = {
+        left: frame.view.left - offset.x,
+        top: frame.view.top - offset.y,
+        right: frame.view.right - offset.x,
+        bottom: frame.view.bottom - offset.y
+    };
+    const left = frame.camera.x - offset.x;
+    const top = frame.camera.y - offset.y;
+
+    const food = spatialIndex
+        ? spatialIndex.food.queryRect(local.left, local.top, local.right, local.bottom)
+        : state.food;
+    const cells = spatialIndex
+        ? spatialIndex.cells.queryRect(local.left, local.top, local.right, local.bottom).map(index => spatialIndex.ownedCells[index])
+        : getOwnedCells(state.players);
+
+    food.forEach(item => {
+        if (isInView(local, item.x, item.y, FOOD_SIZE)) {
+            frame.food.push({ x: item.x - left, y: item.y - top, color: item.color });
+        }
+    });
+
+    state.ejectedMass.forEach(pellet => {
+        const position = getInterpolatedPosition(pellet, alpha);
+        if (isInView(local, position.x, position.y, EJECT_SIZE)) {
+            frame.ejectedMass.push({ x: position.x - left, y: position.y - top, color: pellet.color });
+        }
+    });
+
+    cells.forEach(({ owner, cell }) => {
+        const position = getInterpolatedPosition(cell, alpha);
+        if (isInView(local, position.x, position.y, getSize(cell.score))) {
+            frame.cells.push({ x: position.x - left, y: position.y - top, score: cell.score, owner, cell, position });
+        }
+    });
+
+    state.viruses.forEach(virus => {
+        const position = getInterpolatedPosition(virus, alpha);
+        if (isInView(local, position.x, position.y, getSize(virus.score))) {
+            frame.viruses.push({ x: position.x - left, y: position.y - top, score: virus.score });
+        }
+    });
+}
+
+// Everything in state that camera can see in view, ready to draw. alpha
+// and spatialIndex are as for drawGame.
+export function buildFrame(state, { camera, view, alpha = 1, spatialIndex = null }) {
+    const frame = { camera, view, food: [], ejectedMass: [], cells: [], viruses: [] };
+    getWorldCopies(view).forEach(offset => collectCopy(frame, state, offset, alpha, spatialIndex));
+    frame.cells = sortBySize(frame.cells);
+    return frame;
+}
+
+// Draw frame into ctx, already scaled to world units, with every layer that
+// is turned on
+export function drawLayers(ctx, frame, list = layers) {
+    let cellLayers = [];
+    const drawCells = () => {
+        frame.cells.forEach(entry => cellLayers.forEach(layer => layer.drawCell(ctx, entry, frame)));
+        cellLayers = [];
+    };
+
+    list.filter(layer => isLayerEnabled(layer.name)).forEach(layer => {
+        if (layer.drawCell) {
+            cellLayers.push(layer);
+        } else {
+            drawCells();
+            layer.draw(ctx, frame);
+        }
+    });
+    drawCells();
+}
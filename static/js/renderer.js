@@ -1,112 +1,106 @@
-import { gameState } from './gameState.js';
-import { getSize, calculateCenterOfMass } from './utils.js';
-import { WORLD_SIZE, COLORS, FOOD_SIZE } from './config.js';
+import { gameState, getLocalPlayer, getStats } from './gameState.js';
+import {
+    calculateCenterOfMass,
+    getInterpolatedPosition,
+    getOwnedCells,
+    getTotalScore,
+    getStandings
+} from './utils.js';
+import { getViewScale } from './interest.js';
+import { buildFrame, drawLayers, toggleLayer } from './renderLayers.js';
+import { WORLD_SIZE, WORLD_WRAP, COLORS } from './config.js';
 
 let canvas, ctx, minimapCanvas, minimapCtx, scoreElement, leaderboardContent;
 
-export function initRenderer(canvasElements) {
-    canvas = canvasElements.gameCanvas;
-    ctx = canvas.getContext('2d');
-    minimapCanvas = canvasElements.minimapCanvas;
-    minimapCtx = minimapCanvas.getContext('2d');
-    scoreElement = canvasElements.scoreElement;
-    leaderboardContent = canvasElements.leaderboardContent;
+// canvasElements are the canvases to draw on and the elements showing the
+// score and leaderboard; any of them may be left out, as a Web Worker has
+// canvases but no page, and the page has no canvases once it hands them to
+// one. width and height are the size of the screen to fill.
+export function initRenderer(canvasElements, { width = window.innerWidth, height = window.innerHeight } = {}) {
+    canvas = canvasElements.gameCanvas || null;
+    ctx = canvas ? canvas.getContext('2d') : null;
+    minimapCanvas = canvasElements.minimapCanvas || null;
+    minimapCtx = minimapCanvas ? minimapCanvas.getContext('2d') : null;
+    scoreElement = canvasElements.scoreElement || null;
+    leaderboardContent = canvasElements.leaderboardContent || null;
 
     // Initial canvas setup
-    resizeCanvas();
+    resizeCanvas(width, height);
 }
 
-export function resizeCanvas() {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
-}
+export function resizeCanvas(width = window.innerWidth, height = window.innerHeight) {
+    if (!canvas) return;
 
-function drawCircle(x, y, value, color, isFood) {
-    const size = isFood ? value : getSize(value);
-    ctx.beginPath();
-    ctx.arc(x, y, size, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
+    canvas.width = width;
+    canvas.height = height;
 }
 
-function drawCellWithName(x, y, score, color, name) {
-    const size = getSize(score);
-    
-    // Draw cell
-    ctx.beginPath();
-    ctx.arc(x, y, size, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-
-    // Draw name
-    if (size > 20) {  // Only draw name if cell is big enough
-        ctx.save();
-        
-        // Calculate font size based on cell size
-        const fontSize = Math.max(12, Math.min(20, size / 2));
-        ctx.font = `bold ${fontSize}px Arial`;
-        ctx.fillStyle = 'white';
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 3;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Draw text stroke (outline)
-        ctx.strokeText(name, x, y);
-        // Draw text fill
-        ctx.fillText(name, x, y);
-        
-        ctx.restore();
-    }
+// Show or hide the AI debug overlay
+export function toggleDebugOverlay() {
+    toggleLayer('debug');
 }
 
-export function drawGame() {
+// alpha is how far we are between the last two simulation ticks (0 to 1).
+// spatialIndex (from buildSpatialIndex) lets us skip entities far off screen.
+// dt is the milliseconds since the last frame, which the camera moves by.
+export function drawGame(alpha = 1, spatialIndex = null, dt = 1000 / 60) {
     if (!ctx) return;
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Update camera to follow player's center of mass
-    const centerOfMass = calculateCenterOfMass(gameState.playerCells);
-    gameState.camera.x = centerOfMass.x - canvas.width / 2;
-    gameState.camera.y = centerOfMass.y - canvas.height / 2;
-
-    // Draw food
-    gameState.food.forEach(food => {
-        const screenX = food.x - gameState.camera.x;
-        const screenY = food.y - gameState.camera.y;
-        
-        if (screenX >= -FOOD_SIZE && screenX <= canvas.width + FOOD_SIZE &&
-            screenY >= -FOOD_SIZE && screenY <= canvas.height + FOOD_SIZE) {
-            drawCircle(screenX, screenY, FOOD_SIZE, food.color, true);
-        }
-    });
+    const localPlayer = getLocalPlayer(gameState);
+    const localCells = localPlayer ? localPlayer.cells : [];
+    const playerCells = localCells.map(cell => ({
+        ...getInterpolatedPosition(cell, alpha),
+        score: cell.score
+    }));
+
+    // The camera follows our cells, zooming out as they grow and spread. Once
+    // we're eaten it stays where we died; with nobody playing it watches the
+    // middle of the world.
+    const { camera } = gameState;
+    let target = null;
+    let viewScale = 1;
+    if (playerCells.length > 0) {
+        target = calculateCenterOfMass(playerCells);
+        viewScale = getViewScale(playerCells, canvas.width, canvas.height);
+    } else if (!localPlayer) {
+        target = { x: WORLD_SIZE / 2, y: WORLD_SIZE / 2 };
+    }
+    camera.watch(localPlayer ? getStats(localPlayer).cellsLost : null);
+    camera.update(dt, { target, viewScale, width: canvas.width, height: canvas.height });
+
+    // The visible world area shrinks as we zoom in
+    const viewWidth = canvas.width / camera.zoom;
+    const viewHeight = canvas.height / camera.zoom;
+
+    const view = {
+        left: gameState.camera.x,
+        top: gameState.camera.y,
+        right: gameState.camera.x + viewWidth,
+        bottom: gameState.camera.y + viewHeight
+    };
+
+    // Everything is drawn in world units relative to the camera, layer by layer
+    const frame = buildFrame(gameState, { camera, view, alpha, spatialIndex });
+    ctx.save();
+    ctx.scale(camera.zoom, camera.zoom);
+    drawLayers(ctx, frame);
+    ctx.restore();
+}
 
-    // Draw AI players
-    gameState.aiPlayers.forEach(ai => {
-        const screenX = ai.x - gameState.camera.x;
-        const screenY = ai.y - gameState.camera.y;
-        const size = getSize(ai.score);
-        
-        if (screenX >= -size && screenX <= canvas.width + size &&
-            screenY >= -size && screenY <= canvas.height + size) {
-            drawCellWithName(screenX, screenY, ai.score, ai.color, ai.name);
-        }
-    });
+// Show the local player's score
+export function updateScore() {
+    if (!scoreElement) return;
 
-    // Draw player cells
-    gameState.playerCells.forEach(cell => {
-        const screenX = cell.x - gameState.camera.x;
-        const screenY = cell.y - gameState.camera.y;
-        const size = getSize(cell.score);
-        
-        if (screenX >= -size && screenX <= canvas.width + size &&
-            screenY >= -size && screenY <= canvas.height + size) {
-            drawCellWithName(screenX, screenY, cell.score, COLORS.PLAYER, gameState.playerName);
-        }
-    });
+    const localPlayer = getLocalPlayer(gameState);
+    const score = localPlayer ? getTotalScore(localPlayer.cells) : 0;
+    scoreElement.textContent = `Score: ${Math.floor(score)}`;
+}
 
-    // Update score display
-    scoreElement.textContent = `Score: ${Math.floor(gameState.playerCells.reduce((sum, cell) => sum + cell.score, 0))}`;
+// Multiply the zoom the player picked by factor, within the configured limits
+export function adjustZoom(factor) {
+    gameState.camera.adjustZoom(factor);
 }
 
 export function drawMinimap() {
@@ -118,68 +112,69 @@ export function drawMinimap() {
     minimapCtx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     minimapCtx.fillRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
     
-    const viewWidth = canvas.width * scale;
-    const viewHeight = canvas.height * scale;
+    const viewWidth = canvas.width / gameState.camera.zoom * scale;
+    const viewHeight = canvas.height / gameState.camera.zoom * scale;
     const viewX = gameState.camera.x * scale;
     const viewY = gameState.camera.y * scale;
     minimapCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-    minimapCtx.strokeRect(viewX, viewY, viewWidth, viewHeight);
 
-    // Draw AI players on minimap
-    gameState.aiPlayers.forEach(ai => {
+    // In a wrapping world the view can go off one side of the map and come
+    // back on at the other
+    const copies = WORLD_WRAP ? [-MINIMAP_SIZE, 0, MINIMAP_SIZE] : [0];
+    copies.forEach(dx => copies.forEach(dy => {
+        minimapCtx.strokeRect(viewX + dx, viewY + dy, viewWidth, viewHeight);
+    }));
+
+    // Draw viruses on minimap
+    gameState.viruses.forEach(virus => {
         minimapCtx.beginPath();
         minimapCtx.arc(
-            ai.x * scale,
-            ai.y * scale,
+            virus.x * scale,
+            virus.y * scale,
             2,
             0,
             Math.PI * 2
         );
-        minimapCtx.fillStyle = COLORS.MINIMAP.OTHER;
+        minimapCtx.fillStyle = COLORS.MINIMAP.VIRUS;
         minimapCtx.fill();
     });
 
-    // Draw player cells on minimap
-    gameState.playerCells.forEach(cell => {
+    // Draw every cell on minimap, our own larger and in a color of their own
+    getOwnedCells(gameState.players).forEach(({ owner, cell }) => {
+        const isLocal = owner.id === gameState.localPlayerId;
         minimapCtx.beginPath();
         minimapCtx.arc(
             cell.x * scale,
             cell.y * scale,
-            3,
+            isLocal ? 3 : 2,
             0,
             Math.PI * 2
         );
-        minimapCtx.fillStyle = COLORS.MINIMAP.PLAYER;
+        minimapCtx.fillStyle = isLocal ? COLORS.MINIMAP.PLAYER : COLORS.MINIMAP.OTHER;
         minimapCtx.fill();
     });
 }
 
+// Names come from other players, so never let them be read as markup
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export function updateLeaderboard() {
     if (!leaderboardContent) return;
 
-    const playerTotalScore = gameState.playerCells.reduce((sum, cell) => sum + cell.score, 0);
-    
-    // Combine player score with AI scores
-    const allPlayers = [
-        { 
-            name: gameState.playerName,
-            score: playerTotalScore,
-            isPlayer: true
-        },
-        ...gameState.aiPlayers.map(ai => ({
-            name: ai.name,
-            score: ai.score,
-            isPlayer: false
-        }))
-    ];
-
-    allPlayers.sort((a, b) => b.score - a.score);
-    
-    leaderboardContent.innerHTML = allPlayers
-        .slice(0, 5)
+    // A server sends its standings, as our state only has the players in view
+    const standings = gameState.leaderboard || getStandings(gameState.players);
+
+    leaderboardContent.innerHTML = standings
         .map((player, index) => `
             <div class="leaderboard-item">
-                <span class="${player.isPlayer ? 'player-name' : ''}">${index + 1}. ${player.name}</span>
+                <span class="${player.id === gameState.localPlayerId ? 'player-name' : ''}">${index + 1}. ${escapeHTML(player.name)}</span>
                 <span>${Math.floor(player.score)}</span>
             </div>
         `)
@@ -0,0 +1,129 @@
+import { getLocalPlayer } from './gameState.js';
+import { sanitizeName } from './protocol.js';
+import { TICK_RATE } from './config.js';
+
+// Where the person at this page is in a game:
+//   menu       - on the start screen, picking a nickname
+//   playing    - has cells in the world
+//   dead       - all their cells were eaten; the death screen is up
+//   respawning - waiting for the world to place them, after Play or Play Again
+//
+// The session drives its world (a GameWorld or ClientWorld) through join,
+// respawn, leave and getStats, and follows along with update() each frame,
+// so it works the same against a local world or a game server. When the
+// game can't go on, fail() takes the player back to the start screen with
+// the reason as error.
+export const SESSION_STATES = ['menu', 'playing', 'dead', 'respawning'];
+
+export class GameSession {
+    constructor(world) {
+        this.world = world;
+        this.state = 'menu';
+        this.name = null;
+        this.stats = null;  // How the last life went, once dead
+        this.error = null;  // Why we were last sent back to the start screen
+        this.listeners = [];
+    }
+
+    // Call listener(state, session) whenever the session changes state
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+
+        this.state = state;
+        this.listeners.forEach(listener => listener(state, this));
+    }
+
+    // Whether the player's input should reach the world
+    get isPlaying() {
+        return this.state === 'playing';
+    }
+
+    // Enter the world from the start screen as name
+    start(name) {
+        if (this.state !== 'menu') return;
+
+        this.name = sanitizeName(name);
+        this.stats = null;
+        this.error = null;
+        this.world.join(this.name);
+        this.setState('respawning');
+    }
+
+    // Come back from the death screen with a fresh start
+    playAgain() {
+        if (this.state !== 'dead') return;
+
+        this.stats = null;
+        this.world.respawn();
+        this.setState('respawning');
+    }
+
+    // Leave the world and go back to the start screen
+    quit() {
+        if (this.state === 'menu') return;
+
+        this.world.leave();
+        this.stats = null;
+        this.setState('menu');
+    }
+
+    // Give up on the game, such as when the server is full or the
+    // connection is lost, going back to the start screen to say why
+    fail(message) {
+        const inWorld = this.state !== 'menu';
+
+        this.error = String(message);
+        this.stats = null;
+        this.state = 'menu';
+        this.listeners.forEach(listener => listener(this.state, this));
+
+        // Once back on the start screen, so a world that fails again as we
+        // leave doesn't send us round again
+        if (inWorld) {
+            this.world.leave();
+        }
+    }
+
+    // Catch up with the world: into play once our cells appear, and onto
+    // the death screen once they're gone and we know how our life went
+    update() {
+        const player = getLocalPlayer(this.world.state);
+        const alive = Boolean(player && player.cells.length > 0);
+
+        if (this.state === 'respawning' && alive) {
+            this.setState('playing');
+        } else if (this.state === 'playing' && !alive) {
+            const stats = this.world.getStats();
+            if (!stats) return;  // A server tells us shortly
+
+            this.stats = stats;
+            this.setState('dead');
+        }
+    }
+}
+
+// A whole number of at least zero, for anything that isn't one
+function count(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(0, Math.floor(number)) : 0;
+}
+
+// Minutes and whole seconds, as 1:05
+function formatDuration(time) {
+    const seconds = Math.floor(time);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// The lines of the death screen, as { label, value } text
+export function describeStats(stats) {
+    return [
+        { label: 'Eaten by', value: stats.killedBy || 'Unknown' },
+        { label: 'Survived', value: formatDuration(count(stats.ticksAlive) / TICK_RATE) },
+        { label: 'Peak mass', value: String(count(stats.peakScore)) },
+        { label: 'Food eaten', value: String(count(stats.foodEaten)) }
+    ];
+}
@@ -0,0 +1,575 @@
+import { WORLD_SIZE, SNAPSHOT_HISTORY } from './config.js';
+
+// Binary snapshots, a fraction of the size of the same snapshot as JSON.
+//
+// Each one starts with a header, all numbers little-endian:
+//   uint8   PROTOCOL_VERSION
+//   uint8   flags - DELTA if it only holds changes since a baseline
+//   uint32  tick
+//   uint32  ack
+//   uint32  baseline tick, for deltas only
+// followed by the players, food, ejected mass, viruses and leaderboard. A
+// delta leaves out players whose cells and looks are unchanged since the
+// baseline, only lists the food eaten and added since then, and leaves out
+// the ejected mass, viruses or leaderboard if none of them changed.
+//
+// Positions are quantized to 16 bits across WORLD_SIZE and velocities to
+// hundredths. quantizeSnapshot gives exactly what a client decodes, which
+// is what deltas must be worked out against.
+
+export const PROTOCOL_VERSION = 2;
+
+const DELTA = 1;
+
+// What a player record holds
+const PLAYER_LOOKS = 1;  // Kind, name and color
+const PLAYER_CELLS = 2;
+
+const KINDS = ['player', 'ai'];
+
+const MAX_POSITION = 65535;
+const POSITION_SCALE = MAX_POSITION / WORLD_SIZE;
+const VELOCITY_SCALE = 100;
+const MAX_VELOCITY = 32767;
+const NO_SPLIT = 65535;  // Split ages of this many ms or more, long past any merge cooldown, mean no recent split
+const MAX_STRING_LENGTH = 255;
+const HUE_STEPS = 256;
+const FOOD_HUE = /^hsl\(\s*(\d+(?:\.\d+)?)/;  // Food is colored hsl(hue, 50%, 50%)
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const toPosition = value => Math.round(clamp(Number(value) || 0, 0, WORLD_SIZE) * POSITION_SCALE);
+const fromPosition = value => value / POSITION_SCALE;
+const toVelocity = value => Math.round(clamp((Number(value) || 0) * VELOCITY_SCALE, -MAX_VELOCITY, MAX_VELOCITY));
+const fromVelocity = value => value / VELOCITY_SCALE;
+const toSplitAge = age => (age === null || age === undefined ? NO_SPLIT : Math.round(clamp(age, 0, NO_SPLIT)));
+const fromSplitAge = value => (value === NO_SPLIT ? null : value);
+const toHue = color => {
+    const match = FOOD_HUE.exec(color);
+    return match ? Math.round(Number(match[1]) / 360 * HUE_STEPS) % HUE_STEPS : 0;
+};
+const fromHue = value => `hsl(${value * 360 / HUE_STEPS}, 50%, 50%)`;
+const toText = text => String(text === undefined || text === null ? '' : text).slice(0, MAX_STRING_LENGTH);
+
+class Writer {
+    constructor(size = 1024) {
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    reserve(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+        const buffer = new ArrayBuffer(size);
+        new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+    }
+
+    uint8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    uint16(value) {
+        this.reserve(2);
+        this.view.setUint16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    int16(value) {
+        this.reserve(2);
+        this.view.setInt16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    uint32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    float32(value) {
+        this.reserve(4);
+        this.view.setFloat32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    // Up to MAX_STRING_LENGTH UTF-16 code units
+    string(text) {
+        const value = toText(text);
+        this.uint8(value.length);
+        for (let i = 0; i < value.length; i++) {
+            this.uint16(value.charCodeAt(i));
+        }
+    }
+
+    finish() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+// Reading past the end throws a RangeError
+class Reader {
+    constructor(data) {
+        this.view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        this.offset = 0;
+    }
+
+    uint8() {
+        const value = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    uint16() {
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    int16() {
+        const value = this.view.getInt16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    uint32() {
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    float32() {
+        const value = this.view.getFloat32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    string() {
+        const codes = [];
+        const length = this.uint8();
+        for (let i = 0; i < length; i++) {
+            codes.push(this.uint16());
+        }
+        return String.fromCharCode(...codes);
+    }
+}
+
+// A snapshot from createSnapshot exactly as a client will decode it
+export function quantizeSnapshot(snapshot) {
+    return {
+        type: 'snapshot',
+        tick: snapshot.tick,
+        players: snapshot.players.map(owner => ({
+            id: owner.id,
+            kind: KINDS.includes(owner.kind) ? owner.kind : KINDS[0],
+            name: toText(owner.name),
+            color: toText(owner.color),
+            cells: owner.cells.slice(0, 255).map(cell => ({
+                x: fromPosition(toPosition(cell.x)),
+                y: fromPosition(toPosition(cell.y)),
+                score: Math.fround(cell.score),
+                velocityX: fromVelocity(toVelocity(cell.velocityX)),
+                velocityY: fromVelocity(toVelocity(cell.velocityY)),
+                splitAge: fromSplitAge(toSplitAge(cell.splitAge))
+            }))
+        })),
+        food: snapshot.food.map(food => ({
+            x: fromPosition(toPosition(food.x)),
+            y: fromPosition(toPosition(food.y)),
+            color: fromHue(toHue(food.color))
+        })),
+        ejectedMass: snapshot.ejectedMass.map(pellet => ({
+            x: fromPosition(toPosition(pellet.x)),
+            y: fromPosition(toPosition(pellet.y)),
+            score: Math.fround(pellet.score),
+            color: toText(pellet.color)
+        })),
+        viruses: snapshot.viruses.map(virus => ({
+            x: fromPosition(toPosition(virus.x)),
+            y: fromPosition(toPosition(virus.y)),
+            score: Math.fround(virus.score)
+        })),
+        leaderboard: (snapshot.leaderboard || []).map(entry => ({
+            id: entry.id,
+            name: toText(entry.name),
+            score: Math.fround(entry.score)
+        }))
+    };
+}
+
+function sameCells(a, b) {
+    return a.length === b.length && a.every((cell, i) =>
+        cell.x === b[i].x &&
+        cell.y === b[i].y &&
+        cell.score === b[i].score &&
+        cell.velocityX === b[i].velocityX &&
+        cell.velocityY === b[i].velocityY &&
+        cell.splitAge === b[i].splitAge);
+}
+
+function sameList(a, b, same) {
+    return a.length === b.length && a.every((item, i) => same(item, b[i]));
+}
+
+const samePellet = (a, b) => a.x === b.x && a.y === b.y && a.score === b.score && a.color === b.color;
+const sameVirus = (a, b) => a.x === b.x && a.y === b.y && a.score === b.score;
+const sameStanding = (a, b) => a.id === b.id && a.name === b.name && a.score === b.score;
+
+// Food never moves, so where it is (and its color) tells pieces apart
+const foodKey = food => `${food.x},${food.y},${food.color}`;
+
+function countKeys(items, key) {
+    const counts = new Map();
+    items.forEach(item => counts.set(key(item), (counts.get(key(item)) || 0) + 1));
+    return counts;
+}
+
+// Items of list matched one for one against the counts of keys, using them up
+function takeMatching(list, counts, key) {
+    return list.filter(item => {
+        const count = counts.get(key(item)) || 0;
+        if (count === 0) return false;
+        counts.set(key(item), count - 1);
+        return true;
+    });
+}
+
+function writeCell(writer, cell) {
+    writer.uint16(toPosition(cell.x));
+    writer.uint16(toPosition(cell.y));
+    writer.float32(cell.score);
+    writer.int16(toVelocity(cell.velocityX));
+    writer.int16(toVelocity(cell.velocityY));
+    writer.uint16(toSplitAge(cell.splitAge));
+}
+
+function readCell(reader) {
+    return {
+        x: fromPosition(reader.uint16()),
+        y: fromPosition(reader.uint16()),
+        score: reader.float32(),
+        velocityX: fromVelocity(reader.int16()),
+        velocityY: fromVelocity(reader.int16()),
+        splitAge: fromSplitAge(reader.uint16())
+    };
+}
+
+function writeFood(writer, food) {
+    writer.uint16(toPosition(food.x));
+    writer.uint16(toPosition(food.y));
+    writer.uint8(toHue(food.color));
+}
+
+function readFood(reader) {
+    return {
+        x: fromPosition(reader.uint16()),
+        y: fromPosition(reader.uint16()),
+        color: fromHue(reader.uint8())
+    };
+}
+
+function writePellet(writer, pellet) {
+    writer.uint16(toPosition(pellet.x));
+    writer.uint16(toPosition(pellet.y));
+    writer.float32(pellet.score);
+    writer.string(pellet.color);
+}
+
+function readPellet(reader) {
+    return {
+        x: fromPosition(reader.uint16()),
+        y: fromPosition(reader.uint16()),
+        score: reader.float32(),
+        color: reader.string()
+    };
+}
+
+function writeVirus(writer, virus) {
+    writer.uint16(toPosition(virus.x));
+    writer.uint16(toPosition(virus.y));
+    writer.float32(virus.score);
+}
+
+function readVirus(reader) {
+    return {
+        x: fromPosition(reader.uint16()),
+        y: fromPosition(reader.uint16()),
+        score: reader.float32()
+    };
+}
+
+function writeStanding(writer, entry) {
+    writer.uint32(entry.id);
+    writer.string(entry.name);
+    writer.float32(entry.score);
+}
+
+function readStanding(reader) {
+    return {
+        id: reader.uint32(),
+        name: reader.string(),
+        score: reader.float32()
+    };
+}
+
+// Players gone since the baseline, then a record for every player that is
+// new or has changed
+function writePlayers(writer, players, basePlayers) {
+    const before = new Map(basePlayers.map(owner => [owner.id, owner]));
+    const ids = new Set(players.map(owner => owner.id));
+
+    const removed = basePlayers.filter(owner => !ids.has(owner.id));
+    writer.uint16(removed.length);
+    removed.forEach(owner => writer.uint32(owner.id));
+
+    const records = [];
+    players.forEach(owner => {
+        const previous = before.get(owner.id);
+        let flags = 0;
+        if (!previous || previous.kind !== owner.kind || previous.name !== owner.name || previous.color !== owner.color) {
+            flags |= PLAYER_LOOKS;
+        }
+        if (!previous || !sameCells(previous.cells, owner.cells)) {
+            flags |= PLAYER_CELLS;
+        }
+        if (flags) records.push({ owner, flags });
+    });
+
+    writer.uint16(records.length);
+    records.forEach(({ owner, flags }) => {
+        writer.uint32(owner.id);
+        writer.uint8(flags);
+        if (flags & PLAYER_LOOKS) {
+            writer.uint8(KINDS.indexOf(owner.kind));
+            writer.string(owner.name);
+            writer.string(owner.color);
+        }
+        if (flags & PLAYER_CELLS) {
+            writer.uint8(owner.cells.length);
+            owner.cells.forEach(cell => writeCell(writer, cell));
+        }
+    });
+}
+
+function readPlayers(reader, basePlayers) {
+    const removed = new Set();
+    const removedCount = reader.uint16();
+    for (let i = 0; i < removedCount; i++) {
+        removed.add(reader.uint32());
+    }
+
+    const players = basePlayers.filter(owner => !removed.has(owner.id));
+    const byId = new Map(players.map((owner, index) => [owner.id, index]));
+
+    const recordCount = reader.uint16();
+    for (let i = 0; i < recordCount; i++) {
+        const id = reader.uint32();
+        const flags = reader.uint8();
+        const index = byId.has(id) ? byId.get(id) : -1;
+        const owner = index === -1 ? { id } : { ...players[index] };
+
+        if (flags & PLAYER_LOOKS) {
+            owner.kind = KINDS[reader.uint8()] || KINDS[0];
+            owner.name = reader.string();
+            owner.color = reader.string();
+        } else if (index === -1) {
+            throw new Error(`Player ${id} is new but has no description`);
+        }
+
+        if (flags & PLAYER_CELLS) {
+            owner.cells = [];
+            const cellCount = reader.uint8();
+            for (let j = 0; j < cellCount; j++) {
+                owner.cells.push(readCell(reader));
+            }
+        } else if (index === -1) {
+            throw new Error(`Player ${id} is new but has no cells`);
+        }
+
+        if (index === -1) {
+            byId.set(id, players.length);
+            players.push(owner);
+        } else {
+            players[index] = owner;
+        }
+    }
+
+    return players;
+}
+
+// Food eaten since the baseline, then food added since
+function writeFoodChanges(writer, food, baseFood) {
+    const remaining = countKeys(baseFood, foodKey);
+    const added = food.filter(item => takeMatching([item], remaining, foodKey).length === 0);
+    const removed = takeMatching(baseFood, remaining, foodKey);
+
+    writer.uint16(removed.length);
+    removed.forEach(item => writeFood(writer, item));
+    writer.uint16(added.length);
+    added.forEach(item => writeFood(writer, item));
+}
+
+function readFoodChanges(reader, baseFood) {
+    const removed = [];
+    const removedCount = reader.uint16();
+    for (let i = 0; i < removedCount; i++) {
+        removed.push(readFood(reader));
+    }
+
+    const eaten = countKeys(removed, foodKey);
+    const food = baseFood.filter(item => takeMatching([item], eaten, foodKey).length === 0);
+
+    const addedCount = reader.uint16();
+    for (let i = 0; i < addedCount; i++) {
+        food.push(readFood(reader));
+    }
+    return food;
+}
+
+// A whole list, or nothing if it hasn't changed since the baseline
+function writeListChanges(writer, list, baseList, same, writeItem) {
+    const changed = !baseList || !sameList(list, baseList, same);
+    writer.uint8(changed ? 1 : 0);
+    if (!changed) return;
+
+    writer.uint16(list.length);
+    list.forEach(item => writeItem(writer, item));
+}
+
+function readListChanges(reader, baseList, readItem) {
+    if (reader.uint8() === 0) {
+        if (!baseList) throw new Error('Unchanged list without a baseline');
+        return baseList;
+    }
+
+    const list = [];
+    const count = reader.uint16();
+    for (let i = 0; i < count; i++) {
+        list.push(readItem(reader));
+    }
+    return list;
+}
+
+// Encode a quantized snapshot with the ack for the client it goes to, as
+// the changes since baseline if given (another quantized snapshot the
+// client has). Returns an ArrayBuffer.
+export function encodeSnapshot(snapshot, ack = 0, baseline = null) {
+    const writer = new Writer();
+
+    writer.uint8(PROTOCOL_VERSION);
+    writer.uint8(baseline ? DELTA : 0);
+    writer.uint32(snapshot.tick);
+    writer.uint32(ack);
+    if (baseline) {
+        writer.uint32(baseline.tick);
+    }
+
+    writePlayers(writer, snapshot.players, baseline ? baseline.players : []);
+    writeFoodChanges(writer, snapshot.food, baseline ? baseline.food : []);
+    writeListChanges(writer, snapshot.ejectedMass, baseline && baseline.ejectedMass, samePellet, writePellet);
+    writeListChanges(writer, snapshot.viruses, baseline && baseline.viruses, sameVirus, writeVirus);
+    writeListChanges(writer, snapshot.leaderboard, baseline && baseline.leaderboard, sameStanding, writeStanding);
+
+    return writer.finish();
+}
+
+// The snapshot in data, looking up the baseline of a delta by its tick with
+// getBaseline. Returns null for another protocol version, a delta whose
+// baseline is unknown or anything malformed.
+export function decodeSnapshot(data, getBaseline = () => null) {
+    try {
+        const reader = new Reader(data);
+        if (reader.uint8() !== PROTOCOL_VERSION) return null;
+
+        const flags = reader.uint8();
+        const tick = reader.uint32();
+        const ack = reader.uint32();
+        let baseline = null;
+        if (flags & DELTA) {
+            baseline = getBaseline(reader.uint32());
+            if (!baseline) return null;
+        }
+
+        const players = readPlayers(reader, baseline ? baseline.players : []);
+        const food = readFoodChanges(reader, baseline ? baseline.food : []);
+        const ejectedMass = readListChanges(reader, baseline && baseline.ejectedMass, readPellet);
+        const viruses = readListChanges(reader, baseline && baseline.viruses, readVirus);
+        const leaderboard = readListChanges(reader, baseline && baseline.leaderboard, readStanding);
+
+        return {
+            type: 'snapshot',
+            tick,
+            ack,
+            baseTick: baseline ? baseline.tick : null,
+            players,
+            food,
+            ejectedMass,
+            viruses,
+            leaderboard
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Encodes the snapshots sent to one client, each as the changes since the
+// newest snapshot that client has acknowledged
+export class SnapshotEncoder {
+    constructor() {
+        this.sent = new Map();  // Snapshots the client may still acknowledge, by tick
+        this.baseline = null;
+    }
+
+    // snapshot comes from quantizeSnapshot
+    encode(snapshot, ack = 0) {
+        const data = encodeSnapshot(snapshot, ack, this.baseline);
+
+        this.sent.set(snapshot.tick, snapshot);
+        if (this.sent.size > SNAPSHOT_HISTORY) {
+            this.sent.delete(this.sent.keys().next().value);
+        }
+        return data;
+    }
+
+    acknowledge(tick) {
+        const snapshot = this.sent.get(tick);
+        if (!snapshot || (this.baseline && tick <= this.baseline.tick)) return;
+
+        // Older snapshots can't become the baseline any more
+        this.baseline = snapshot;
+        this.sent.forEach((_, sentTick) => {
+            if (sentTick < tick) this.sent.delete(sentTick);
+        });
+    }
+}
+
+// Decodes the snapshots from a server, keeping those later deltas may be
+// built on
+export class SnapshotDecoder {
+    constructor() {
+        this.received = new Map();  // By tick
+    }
+
+    decode(data) {
+        const snapshot = decodeSnapshot(data, tick => this.received.get(tick));
+        if (!snapshot) return null;
+
+        this.received.set(snapshot.tick, snapshot);
+        this.received.forEach((_, tick) => {
+            // The server never goes back to a baseline older than its last one
+            if (snapshot.baseTick !== null && tick < snapshot.baseTick) this.received.delete(tick);
+        });
+        if (this.received.size > SNAPSHOT_HISTORY) {
+            this.received.delete(this.received.keys().next().value);
+        }
+        return snapshot;
+    }
+}
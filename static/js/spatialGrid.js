@@ -0,0 +1,217 @@
+import { getSize, getOwnedCells } from './utils.js';
+import { GRID_CELL_SIZE, FOOD_SIZE, EJECT_SIZE, WORLD_SIZE, WORLD_WRAP } from './config.js';
+
+// Uniform grid for broad-phase "what is near here" queries.
+// Items are bucketed by their center; items wider than a bucket are kept in a
+// separate list and returned by every query, so a single huge cell can't make
+// inserts or queries touch thousands of buckets. Queries return candidates
+// only: callers still do their own exact distance checks.
+export class SpatialGrid {
+    constructor(cellSize = GRID_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.buckets = new Map();
+        this.largeItems = [];
+        this.size = 0;
+
+        // Occupied bucket range, so queries never scan empty space
+        this.minCol = Infinity;
+        this.maxCol = -Infinity;
+        this.minRow = Infinity;
+        this.maxRow = -Infinity;
+    }
+
+    clear() {
+        this.buckets.clear();
+        this.largeItems = [];
+        this.size = 0;
+        this.minCol = Infinity;
+        this.maxCol = -Infinity;
+        this.minRow = Infinity;
+        this.maxRow = -Infinity;
+    }
+
+    insert(item, x, y, radius = 0) {
+        // Items without a valid position can never collide with anything
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+
+        this.size++;
+
+        if (radius > this.cellSize) {
+            this.largeItems.push(item);
+            return;
+        }
+
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        const key = `${col},${row}`;
+
+        const bucket = this.buckets.get(key);
+        if (bucket) {
+            bucket.push(item);
+        } else {
+            this.buckets.set(key, [item]);
+        }
+
+        this.minCol = Math.min(this.minCol, col);
+        this.maxCol = Math.max(this.maxCol, col);
+        this.minRow = Math.min(this.minRow, row);
+        this.maxRow = Math.max(this.maxRow, row);
+    }
+
+    // Take out an item inserted at x, y, however big it has grown since.
+    // Returns whether it was there.
+    remove(item, x, y) {
+        const key = `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+        const bucket = this.buckets.get(key);
+        const list = bucket && bucket.includes(item) ? bucket : this.largeItems;
+
+        const position = list.indexOf(item);
+        if (position === -1) return false;
+
+        list.splice(position, 1);
+        if (list.length === 0 && list === bucket) {
+            this.buckets.delete(key);
+        }
+        this.size--;
+        return true;
+    }
+
+    // Candidates that may overlap the rectangle. In a wrapping world, the
+    // parts of it past an edge (or items reaching over one) are looked up on
+    // the other side of the world.
+    queryRect(minX, minY, maxX, maxY) {
+        if (!WORLD_WRAP) return this.queryBuckets(minX, minY, maxX, maxY);
+
+        const results = new Set(this.largeItems);
+        const columns = getWorldCopies(minX, maxX, this.cellSize);
+        const rows = getWorldCopies(minY, maxY, this.cellSize);
+        columns.forEach(offsetX => {
+            rows.forEach(offsetY => {
+                this.queryBuckets(minX - offsetX, minY - offsetY, maxX - offsetX, maxY - offsetY)
+                    .forEach(item => results.add(item));
+            });
+        });
+        return [...results];
+    }
+
+    // Candidates that may overlap the rectangle, taken as it is
+    queryBuckets(minX, minY, maxX, maxY) {
+        const results = [...this.largeItems];
+        if (this.buckets.size === 0) return results;
+
+        // Bucketed items can reach up to one bucket width past their bucket
+        const minCol = Math.max(this.minCol, Math.floor((minX - this.cellSize) / this.cellSize));
+        const maxCol = Math.min(this.maxCol, Math.floor((maxX + this.cellSize) / this.cellSize));
+        const minRow = Math.max(this.minRow, Math.floor((minY - this.cellSize) / this.cellSize));
+        const maxRow = Math.min(this.maxRow, Math.floor((maxY + this.cellSize) / this.cellSize));
+
+        if (!(minCol <= maxCol && minRow <= maxRow)) return results;
+
+        // Walking the whole range would cost more than visiting every bucket
+        if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > this.buckets.size) {
+            this.buckets.forEach((bucket, key) => {
+                const [col, row] = key.split(',').map(Number);
+                if (col >= minCol && col <= maxCol && row >= minRow && row <= maxRow) {
+                    results.push(...bucket);
+                }
+            });
+            return results;
+        }
+
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const bucket = this.buckets.get(`${col},${row}`);
+                if (bucket) {
+                    results.push(...bucket);
+                }
+            }
+        }
+        return results;
+    }
+
+    // Candidates that may overlap the circle
+    queryRadius(x, y, radius) {
+        return this.queryRect(x - radius, y - radius, x + radius, y + radius);
+    }
+}
+
+// Offsets of the copies of the world that min to max, plus slack either
+// side, reaches into along one axis. Ranges as wide as the world look at
+// all of it once.
+function getWorldCopies(min, max, slack) {
+    const from = max - min < WORLD_SIZE ? min : 0;
+    const to = max - min < WORLD_SIZE ? max : WORLD_SIZE;
+    const copies = [];
+    for (let copy = Math.floor((from - slack) / WORLD_SIZE); copy <= Math.floor((to + slack) / WORLD_SIZE); copy++) {
+        copies.push(copy * WORLD_SIZE);
+    }
+    return copies;
+}
+
+// Grid over food, inserting the food objects themselves
+export function buildFoodGrid(food) {
+    const grid = new SpatialGrid();
+    food.forEach(item => {
+        if (item) grid.insert(item, item.x, item.y, FOOD_SIZE);
+    });
+    return grid;
+}
+
+// Grid over scored entities such as cells, inserting each one's array index
+export function buildCellGrid(cells) {
+    const grid = new SpatialGrid();
+    cells.forEach((cell, index) => {
+        if (cell && typeof cell.score === 'number') {
+            grid.insert(index, cell.x, cell.y, getSize(cell.score));
+        }
+    });
+    return grid;
+}
+
+// Grid over ejected mass, inserting the pellets themselves
+function buildPelletGrid(ejectedMass) {
+    const grid = new SpatialGrid();
+    ejectedMass.forEach(pellet => {
+        if (pellet) grid.insert(pellet, pellet.x, pellet.y, EJECT_SIZE);
+    });
+    return grid;
+}
+
+// Index over everything in a game state. The cells grid holds indices into
+// ownedCells, which pairs every cell with its owner; the other grids hold
+// the food, pellets and viruses themselves.
+//
+// The world builds one each tick once everything has moved, and the rules
+// that eat, pop and respawn things keep it up to date as they go (see
+// addCellToIndex), so it can be used for the rest of the tick and, once
+// refreshed (see refreshCellIndex), by the next tick's AI players.
+export function buildSpatialIndex(state) {
+    const ownedCells = getOwnedCells(state.players);
+    const viruses = new SpatialGrid();
+    (state.viruses || []).forEach(virus => {
+        if (virus) viruses.insert(virus, virus.x, virus.y, getSize(virus.score));
+    });
+
+    return {
+        food: buildFoodGrid(state.food || []),
+        cells: buildCellGrid(ownedCells.map(entry => entry.cell)),
+        ownedCells,
+        pellets: buildPelletGrid(state.ejectedMass || []),
+        viruses
+    };
+}
+
+// Re-index what players change by moving, splitting, merging and ejecting:
+// their cells and the pellets. Food and viruses keep their grids.
+export function refreshCellIndex(index, state) {
+    index.ownedCells = getOwnedCells(state.players);
+    index.cells = buildCellGrid(index.ownedCells.map(entry => entry.cell));
+    index.pellets = buildPelletGrid(state.ejectedMass || []);
+    return index;
+}
+
+// Add a cell that has just come into play to an index
+export function addCellToIndex(index, owner, cell) {
+    index.cells.insert(index.ownedCells.length, cell.x, cell.y, getSize(cell.score));
+    index.ownedCells.push({ owner, cell });
+}
@@ -0,0 +1,214 @@
+import { JOYSTICK_RADIUS, JOYSTICK_DEAD_ZONE } from './config.js';
+
+// Touch input: a floating virtual joystick on the canvas for steering, pinch
+// to zoom, plus on-screen split and eject buttons. Each touch is tracked by
+// its identifier, so steering and pressing buttons work at the same time.
+
+// Unit vector from base towards point, or null inside the dead zone.
+// deadZone is in the same units as the points.
+export function getJoystickDirection(base, point, deadZone) {
+    const dx = point.x - base.x;
+    const dy = point.y - base.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (!(distance > deadZone)) return null;
+
+    return {
+        x: dx / distance,
+        y: dy / distance
+    };
+}
+
+export class VirtualJoystick {
+    constructor(radius = JOYSTICK_RADIUS, deadZone = JOYSTICK_DEAD_ZONE) {
+        this.radius = radius;
+        this.deadZone = deadZone;
+        this.touchId = null;
+        this.base = null;   // Where the touch started
+        this.knob = null;   // Where the knob is drawn, at most radius from base
+    }
+
+    get active() {
+        return this.touchId !== null;
+    }
+
+    // Returns true if this touch now controls the joystick
+    start(touchId, x, y) {
+        if (this.active) return false;
+
+        this.touchId = touchId;
+        this.base = { x, y };
+        this.knob = { x, y };
+        return true;
+    }
+
+    move(touchId, x, y) {
+        if (touchId !== this.touchId) return false;
+
+        const dx = x - this.base.x;
+        const dy = y - this.base.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const scale = distance > this.radius ? this.radius / distance : 1;
+
+        this.knob = {
+            x: this.base.x + dx * scale,
+            y: this.base.y + dy * scale
+        };
+        return true;
+    }
+
+    end(touchId) {
+        if (touchId !== this.touchId) return false;
+
+        this.touchId = null;
+        this.base = null;
+        this.knob = null;
+        return true;
+    }
+
+    get direction() {
+        if (!this.active) return null;
+        return getJoystickDirection(this.base, this.knob, this.radius * this.deadZone);
+    }
+}
+
+// Two fingers on the canvas pinching or spreading to zoom. Tracks the first
+// two touches; move reports how much the gap between them changed since the
+// last move, as a factor to zoom by.
+export class PinchZoom {
+    constructor() {
+        this.touches = new Map();  // Position of each tracked touch, by identifier
+        this.distance = null;      // Gap between the two touches when last measured
+    }
+
+    get active() {
+        return this.touches.size === 2;
+    }
+
+    measure() {
+        const [a, b] = [...this.touches.values()];
+        return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+    }
+
+    // Returns true if this touch starts a pinch
+    start(touchId, x, y) {
+        if (this.touches.size >= 2) return false;
+
+        this.touches.set(touchId, { x, y });
+        if (!this.active) return false;
+
+        this.distance = this.measure();
+        return true;
+    }
+
+    // Zoom factor from moving this touch, 1 if it changes nothing
+    move(touchId, x, y) {
+        if (!this.touches.has(touchId)) return 1;
+
+        this.touches.set(touchId, { x, y });
+        if (!this.active) return 1;
+
+        const distance = this.measure();
+        const factor = this.distance > 0 && distance > 0 ? distance / this.distance : 1;
+        this.distance = distance;
+        return factor;
+    }
+
+    // Returns the touch still down, as { touchId, x, y }, when this ends a
+    // pinch, so it can go back to steering; otherwise null
+    end(touchId) {
+        const pinching = this.active;
+        this.touches.delete(touchId);
+        this.distance = null;
+        if (!pinching || this.touches.size !== 1) return null;
+
+        const [[remainingId, { x, y }]] = this.touches;
+        return { touchId: remainingId, x, y };
+    }
+}
+
+const joystick = new VirtualJoystick();
+const pinch = new PinchZoom();
+let onTouchActive = () => {};
+let joystickElement, knobElement;
+
+function updateJoystickElements() {
+    joystickElement.classList.toggle('visible', joystick.active);
+    if (!joystick.active) return;
+
+    joystickElement.style.left = `${joystick.base.x}px`;
+    joystickElement.style.top = `${joystick.base.y}px`;
+    knobElement.style.transform =
+        `translate(${joystick.knob.x - joystick.base.x}px, ${joystick.knob.y - joystick.base.y}px)`;
+}
+
+// Make a button fire on touch (without waiting for the synthetic click)
+function bindTouchButton(button, handler) {
+    button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onTouchActive();
+        handler();
+    }, { passive: false });
+}
+
+// onActive is called whenever the player uses touch input, and onZoom with
+// the factor to zoom by as they pinch
+export function initTouchControls({ onSplit, onEject, onZoom = () => {}, onActive = () => {} }) {
+    onTouchActive = onActive;
+    const canvas = document.getElementById('gameCanvas');
+    joystickElement = document.getElementById('joystick');
+    knobElement = document.getElementById('joystick-knob');
+
+    // preventDefault stops the browser from scrolling, zooming and sending
+    // the synthetic mouse events that would otherwise trigger a split
+    canvas.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        onTouchActive();
+        document.body.classList.add('touch-mode');
+
+        for (const touch of e.changedTouches) {
+            // A second finger turns steering into pinching
+            if (pinch.start(touch.identifier, touch.clientX, touch.clientY)) {
+                joystick.end(joystick.touchId);
+            } else if (!pinch.active) {
+                joystick.start(touch.identifier, touch.clientX, touch.clientY);
+            }
+        }
+        updateJoystickElements();
+    }, { passive: false });
+
+    canvas.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            joystick.move(touch.identifier, touch.clientX, touch.clientY);
+            const factor = pinch.move(touch.identifier, touch.clientX, touch.clientY);
+            if (factor !== 1) {
+                onZoom(factor);
+            }
+        }
+        updateJoystickElements();
+    }, { passive: false });
+
+    const endTouches = (e) => {
+        for (const touch of e.changedTouches) {
+            joystick.end(touch.identifier);
+
+            // The finger left after a pinch steers again from where it is
+            const remaining = pinch.end(touch.identifier);
+            if (remaining) {
+                joystick.start(remaining.touchId, remaining.x, remaining.y);
+            }
+        }
+        updateJoystickElements();
+    };
+    canvas.addEventListener('touchend', endTouches);
+    canvas.addEventListener('touchcancel', endTouches);
+
+    bindTouchButton(document.getElementById('touch-split'), onSplit);
+    bindTouchButton(document.getElementById('touch-eject'), onEject);
+}
+
+export function getTouchDirection() {
+    return joystick.direction;
+}
@@ -1,4 +1,15 @@
 // UI Controls
+import {
+    ACTION_LABELS,
+    getKeyBindings,
+    setKeyBindings,
+    bindKey,
+    resetKeyBindings,
+    captureNextKey,
+    formatKeyCode
+} from './input.js';
+import { describeStats } from './session.js';
+import { getLayers, isLayerEnabled, setLayerEnabled } from './renderLayers.js';
 
 function loadDarkMode() {
     const isDarkMode = localStorage.getItem('darkMode') === 'true';
@@ -10,14 +21,217 @@ function saveDarkMode(isDarkMode) {
     localStorage.setItem('darkMode', isDarkMode);
 }
 
+function loadKeyBindings() {
+    try {
+        setKeyBindings(JSON.parse(localStorage.getItem('keyBindings')));
+    } catch (error) {
+        // Corrupt saved bindings; fall back to the defaults
+        setKeyBindings(null);
+    }
+}
+
+function saveKeyBindings() {
+    localStorage.setItem('keyBindings', JSON.stringify(getKeyBindings()));
+}
+
+// One row per action, with a button that waits for the new key when clicked
+function renderKeyBindings() {
+    const container = document.getElementById('key-bindings');
+    const bindings = getKeyBindings();
+
+    container.innerHTML = '';
+    Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+        const row = document.createElement('div');
+        row.className = 'control-item';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const button = document.createElement('button');
+        button.className = 'key-binding';
+        button.textContent = formatKeyCode(bindings[action]);
+        button.addEventListener('click', () => {
+            button.textContent = 'Press a key...';
+            captureNextKey(code => {
+                // Escape cancels rebinding
+                if (code !== 'Escape') {
+                    bindKey(action, code);
+                    saveKeyBindings();
+                }
+                renderKeyBindings();
+            });
+        });
+
+        row.appendChild(name);
+        row.appendChild(button);
+        container.appendChild(row);
+    });
+}
+
+// Layers the player can turn on and off in the settings
+function getToggleableLayers() {
+    return getLayers().filter(layer => layer.label);
+}
+
+function loadLayerToggles() {
+    try {
+        const hidden = JSON.parse(localStorage.getItem('hiddenLayers'));
+        if (!Array.isArray(hidden)) return;
+        getToggleableLayers().forEach(layer => setLayerEnabled(layer.name, !hidden.includes(layer.name)));
+    } catch (error) {
+        // Corrupt saved layers; keep the defaults
+    }
+}
+
+function saveLayerToggles() {
+    const hidden = getToggleableLayers()
+        .filter(layer => !isLayerEnabled(layer.name))
+        .map(layer => layer.name);
+    localStorage.setItem('hiddenLayers', JSON.stringify(hidden));
+}
+
+// One switch per layer the player can turn on and off
+function renderLayerToggles() {
+    const container = document.getElementById('layer-toggles');
+
+    container.innerHTML = '';
+    getToggleableLayers().forEach(layer => {
+        const row = document.createElement('div');
+        row.className = 'control-item';
+
+        const name = document.createElement('span');
+        name.textContent = layer.label;
+
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-switch';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = isLayerEnabled(layer.name);
+        input.addEventListener('change', () => {
+            setLayerEnabled(layer.name, input.checked);
+            saveLayerToggles();
+        });
+
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+
+        toggle.appendChild(input);
+        toggle.appendChild(slider);
+        row.appendChild(name);
+        row.appendChild(toggle);
+        container.appendChild(row);
+    });
+}
+
+function loadNickname() {
+    return localStorage.getItem('nickname') || '';
+}
+
+function saveNickname(name) {
+    localStorage.setItem('nickname', name);
+}
+
+// One row per line of how the last life went
+function renderDeathStats(stats) {
+    const container = document.getElementById('death-stats');
+
+    container.innerHTML = '';
+    describeStats(stats || {}).forEach(({ label, value }) => {
+        const row = document.createElement('div');
+        row.className = 'control-item';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const amount = document.createElement('span');
+        amount.className = 'control-action';
+        amount.textContent = value;
+
+        row.appendChild(name);
+        row.appendChild(amount);
+        container.appendChild(row);
+    });
+}
+
+// Wire the start and death screens and the settings' restart button to a
+// GameSession, showing whichever screen its state calls for, along with why
+// the session failed if it did. name, if given,
+// fills in the nickname in place of the one last played under.
+export function initSessionScreens(session, { name = null } = {}) {
+    const startScreen = document.getElementById('start-screen');
+    const deathScreen = document.getElementById('death-screen');
+    const nicknameInput = document.getElementById('nickname');
+    const startError = document.getElementById('start-error');
+
+    nicknameInput.value = name || loadNickname();
+
+    document.getElementById('start-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveNickname(nicknameInput.value);
+        session.start(nicknameInput.value);
+    });
+    document.getElementById('play-again').addEventListener('click', () => session.playAgain());
+    document.getElementById('restart-game').addEventListener('click', () => {
+        document.getElementById('settings-panel').classList.remove('visible');
+        session.quit();
+    });
+
+    const show = (state) => {
+        startScreen.classList.toggle('visible', state === 'menu');
+        deathScreen.classList.toggle('visible', state === 'dead');
+        if (state === 'dead') {
+            renderDeathStats(session.stats);
+        }
+        if (state === 'menu') {
+            startError.textContent = session.error || '';
+            nicknameInput.focus();
+        }
+    };
+    session.onChange(show);
+    show(session.state);
+}
+
+export function toggleMinimap() {
+    document.getElementById('minimap').classList.toggle('hidden');
+}
+
+export function toggleLeaderboard() {
+    document.getElementById('leaderboard').classList.toggle('hidden');
+}
+
+export function setPauseIndicator(isPaused) {
+    document.getElementById('pause-indicator').classList.toggle('visible', isPaused);
+    document.getElementById('pause-game').textContent = isPaused ? 'Resume' : 'Pause';
+}
+
+// Offer the pause button in the settings, or not
+export function setPauseAvailable(available) {
+    document.getElementById('pause-game').closest('.control-item').classList.toggle('hidden', !available);
+}
+
+// Show the connected gamepad's name, or that none is connected
+export function setGamepadStatus(gamepadName) {
+    document.getElementById('gamepad-status').textContent = gamepadName || 'Not connected';
+}
+
 export function initUI() {
     const settingsIcon = document.getElementById('settings-icon');
     const settingsPanel = document.getElementById('settings-panel');
     const darkModeToggle = document.getElementById('dark-mode-toggle');
+    const resetKeyBindingsButton = document.getElementById('reset-key-bindings');
 
     // Load dark mode preference
     loadDarkMode();
 
+    // Load key bindings
+    loadKeyBindings();
+    renderKeyBindings();
+
+    // Load which layers are drawn
+    loadLayerToggles();
+    renderLayerToggles();
+
     // Toggle settings panel
     settingsIcon.addEventListener('click', (e) => {
         e.stopPropagation();  // Prevent click from propagating to document
@@ -42,4 +256,11 @@ export function initUI() {
         document.documentElement.setAttribute('data-theme', isDarkMode ? 'dark' : '');
         saveDarkMode(isDarkMode);
     });
-}
\ No newline at end of file
+
+    // Restore default key bindings
+    resetKeyBindingsButton.addEventListener('click', () => {
+        resetKeyBindings();
+        saveKeyBindings();
+        renderKeyBindings();
+    });
+}
@@ -1,59 +1,173 @@
-import { WORLD_SIZE } from './config.js';
+import { WORLD_SIZE, WORLD_WRAP, LEADERBOARD_SIZE } from './config.js';
+import { buildSpatialIndex } from './spatialGrid.js';
 
 export function getSize(score) {
     return Math.sqrt(score) + 20;
 }
 
-export function getRandomPosition() {
+export function getRandomPosition(random = Math.random) {
     return {
-        x: Math.random() * WORLD_SIZE,
-        y: Math.random() * WORLD_SIZE
+        x: random() * WORLD_SIZE,
+        y: random() * WORLD_SIZE
+    };
+}
+
+// With WORLD_WRAP the world is a torus: going off one edge comes back on at
+// the opposite one, and the shortest way between two points may cross an
+// edge. Everything that moves, measures or looks around goes through the
+// helpers below so it works the same either way.
+
+// A coordinate brought back into the world: round the other side when the
+// world wraps, up against the edge when it doesn't
+export function keepInWorld(value) {
+    if (WORLD_WRAP) {
+        return ((value % WORLD_SIZE) + WORLD_SIZE) % WORLD_SIZE;
+    }
+    return Math.max(0, Math.min(WORLD_SIZE, value));
+}
+
+// How far it is from one coordinate to another along one axis, signed, the
+// shortest way round
+export function getAxisOffset(from, to) {
+    const delta = to - from;
+    return WORLD_WRAP ? delta - WORLD_SIZE * Math.round(delta / WORLD_SIZE) : delta;
+}
+
+// Vector from one position to another, the shortest way round
+export function getOffset(from, to) {
+    return {
+        x: getAxisOffset(from.x, to.x),
+        y: getAxisOffset(from.y, to.y)
+    };
+}
+
+// The copy of point nearest to near, which may lie outside the world when
+// it wraps; the point itself when it doesn't
+export function getNearestCopy(point, near) {
+    if (!WORLD_WRAP) return { x: point.x, y: point.y };
+
+    return {
+        x: near.x + getAxisOffset(near.x, point.x),
+        y: near.y + getAxisOffset(near.y, point.y)
     };
 }
 
 export function getDistance(obj1, obj2) {
-    const dx = obj1.x - obj2.x;
-    const dy = obj1.y - obj2.y;
+    const { x: dx, y: dy } = getOffset(obj2, obj1);
     return Math.sqrt(dx * dx + dy * dy);
 }
 
+// Position between the previous and current tick, alpha in [0, 1]
+export function getInterpolatedPosition(entity, alpha) {
+    const prevX = typeof entity.prevX === 'number' ? entity.prevX : entity.x;
+    const prevY = typeof entity.prevY === 'number' ? entity.prevY : entity.y;
+
+    if (WORLD_WRAP) {
+        return {
+            x: keepInWorld(prevX + getAxisOffset(prevX, entity.x) * alpha),
+            y: keepInWorld(prevY + getAxisOffset(prevY, entity.y) * alpha)
+        };
+    }
+
+    return {
+        x: prevX + (entity.x - prevX) * alpha,
+        y: prevY + (entity.y - prevY) * alpha
+    };
+}
+
 export function calculateCenterOfMass(cells) {
     const totalScore = cells.reduce((sum, cell) => sum + cell.score, 0);
     if (totalScore === 0) return { x: 0, y: 0 };
-    
+
+    // Measure from one of the cells, so cells either side of an edge average
+    // out next to it rather than in the middle of the world
+    if (WORLD_WRAP) {
+        const origin = cells[0];
+        return {
+            x: keepInWorld(origin.x + cells.reduce((sum, cell) => sum + getAxisOffset(origin.x, cell.x) * cell.score, 0) / totalScore),
+            y: keepInWorld(origin.y + cells.reduce((sum, cell) => sum + getAxisOffset(origin.y, cell.y) * cell.score, 0) / totalScore)
+        };
+    }
+
     return {
         x: cells.reduce((sum, cell) => sum + cell.x * cell.score, 0) / totalScore,
         y: cells.reduce((sum, cell) => sum + cell.y * cell.score, 0) / totalScore
     };
 }
 
-export function findSafeSpawnLocation(gameState, minDistance = 100) {
+// Where to center a view reaching halfWidth and halfHeight either side of
+// center so it stays inside the world; views bigger than the world are
+// centered on it. A wrapping world has no edges to stay inside, so the view
+// goes wherever center is.
+export function clampToWorld(center, halfWidth, halfHeight) {
+    if (WORLD_WRAP) {
+        return { x: keepInWorld(center.x), y: keepInWorld(center.y) };
+    }
+
+    const clamp = (value, half) => (half * 2 >= WORLD_SIZE
+        ? WORLD_SIZE / 2
+        : Math.max(half, Math.min(WORLD_SIZE - half, value)));
+
+    return {
+        x: clamp(center.x, halfWidth),
+        y: clamp(center.y, halfHeight)
+    };
+}
+
+// Where a point on screen, in pixels, is in the world seen by camera
+export function screenToWorld(camera, point) {
+    return {
+        x: camera.x + point.x / camera.zoom,
+        y: camera.y + point.y / camera.zoom
+    };
+}
+
+export function getTotalScore(cells) {
+    return cells.reduce((sum, cell) => sum + cell.score, 0);
+}
+
+// Largest of an owner's cells, or null if it has none
+export function getLeadCell(cells) {
+    return cells.reduce((lead, cell) => (!lead || cell.score > lead.score ? cell : lead), null);
+}
+
+// The owners with the most score over all their cells, best first, as
+// { id, name, score }
+export function getStandings(players, count = LEADERBOARD_SIZE) {
+    return players
+        .map(owner => ({ id: owner.id, name: owner.name, score: getTotalScore(owner.cells) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count);
+}
+
+// Every cell in play paired with the owner it belongs to, as { owner, cell }
+export function getOwnedCells(players) {
+    const entries = [];
+    players.forEach(owner => {
+        if (!owner || !Array.isArray(owner.cells)) return;
+        owner.cells.forEach(cell => {
+            if (cell && typeof cell.score === 'number') entries.push({ owner, cell });
+        });
+    });
+    return entries;
+}
+
+// A random spot at least minDistance clear of every cell, looking cells up
+// in index (see buildSpatialIndex) rather than scanning them all each try
+export function findSafeSpawnLocation(gameState, minDistance = 100, random = Math.random, index = buildSpatialIndex(gameState)) {
     const maxAttempts = 50;
     let attempts = 0;
     
     while (attempts < maxAttempts) {
-        const pos = getRandomPosition();
-        let isSafe = true;
-
-        // Check distance from AI players
-        for (const ai of gameState.aiPlayers) {
-            const distance = getDistance(pos, ai);
-            const safeDistance = getSize(ai.score) + minDistance;
-            if (distance < safeDistance) {
-                isSafe = false;
-                break;
-            }
-        }
+        const pos = getRandomPosition(random);
 
-        // Check distance from player cells
-        for (const cell of gameState.playerCells) {
-            const distance = getDistance(pos, cell);
-            const safeDistance = getSize(cell.score) + minDistance;
-            if (distance < safeDistance) {
-                isSafe = false;
-                break;
-            }
-        }
+        // Check distance from nearby cells
+        const isSafe = index.cells.queryRadius(pos.x, pos.y, minDistance).every(i => {
+            const entity = index.ownedCells[i].cell;
+            const distance = getDistance(pos, entity);
+            const safeDistance = getSize(entity.score) + minDistance;
+            return !(distance < safeDistance);
+        });
 
         if (isSafe) {
             return pos;
@@ -62,16 +176,17 @@ export function findSafeSpawnLocation(gameState, minDistance = 100) {
         attempts++;
     }
 
-    // If no safe spot found after max attempts, find the spot furthest from all players
-    let bestPos = getRandomPosition();
+    // If no safe spot found after max attempts, find the spot furthest from all cells
+    const entities = getOwnedCells(gameState.players).map(entry => entry.cell);
+    let bestPos = getRandomPosition(random);
     let maxMinDistance = 0;
 
     for (let i = 0; i < 20; i++) {
-        const pos = getRandomPosition();
+        const pos = getRandomPosition(random);
         let minDistanceToPlayer = Infinity;
 
-        // Check distance to all players and cells
-        [...gameState.aiPlayers, ...gameState.playerCells].forEach(entity => {
+        // Check distance to all cells
+        entities.forEach(entity => {
             const distance = getDistance(pos, entity);
             minDistanceToPlayer = Math.min(minDistanceToPlayer, distance);
         });
@@ -0,0 +1,211 @@
+import { gameState, createGameState, getLocalPlayer } from './gameState.js';
+import { GameWorld } from './world.js';
+import { initRenderer, resizeCanvas, drawGame, drawMinimap, adjustZoom } from './renderer.js';
+import { setLayerEnabled } from './renderLayers.js';
+import { getStandings } from './utils.js';
+
+// Worker mode: the simulation and drawing run in a Web Worker, drawing on
+// the page's canvases through OffscreenCanvas, and the page only handles
+// input and the rest of the UI.
+//
+// The page talks to the worker through a WorkerWorld, which it steers like
+// any other world. The worker runs a WorkerGame, and the two exchange
+// structured messages:
+//   page to worker - start (the canvases, screen size and seed), input,
+//                    join, respawn, leave, zoom, pause, resize and layer
+//   worker to page - frame, after each frame is drawn: the local player,
+//                    the camera, the leaderboard and the player's stats
+//
+// A frame holds just enough for the page to steer with the mouse, keep the
+// session going and show the score and leaderboard.
+
+// Whether this browser can draw the game from a worker
+export function supportsWorkerRendering(scope = globalThis) {
+    return typeof scope.Worker === 'function' &&
+        typeof scope.OffscreenCanvas === 'function' &&
+        typeof scope.HTMLCanvasElement === 'function' &&
+        'transferControlToOffscreen' in scope.HTMLCanvasElement.prototype;
+}
+
+// The page's side: a world simulated in a worker. send(message, transfer)
+// posts to the worker; messages from it go to receive. state mirrors the
+// last frame the worker drew.
+export class WorkerWorld {
+    constructor({ state = createGameState({ localPlayer: false }), send }) {
+        this.state = state;
+        this.send = send;
+        this.stats = null;  // The local player's stats as of the last frame
+        this.spatialIndex = null;  // Nothing is drawn on the page
+    }
+
+    // Hand the page's canvases over to the worker and start it running.
+    // width and height are the size of the screen; seed replays a match, or
+    // null for a new one.
+    start({ canvas, minimap, width, height, seed = null }) {
+        const offscreen = canvas.transferControlToOffscreen();
+        const offscreenMinimap = minimap.transferControlToOffscreen();
+        this.send({ type: 'start', canvas: offscreen, minimap: offscreenMinimap, width, height, seed }, [offscreen, offscreenMinimap]);
+    }
+
+    applyInput(input) {
+        this.send({ type: 'input', input });
+    }
+
+    // The worker keeps its own time
+    step() {
+        return 0;
+    }
+
+    get alpha() {
+        return 1;
+    }
+
+    join(name) {
+        this.send({ type: 'join', name });
+    }
+
+    respawn() {
+        this.send({ type: 'respawn' });
+    }
+
+    leave() {
+        this.send({ type: 'leave' });
+        this.state.localPlayerId = null;
+        this.state.players = [];
+    }
+
+    getStats() {
+        return this.stats;
+    }
+
+    adjustZoom(factor) {
+        this.send({ type: 'zoom', factor });
+    }
+
+    setPaused(paused) {
+        this.send({ type: 'pause', paused: Boolean(paused) });
+    }
+
+    resize(width, height) {
+        this.send({ type: 'resize', width, height });
+    }
+
+    setLayerEnabled(name, enabled) {
+        this.send({ type: 'layer', name, enabled: Boolean(enabled) });
+    }
+
+    // Handle a message from the worker
+    receive(message) {
+        if (!message || message.type !== 'frame') return;
+
+        this.state.localPlayerId = message.localPlayerId;
+        this.state.players = message.player ? [message.player] : [];
+        this.state.leaderboard = message.leaderboard;
+        this.stats = message.stats;
+
+        // Where the worker's camera looks, so the mouse steers the way it
+        // appears to on screen
+        const { camera } = this.state;
+        camera.x = message.camera.x;
+        camera.y = message.camera.y;
+        camera.zoom = message.camera.zoom;
+    }
+}
+
+// Animation frames where the worker has them, 60 times a second otherwise
+function requestWorkerFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+// The worker's side: runs a GameWorld on the worker's gameState and draws it
+// with the usual renderer each frame. post(message) posts to the page;
+// messages from it go to receive.
+export class WorkerGame {
+    constructor({ post, requestFrame = requestWorkerFrame }) {
+        this.post = post;
+        this.requestFrame = requestFrame;
+        this.world = null;  // Once started
+        this.paused = false;
+        this.lastFrameTime = null;
+    }
+
+    start({ canvas, minimap, width, height, seed = null }) {
+        if (this.world) return;
+
+        initRenderer({ gameCanvas: canvas, minimapCanvas: minimap }, { width, height });
+        this.world = typeof seed === 'number'
+            ? new GameWorld({ state: gameState, seed })
+            : new GameWorld({ state: gameState });
+
+        // Shake the screen whenever one of our cells is eaten
+        gameState.camera.on('cellEaten', (event, camera) => camera.shake());
+
+        this.requestFrame(now => this.frame(now));
+    }
+
+    // Step the world, unless paused, and draw it
+    frame(now) {
+        const frameTime = this.lastFrameTime === null ? 0 : now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        if (!this.paused) {
+            this.world.step(frameTime);
+        }
+        drawGame(this.world.alpha, this.world.spatialIndex, frameTime);
+        drawMinimap();
+        this.post(this.describeFrame());
+
+        this.requestFrame(next => this.frame(next));
+    }
+
+    describeFrame() {
+        const player = getLocalPlayer(gameState);
+        const { camera } = gameState;
+
+        return {
+            type: 'frame',
+            localPlayerId: gameState.localPlayerId,
+            player: player && {
+                id: player.id,
+                kind: player.kind,
+                name: player.name,
+                color: player.color,
+                cells: player.cells.map(({ x, y, score }) => ({ x, y, score }))
+            },
+            camera: { x: camera.x, y: camera.y, zoom: camera.zoom },
+            leaderboard: getStandings(gameState.players),
+            stats: this.world.getStats()
+        };
+    }
+
+    // Handle a message from the page; everything but start waits for it
+    receive(message) {
+        if (!message) return;
+        if (message.type === 'start') {
+            this.start(message);
+            return;
+        }
+        if (!this.world) return;
+
+        if (message.type === 'input') {
+            this.world.applyInput(message.input || {});
+        } else if (message.type === 'join') {
+            this.world.join(message.name);
+        } else if (message.type === 'respawn') {
+            this.world.respawn();
+        } else if (message.type === 'leave') {
+            this.world.leave();
+        } else if (message.type === 'zoom') {
+            adjustZoom(message.factor);
+        } else if (message.type === 'pause') {
+            this.paused = Boolean(message.paused);
+        } else if (message.type === 'resize') {
+            resizeCanvas(message.width, message.height);
+        } else if (message.type === 'layer') {
+            setLayerEnabled(message.name, message.enabled);
+        }
+    }
+}
@@ -0,0 +1,242 @@
+import { createGameState, createOwner, createCell, createStats, getOwner, getStats } from './gameState.js';
+import {
+    applyCommand,
+    updateAI,
+    initEntities,
+    updateEjectedMass,
+    updateViruses,
+    savePreviousPositions,
+    updateStats,
+    updateDecay,
+    getAISlots
+} from './entities.js';
+import {
+    handleFoodCollisions,
+    handleVirusCollisions,
+    handleEjectedMassCollisions,
+    handleCellCollisions,
+    respawnEntities
+} from './collisions.js';
+import { TICK_DURATION, MAX_FRAME_TIME, STARTING_SCORE, INPUT_QUEUE_LIMIT, COLORS } from './config.js';
+import { createRandom, createSeed } from './random.js';
+import { buildSpatialIndex, refreshCellIndex, addCellToIndex } from './spatialGrid.js';
+import { findSafeSpawnLocation, getTotalScore } from './utils.js';
+
+// A self-contained simulation that needs no DOM, canvas or global state,
+// so it can be driven by the browser, tests, bots or a server alike
+export class GameWorld {
+    // The same seed and input sequence always replay the same match
+    constructor({ state = createGameState(), seed = createSeed() } = {}) {
+        this.state = state;
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.inputs = new Map();  // Latest input of each person playing, by owner id
+        this.inputQueues = new Map();  // Numbered commands waiting for a tick each, by owner id
+        this.accumulator = 0;  // Unsimulated time carried over between steps
+        this.tickCount = 0;
+
+        initEntities(this.state, this.random);
+
+        // Index of where everything is (see buildSpatialIndex): built once
+        // a tick and kept up to date from then on, for the simulation and
+        // for queries from outside it such as the renderer's culling
+        this.spatialIndex = buildSpatialIndex(this.state);
+    }
+
+    // Bring a new person into the world at a safe spot, making room by
+    // dropping the smallest AI players if every slot is taken. Returns the
+    // new player.
+    addPlayer({ name, color = `hsl(${this.random() * 360}, 70%, 50%)` }) {
+        const { state } = this;
+        const pos = findSafeSpawnLocation(state, undefined, this.random, this.spatialIndex);
+        const player = createOwner(state, {
+            kind: 'player',
+            name,
+            color,
+            x: pos.x,
+            y: pos.y,
+            score: STARTING_SCORE
+        });
+        state.players.push(player);
+
+        const surplus = state.players.filter(owner => owner.kind === 'ai').length - getAISlots(state);
+        if (surplus > 0) {
+            const dropped = new Set(state.players
+                .filter(owner => owner.kind === 'ai')
+                .sort((a, b) => getTotalScore(a.cells) - getTotalScore(b.cells))
+                .slice(0, surplus));
+            state.players = state.players.filter(owner => !dropped.has(owner));
+        }
+        this.spatialIndex = buildSpatialIndex(state);
+
+        return player;
+    }
+
+    // Take a person and their cells out of the world; AI players fill the
+    // free slot on the next tick
+    removePlayer(playerId) {
+        this.state.players = this.state.players.filter(owner => owner.id !== playerId);
+        this.inputs.delete(playerId);
+        this.inputQueues.delete(playerId);
+        this.spatialIndex = buildSpatialIndex(this.state);
+    }
+
+    // Start a person whose cells were all eaten again with a single cell at
+    // a safe spot and fresh stats. Returns whether they were respawned.
+    respawnPlayer(playerId = this.state.localPlayerId) {
+        const player = getOwner(this.state, playerId);
+        if (!player || player.kind !== 'player' || player.cells.length > 0) return false;
+
+        const pos = findSafeSpawnLocation(this.state, undefined, this.random, this.spatialIndex);
+        const cell = createCell(player.id, pos.x, pos.y, STARTING_SCORE);
+        player.cells.push(cell);
+        addCellToIndex(this.spatialIndex, player, cell);
+        player.stats = createStats();
+        return true;
+    }
+
+    // A copy of a player's stats for their current life, or null if they
+    // aren't in the world
+    getStats(playerId = this.state.localPlayerId) {
+        const player = getOwner(this.state, playerId);
+        return player ? { ...getStats(player) } : null;
+    }
+
+    // Bring the person at this page into the world under name, controlling
+    // them from now on; the same as joining a game server
+    join(name) {
+        const player = this.addPlayer({ name, color: COLORS.PLAYER });
+        this.state.localPlayerId = player.id;
+        return player;
+    }
+
+    // Respawn the person at this page once they've been eaten
+    respawn() {
+        return this.respawnPlayer();
+    }
+
+    // Take the person at this page out of the world, leaving it to the AI
+    leave() {
+        if (this.state.localPlayerId === null) return;
+
+        this.removePlayer(this.state.localPlayerId);
+        this.state.localPlayerId = null;
+    }
+
+    // Current input of a player, created on first use
+    getInput(playerId = this.state.localPlayerId) {
+        if (!this.inputs.has(playerId)) {
+            this.inputs.set(playerId, {
+                direction: null,  // Unit vector the player steers towards
+                split: false,     // Split requested, handled on the next tick
+                eject: false,     // Mass ejection requested, handled on the next tick
+                seq: 0            // Number of the last queued command applied
+            });
+        }
+        return this.inputs.get(playerId);
+    }
+
+    // Apply an input command for a player, by default the local one; only
+    // the fields present are changed
+    applyInput({ direction, split, eject } = {}, playerId = this.state.localPlayerId) {
+        const input = this.getInput(playerId);
+        if (direction !== undefined) {
+            input.direction = direction;
+        }
+        if (split) {
+            input.split = true;
+        }
+        if (eject) {
+            input.eject = true;
+        }
+    }
+
+    // Queue a command numbered seq to be applied on a tick of its own. Clients
+    // predicting their own movement send one per tick they predict, so the
+    // server runs the same ticks; commands that are out of order or too many
+    // to keep up with are dropped.
+    queueInput({ seq, ...command }, playerId) {
+        const queue = this.inputQueues.get(playerId) || [];
+        const lastSeq = queue.length > 0 ? queue[queue.length - 1].seq : this.getInput(playerId).seq;
+        if (!(seq > lastSeq)) return;
+
+        queue.push({ seq, ...command });
+        if (queue.length > INPUT_QUEUE_LIMIT) {
+            queue.shift();
+        }
+        this.inputQueues.set(playerId, queue);
+    }
+
+    // Advance the simulation by exactly one fixed tick
+    tick() {
+        const { state, random } = this;
+
+        savePreviousPositions(state);
+
+        // People follow their input; AI players decide for themselves
+        state.players.forEach(owner => {
+            if (owner.kind !== 'player') return;
+
+            const queue = this.inputQueues.get(owner.id);
+            if (queue && queue.length > 0) {
+                const { seq, ...command } = queue.shift();
+                this.applyInput(command, owner.id);
+                this.getInput(owner.id).seq = seq;
+            }
+
+            const input = this.getInput(owner.id);
+            applyCommand(state, owner, input);
+            input.split = false;
+            input.eject = false;
+        });
+
+        // AI players see the cells people have just moved, split and merged
+        refreshCellIndex(this.spatialIndex, state);
+        updateAI(state, random, this.spatialIndex);
+        updateEjectedMass(state);
+        updateViruses(state);
+        updateDecay(state);
+
+        // Everything has moved, so index it afresh for the rest of the tick
+        const index = buildSpatialIndex(state);
+        this.spatialIndex = index;
+
+        handleFoodCollisions(state, index);
+        handleVirusCollisions(state, index);
+        handleEjectedMassCollisions(state, index);
+        handleCellCollisions(state, index);
+        respawnEntities(state, random, index);
+        updateStats(state);
+
+        this.tickCount++;
+        state.time += TICK_DURATION;
+    }
+
+    // Advance by dt milliseconds of real time, running as many ticks as fit.
+    // Returns the number of ticks run.
+    step(dt) {
+        // Clamp long frames so a stalled caller doesn't fast-forward the
+        // world, and skip ones with no sensible length at all: a single NaN
+        // would stop it for good
+        if (!Number.isFinite(dt)) return 0;
+        this.accumulator += Math.min(Math.max(0, dt), MAX_FRAME_TIME);
+
+        let ticks = 0;
+        while (this.accumulator >= TICK_DURATION) {
+            this.tick();
+            this.accumulator -= TICK_DURATION;
+            ticks++;
+        }
+        return ticks;
+    }
+
+    // Milliseconds of simulation so far; only ticks move it on
+    get time() {
+        return this.state.time;
+    }
+
+    // How far we are between the last tick and the next one (0 to 1)
+    get alpha() {
+        return this.accumulator / TICK_DURATION;
+    }
+}